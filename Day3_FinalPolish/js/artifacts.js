@@ -3,17 +3,30 @@
  *  @param {Maze} maze - The maze object
  *  @param {number} cellSize - The size of the cells in the maze
  *  @param {string} type - The type of artifact
+ *  @param {Function} random - Random source, defaults to the maze's seeded one
+ *  @param {Set<string>} occupied - "x,y" cells to keep off besides the exit
  */
 class Artifact {
-	constructor(maze, cellSize, type) {
+	constructor(maze, cellSize, type, random = maze.random, occupied = null) {
+		this.random = random || Math.random;
+
+		const isFree = (cell) =>
+			!(occupied && occupied.has(`${cell.x},${cell.y}`)) &&
+			!(cell.x === maze.exit.x && cell.y === maze.exit.y);
+
 		let cell;
-		let isOnExit = true;
 		let attempts = 0;
 		
-		while (isOnExit && attempts < 20) {
+		do {
 			cell = maze.getRandomEmptyCell();
-			isOnExit = cell.x === maze.exit.x && cell.y === maze.exit.y;
 			attempts++;
+		} while (!isFree(cell) && attempts < 20);
+
+		// Out of luck: the first free cell, scanning row by row
+		for (let y = 0; y < maze.rows && !isFree(cell); y++) {
+			for (let x = 0; x < maze.cols && !isFree(cell); x++) {
+				cell = { x, y };
+			}
 		}
 
 		// Convert grid coordinates to pixel coordinates (center of the cell)
@@ -23,6 +36,7 @@ class Artifact {
 		this.width = cellSize * 0.4;
 		this.height = cellSize * 0.4;
 		this.collected = false;
+		this.discovered = false; // Hidden by fog of war until first seen
 		this.type = type;
 		this.hoverOffset = 0;
 		this.hoverDir = 1;
@@ -33,57 +47,12 @@ class Artifact {
 	}
 
 	setupArtifactType() {
-		switch (this.type) {
-			case "ai":
-				this.color = "#ff00ff"; // Magenta
-				this.name = "AI Artifact";
-				this.description =
-					"Artificial Intelligence is revolutionizing how we process and analyze data.";
-				this.shape = "cube";
-				break;
-			case "cybersecurity":
-				this.color = "#ffff00"; // Yellow
-				this.name = "Cybersecurity Artifact";
-				this.description =
-					"Cybersecurity protects systems, networks, and data from digital attacks.";
-				this.shape = "shield";
-				break;
-			case "machine-learning":
-				this.color = "#00ff00"; // Green
-				this.name = "Machine Learning Artifact";
-				this.description =
-					"Machine Learning enables systems to learn and improve from experience.";
-				this.shape = "sphere";
-				break;
-			case "data-science":
-				this.color = "#ff8800"; // Orange
-				this.name = "Data Science Artifact";
-				this.description =
-					"Data Science extracts insights and knowledge from structured and unstructured data.";
-				this.shape = "sphere";
-				break;
-			case "iot":
-				this.color = "#00e6e6"; // Cyan
-				this.name = "IoT Artifact";
-				this.description =
-					"Internet of Things connects devices and enables smart environments.";
-				this.shape = "gem";
-				break;
-			case "blockchain":
-				this.color = "#8a2be2"; // Blue Violet
-				this.name = "Blockchain Artifact";
-				this.description =
-					"Blockchain is a secure, decentralized technology for digital transactions.";
-				this.shape = "cube";
-				break;
-		
-			default:
-				this.color = "#00ffff"; // Cyan
-				this.name = "Future Skills Artifact";
-				this.description =
-					"This artifact represents an essential future technology skill.";
-				this.shape = "gem";
-		}
+		// Name, color, shape and description come from the skill catalog
+		const skill = skillCatalog.get(this.type);
+		this.color = skill.color;
+		this.name = skill.name;
+		this.description = skill.description;
+		this.shape = skill.shape;
 
 		this.rwandaColors = {
 			blue: "#00A0D5", // Sky blue
@@ -94,7 +63,7 @@ class Artifact {
 		const colorKeys = Object.keys(this.rwandaColors);
 		this.secondaryColor =
 			this.rwandaColors[
-				colorKeys[Math.floor(Math.random() * colorKeys.length)]
+				colorKeys[Math.floor(this.random() * colorKeys.length)]
 			];
 	}
 
@@ -118,6 +87,25 @@ class Artifact {
 		this.glowIntensity = Math.sin(this.frameCount * 0.05) * 0.5 + 0.5;
 	}
 
+	getSnapshot() {
+		return {
+			type: this.type,
+			x: this.x,
+			y: this.y,
+			collected: this.collected,
+			discovered: this.discovered,
+			secondaryColor: this.secondaryColor,
+		};
+	}
+
+	restoreSnapshot(snapshot) {
+		this.x = snapshot.x;
+		this.y = snapshot.y;
+		this.collected = Boolean(snapshot.collected);
+		this.discovered = Boolean(snapshot.discovered);
+		this.secondaryColor = snapshot.secondaryColor || this.secondaryColor;
+	}
+
 	getCollisionBox() {
 		return {
 			x: this.x - this.width / 2,
@@ -0,0 +1,333 @@
+/**
+ * Completion certificate
+ * Holds the details of a finished run (player name, difficulty, time,
+ * health, skills, quiz score) and draws the certificate onto any canvas,
+ * so the victory screen, the PNG export and the printed page are the same.
+ */
+const certificateConfig = {
+	signatory: "Dipl. Ing. Paul Umukunzi, Director General RTB",
+	// Size the certificate is laid out for; exports are scaled up from it
+	width: 600,
+	height: 480,
+	exportScale: 3,
+	maxNameLength: 40,
+};
+
+class Certificate {
+	/**
+	 * @param {Object} details - { name, date (ms), difficulty, totalTime (s),
+	 *   health, skills: [skill ids], quiz: { correct, asked }, seed }
+	 */
+	constructor(details) {
+		this.details = { ...details, name: this.cleanName(details.name) };
+		this.code = this.sign();
+	}
+
+	cleanName(name) {
+		return String(name || "")
+			.trim()
+			.slice(0, certificateConfig.maxNameLength);
+	}
+
+	setName(name) {
+		this.details.name = this.cleanName(name);
+		this.code = this.sign();
+	}
+
+	// Signed verification code (see verification.js), checked on verify.html
+	sign() {
+		const d = this.details;
+		return certificateSigner.sign({
+			name: d.name,
+			day: certificateSigner.formatDay(d.date),
+			difficulty: d.difficulty,
+			totalTime: d.totalTime,
+			health: d.health,
+			quiz: d.quiz,
+			skillCount: d.skills.length,
+			seed: d.seed,
+		});
+	}
+
+	// Split text into lines no wider than maxWidth in the current font
+	wrapText(ctx, text, maxWidth) {
+		const lines = [];
+		let line = "";
+		for (const word of text.split(" ")) {
+			const candidate = line ? `${line} ${word}` : word;
+			if (line && ctx.measureText(candidate).width > maxWidth) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = candidate;
+			}
+		}
+		if (line) {
+			lines.push(line);
+		}
+		return lines;
+	}
+
+	draw(ctx, x, y, width, height) {
+		// Certificate background with elegant gradient
+		const certGradient = ctx.createLinearGradient(x, y, x, y + height);
+		certGradient.addColorStop(0, "#f8f9fa");
+		certGradient.addColorStop(0.1, "#ffffff");
+		certGradient.addColorStop(0.9, "#ffffff");
+		certGradient.addColorStop(1, "#e9ecef");
+
+		ctx.fillStyle = certGradient;
+		ctx.fillRect(x, y, width, height);
+
+		this.drawBorder(ctx, x, y, width, height);
+		this.drawContent(ctx, x, y, width, height);
+		this.drawDecorations(ctx, x, y, width, height);
+	}
+
+	drawBorder(ctx, x, y, width, height) {
+		const borderWidth = 8;
+		const rwandaColors = ["#00A0D5", "#E5BE01", "#20603D"];
+
+		ctx.lineWidth = borderWidth;
+		ctx.strokeStyle = "#2c3e50";
+		ctx.strokeRect(x, y, width, height);
+
+		// Inner decorative border with Rwanda colors
+		const innerBorder = 20;
+		ctx.lineWidth = 3;
+
+		// Top border - Blue
+		ctx.strokeStyle = rwandaColors[0];
+		ctx.beginPath();
+		ctx.moveTo(x + innerBorder, y + innerBorder);
+		ctx.lineTo(x + width - innerBorder, y + innerBorder);
+		ctx.stroke();
+
+		// Right border - Yellow
+		ctx.strokeStyle = rwandaColors[1];
+		ctx.beginPath();
+		ctx.moveTo(x + width - innerBorder, y + innerBorder);
+		ctx.lineTo(x + width - innerBorder, y + height - innerBorder);
+		ctx.stroke();
+
+		// Bottom border - Green
+		ctx.strokeStyle = rwandaColors[2];
+		ctx.beginPath();
+		ctx.moveTo(x + width - innerBorder, y + height - innerBorder);
+		ctx.lineTo(x + innerBorder, y + height - innerBorder);
+		ctx.stroke();
+
+		// Left border - Blue
+		ctx.strokeStyle = rwandaColors[0];
+		ctx.beginPath();
+		ctx.moveTo(x + innerBorder, y + height - innerBorder);
+		ctx.lineTo(x + innerBorder, y + innerBorder);
+		ctx.stroke();
+	}
+
+	drawContent(ctx, x, y, width, height) {
+		const centerX = x + width / 2;
+		const d = this.details;
+
+		// Header emblem/logo area
+		ctx.save();
+		ctx.fillStyle = "#20603D";
+		ctx.beginPath();
+		ctx.arc(centerX, y + 55, 22, 0, Math.PI * 2);
+		ctx.fill();
+
+		ctx.fillStyle = "#ffffff";
+		ctx.font = 'bold 20px "Arial", sans-serif';
+		ctx.textAlign = "center";
+		ctx.fillText("R", centerX, y + 62);
+		ctx.restore();
+
+		// Certificate title
+		ctx.save();
+		ctx.fillStyle = "#2c3e50";
+		ctx.font = 'bold 24px "Georgia", serif';
+		ctx.textAlign = "center";
+		ctx.fillText(i18n.t("certificate.title"), centerX, y + 100);
+
+		// Decorative line under title
+		ctx.strokeStyle = "#E5BE01";
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		ctx.moveTo(centerX - 100, y + 110);
+		ctx.lineTo(centerX + 100, y + 110);
+		ctx.stroke();
+		ctx.restore();
+
+		ctx.save();
+		ctx.fillStyle = "#34495e";
+		ctx.font = '15px "Georgia", serif';
+		ctx.textAlign = "center";
+		ctx.fillText(i18n.t("certificate.certify"), centerX, y + 138);
+
+		// Player name
+		ctx.font = 'bold italic 28px "Georgia", serif';
+		ctx.fillStyle = "#20603D";
+		ctx.fillText(d.name, centerX, y + 172, width - 100);
+
+		ctx.font = '15px "Georgia", serif';
+		ctx.fillStyle = "#34495e";
+		ctx.fillText(i18n.t("certificate.completed"), centerX, y + 204);
+
+		// Achievement title
+		ctx.font = 'bold 18px "Georgia", serif';
+		ctx.fillStyle = "#2c3e50";
+		ctx.fillText(
+			i18n.t("certificate.achievement"),
+			centerX,
+			y + 230,
+			width - 80,
+		);
+
+		// Program details
+		ctx.font = 'italic 13px "Georgia", serif';
+		ctx.fillStyle = "#7f8c8d";
+		ctx.fillText(i18n.t("certificate.program"), centerX, y + 252);
+		ctx.fillText(i18n.t("certificate.initiative"), centerX, y + 268);
+
+		// The run itself
+		ctx.font = '13px "Arial", sans-serif';
+		ctx.fillStyle = "#2c3e50";
+		const stats = [
+			i18n.t("certificate.difficulty", {
+				difficulty: i18n.t(`difficulty.${d.difficulty}`),
+			}),
+			i18n.t("certificate.time", { time: formatDuration(d.totalTime) }),
+			i18n.t("certificate.health", { health: d.health }),
+		];
+		if (d.quiz.asked > 0) {
+			stats.push(i18n.t("certificate.quiz", d.quiz));
+		}
+		ctx.fillText(stats.join("   "), centerX, y + 296, width - 80);
+
+		ctx.font = '12px "Arial", sans-serif';
+		const skills = i18n.t("certificate.skills", {
+			count: d.skills.length,
+			skills: d.skills.map((skill) => skillCatalog.getShortName(skill)).join(", "),
+		});
+		this.wrapText(ctx, skills, width - 120)
+			.slice(0, 2)
+			.forEach((line, index) => {
+				ctx.fillText(line, centerX, y + 316 + index * 15);
+			});
+
+		// Date (in the player's language), seed and verification code
+		ctx.fillText(
+			i18n.t("certificate.date", { date: i18n.formatDate(new Date(d.date)) }),
+			centerX,
+			y + height - 96,
+		);
+		ctx.font = '11px "Courier New", monospace';
+		ctx.fillStyle = "#7f8c8d";
+		ctx.fillText(
+			`${i18n.t("certificate.seed", { seed: d.seed })}   ${i18n.t(
+				"certificate.code",
+				{ code: this.code },
+			)}`,
+			centerX,
+			y + height - 80,
+			width - 80,
+		);
+
+		// Signature line
+		ctx.strokeStyle = "#bdc3c7";
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		ctx.moveTo(centerX - 80, y + height - 58);
+		ctx.lineTo(centerX + 80, y + height - 58);
+		ctx.stroke();
+
+		ctx.font = '12px "Arial", sans-serif';
+		ctx.fillStyle = "#2c3e50";
+		ctx.fillText(certificateConfig.signatory, centerX, y + height - 44);
+		ctx.restore();
+	}
+
+	drawDecorations(ctx, x, y, width, height) {
+		const cornerSize = 30;
+
+		ctx.save();
+		ctx.strokeStyle = "#E5BE01";
+		ctx.lineWidth = 2;
+
+		// Top-left corner
+		ctx.beginPath();
+		ctx.moveTo(x + 40, y + 40);
+		ctx.lineTo(x + 40 + cornerSize, y + 40);
+		ctx.moveTo(x + 40, y + 40);
+		ctx.lineTo(x + 40, y + 40 + cornerSize);
+		ctx.stroke();
+
+		// Top-right corner
+		ctx.beginPath();
+		ctx.moveTo(x + width - 40, y + 40);
+		ctx.lineTo(x + width - 40 - cornerSize, y + 40);
+		ctx.moveTo(x + width - 40, y + 40);
+		ctx.lineTo(x + width - 40, y + 40 + cornerSize);
+		ctx.stroke();
+
+		// Bottom-left corner
+		ctx.beginPath();
+		ctx.moveTo(x + 40, y + height - 40);
+		ctx.lineTo(x + 40 + cornerSize, y + height - 40);
+		ctx.moveTo(x + 40, y + height - 40);
+		ctx.lineTo(x + 40, y + height - 40 - cornerSize);
+		ctx.stroke();
+
+		// Bottom-right corner
+		ctx.beginPath();
+		ctx.moveTo(x + width - 40, y + height - 40);
+		ctx.lineTo(x + width - 40 - cornerSize, y + height - 40);
+		ctx.moveTo(x + width - 40, y + height - 40);
+		ctx.lineTo(x + width - 40, y + height - 40 - cornerSize);
+		ctx.stroke();
+
+		ctx.restore();
+	}
+
+	// The certificate alone on its own canvas, scaled up for export/printing
+	toCanvas(scale = certificateConfig.exportScale) {
+		const { width, height } = certificateConfig;
+		const canvas = document.createElement("canvas");
+		canvas.width = width * scale;
+		canvas.height = height * scale;
+
+		const ctx = canvas.getContext("2d");
+		ctx.scale(scale, scale);
+		this.draw(ctx, 0, 0, width, height);
+		return canvas;
+	}
+
+	getFileName() {
+		const name = this.details.name
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, "-")
+			.replace(/^-|-$/g, "");
+		return `certificate-${name || "player"}-${this.code}.png`;
+	}
+
+	// Download as a PNG file
+	exportPNG() {
+		const link = document.createElement("a");
+		link.download = this.getFileName();
+		link.href = this.toCanvas().toDataURL("image/png");
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+	}
+
+	// The print stylesheet shows only #certificate-print, one landscape page
+	print() {
+		const page = document.getElementById("certificate-print");
+		const image = page.querySelector("img");
+		image.onload = () => {
+			image.onload = null;
+			window.print();
+		};
+		image.src = this.toCanvas().toDataURL("image/png");
+	}
+}
@@ -0,0 +1,183 @@
+/**
+ * Difficulty presets
+ * Each preset tunes a whole run. "normal" is the game as it was first
+ * balanced (every scale 1), so a seed builds the same stages as it always
+ * did; "custom" holds the player's own values.
+ *
+ *   level       - Game.difficulty: stage * level sets the obstacle count,
+ *                 and each level above 1 takes 20s off the timer and one
+ *                 cell off the view radius
+ *   mazeSize    - Scale of the stage maze sizes (never below one screen)
+ *   loops       - Scale of the extra openings Maze.addLoops() makes
+ *   obstacles   - Scale of the obstacle count
+ *   obstacleMix - Relative chance of each obstacle type, null for even odds
+ *   damage      - Scale of obstacle damage
+ *   time        - Scale of the stage timer
+ *   stageHeal   - Health restored between stages
+ *   viewRadius  - Extra cells of view in fog of war (negative for fewer)
+ */
+const difficultyPresets = {
+	easy: {
+		level: 1,
+		mazeSize: 0.8,
+		loops: 1.6,
+		obstacles: 0.6,
+		obstacleMix: { laser: 1, tallLaser: 0, spike: 2, slowField: 2 },
+		damage: 0.5,
+		time: 1.5,
+		stageHeal: 50,
+		viewRadius: 2,
+	},
+	normal: {
+		level: 1,
+		mazeSize: 1,
+		loops: 1,
+		obstacles: 1,
+		obstacleMix: null,
+		damage: 1,
+		time: 1,
+		stageHeal: 20,
+		viewRadius: 0,
+	},
+	hard: {
+		level: 2,
+		mazeSize: 1,
+		loops: 0.35,
+		obstacles: 0.9,
+		obstacleMix: { laser: 2, tallLaser: 2, spike: 2, slowField: 1 },
+		damage: 1.25,
+		time: 1,
+		stageHeal: 10,
+		viewRadius: 0,
+	},
+	expert: {
+		level: 3,
+		mazeSize: 1.2,
+		loops: 0.15,
+		obstacles: 0.7,
+		obstacleMix: { laser: 2, tallLaser: 3, spike: 2, slowField: 1 },
+		damage: 1.5,
+		time: 0.85,
+		stageHeal: 0,
+		viewRadius: -1,
+	},
+};
+
+// Allowed range of each custom value (the obstacle mix weights use "mix")
+const customDifficultyLimits = {
+	level: { min: 1, max: 3, step: 1 },
+	mazeSize: { min: 0.5, max: 1.5, step: 0.1 },
+	loops: { min: 0, max: 2, step: 0.05 },
+	obstacles: { min: 0, max: 2, step: 0.1 },
+	damage: { min: 0.25, max: 2, step: 0.05 },
+	time: { min: 0.5, max: 2, step: 0.05 },
+	stageHeal: { min: 0, max: 100, step: 5 },
+	viewRadius: { min: -3, max: 3, step: 1 },
+	mix: { min: 0, max: 5, step: 1 },
+};
+
+class DifficultySettings {
+	constructor() {
+		this.storageKey = "futureskillsDifficulty";
+		this.name = "normal";
+		this.custom = { ...difficultyPresets.normal };
+		this.load();
+	}
+
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && typeof saved === "object") {
+				if (saved.custom) {
+					this.custom = this.sanitize(saved.custom);
+				}
+				if (this.getNames().includes(saved.name)) {
+					this.name = saved.name;
+				}
+			}
+		} catch (e) {
+			console.error("Failed to load difficulty:", e);
+		}
+	}
+
+	save() {
+		try {
+			localStorage.setItem(
+				this.storageKey,
+				JSON.stringify({ name: this.name, custom: this.custom }),
+			);
+		} catch (e) {
+			console.error("Failed to save difficulty:", e);
+		}
+	}
+
+	// In the order the picker shows them, easiest first
+	getNames() {
+		return [...Object.keys(difficultyPresets), "custom"];
+	}
+
+	select(name) {
+		if (this.getNames().includes(name)) {
+			this.name = name;
+			this.save();
+		}
+	}
+
+	setCustom(values) {
+		this.custom = this.sanitize(values);
+		this.save();
+	}
+
+	// Settings for a difficulty, by default the selected one
+	get(name = this.name) {
+		const preset = name === "custom" ? this.custom : difficultyPresets[name];
+		return { ...(preset || difficultyPresets.normal) };
+	}
+
+	/**
+	 * Clamp custom (or saved) values to the allowed ranges, filling in
+	 * anything missing from the normal preset
+	 */
+	sanitize(values) {
+		const clamp = (value, { min, max, step }, fallback) => {
+			const number = Number(value);
+			if (!Number.isFinite(number)) {
+				return fallback;
+			}
+			const stepped = Math.round(number / step) * step;
+			// Keep 0.1 steps from turning into 0.30000000000000004
+			return Math.min(max, Math.max(min, Number(stepped.toFixed(2))));
+		};
+
+		const settings = {};
+		for (const [key, fallback] of Object.entries(difficultyPresets.normal)) {
+			if (key === "obstacleMix") {
+				continue;
+			}
+			settings[key] = clamp(
+				values[key],
+				customDifficultyLimits[key],
+				fallback,
+			);
+		}
+
+		settings.obstacleMix = null;
+		if (values.obstacleMix && typeof values.obstacleMix === "object") {
+			const mix = {};
+			for (const type of Object.keys(obstacleTypeInfo)) {
+				mix[type] = clamp(
+					values.obstacleMix[type],
+					customDifficultyLimits.mix,
+					1,
+				);
+			}
+			// All zero would leave nothing to place
+			if (Object.values(mix).some((weight) => weight > 0)) {
+				settings.obstacleMix = mix;
+			}
+		}
+		return settings;
+	}
+}
+
+const difficultySettings = new DifficultySettings();
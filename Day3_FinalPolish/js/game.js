@@ -12,6 +12,10 @@ class Game {
 		this.height = this.canvas.height;
 		this.cellSize = 40;
 		this.difficulty = 1;
+		// Shown on the HUD and certificate as "difficulty.<name>" in i18n.js
+		this.difficultyName = "normal";
+		// Settings of the run's difficulty (see difficulty.js)
+		this.difficultyPreset = { ...difficultyPresets.normal };
 
 		// Debug mode
 		this.debugMode = false;
@@ -28,14 +32,50 @@ class Game {
 		this.stage = 1;
 		this.maxStage = 3;
 		this.timer = 180; // 3 minutes per stage
+		this.stageTimeLimit = 180; // Full timer for the current stage
 		this.artifactsCollected = 0;
 		this.totalArtifacts = 3;
 		this.isExitingStage = false; // Flag to prevent multiple completions
+		this.playTime = 0; // ms actually played this run, for the certificate
+		// playTime when the current stage began, null if unknown (old saves)
+		this.stageStartTime = 0;
+		// playTime already added to the profile's statistics
+		this.recordedPlayTime = 0;
+		// Obstacle type that last hurt the player, counted as the cause of death
+		this.lastDamageType = null;
+		// StageScorer.scoreStage() of each cleared stage this run
+		this.stageScores = [];
+		// Route and obstacles of the current stage, for its score
+		this.stageRecord = null;
+		// Score breakdown shown between stages, null the rest of the time
+		this.stageSummary = null;
+		this.skillsLearned = []; // Skills of the artifacts collected this run
+		this.certificate = null;
+
+		// "Continue" resumes saveKey. The autosave is written while playing
+		// and cleared when the game is left through the menu, so one that is
+		// still there means the tab was closed or crashed mid-game.
+		this.saveKey = "futureskillsArtifact";
+		this.autosaveKey = "futureskillsAutosave";
+		this.autosaveInterval = 30000; // ms of play between autosaves
+		this.lastAutosave = 0;
+
+		// Quiz mode: collecting an artifact asks a question about its skill
+		this.quizMode = this.loadQuizMode();
+		this.quizRewards = { health: 20, time: 15 };
+		// Answers per skill for the end summary: { skill: { correct, asked } }
+		this.quizResults = {};
+
+		// Seed for reproducible stages (can be shared via ?seed=...)
+		this.urlSeed = new URLSearchParams(window.location.search).get("seed");
+		this.seed = null;
+		this.random = Math.random;
 
 		// Stage themes
 		this.themes = {
 			1: {
 				name: "Colorful Rwanda",
+				algorithm: "recursive-backtracker", // Long winding corridors
 				wallColor: "#00A0D5", // Rwanda blue
 				floorColor: "#001122",
 				floorDetailColor: "#20603D", // Rwanda green
@@ -44,6 +84,7 @@ class Game {
 			},
 			2: {
 				name: "Digital Sky",
+				algorithm: "prim", // Short branching dead ends
 				wallColor: "#00ccff",
 				floorColor: "#001133",
 				floorDetailColor: "#003366",
@@ -52,6 +93,7 @@ class Game {
 			},
 			3: {
 				name: "Future Campus",
+				algorithm: "wilson", // Unbiased, evenly mixed corridors
 				wallColor: "#00ff99",
 				floorColor: "#002211",
 				floorDetailColor: "#004422",
@@ -71,6 +113,17 @@ class Game {
 		this.player = null;
 		this.artifacts = [];
 		this.obstacleManager = new ObstacleManager();
+		this.visibility = null;
+		this.minimap = new Minimap();
+		this.touchControls = new TouchControls(this);
+		this.gamepadControls = new GamepadControls(this);
+		this.stageValidator = new StageValidator();
+		// The last attempt only has to be solvable, however short the paths
+		this.lastAttemptValidator = new StageValidator({
+			minArtifactDistance: 0,
+			minExitDistanceRatio: 0,
+		});
+		this.maxStageAttempts = 5;
 
 		// Time tracking
 		this.lastTime = 0;
@@ -82,7 +135,34 @@ class Game {
 		this.timerElement = document.getElementById("timer");
 		this.artifactsElement = document.getElementById("artifacts");
 		this.healthElement = document.getElementById("health");
+		this.seedElement = document.getElementById("seed");
+		this.splitElement = document.getElementById("split");
+		this.difficultyElement = document.getElementById("difficulty");
 		this.stageElement = document.querySelector(".stage-indicator");
+		this.certificatePanel = document.getElementById("certificate-panel");
+		this.certificateNameInput = document.getElementById("certificate-name");
+		this.leaderboardPanel = document.getElementById("leaderboard-panel");
+		this.leaderboardPlacement = document.getElementById(
+			"leaderboard-placement",
+		);
+		this.leaderboardInitialsInput = document.getElementById(
+			"leaderboard-initials",
+		);
+		this.leaderboardOkButton = document.getElementById("leaderboard-ok-button");
+		// Leaderboard.submitRun() of the run just finished, while its initials
+		// can still be changed
+		this.leaderboardRun = null;
+		this.replayControls = document.getElementById("replay-controls");
+		this.replayPlayButton = document.getElementById("replay-play-button");
+		this.replayScrub = document.getElementById("replay-scrub");
+		this.replayTime = document.getElementById("replay-time");
+		this.replaySpeed = document.getElementById("replay-speed");
+		this.replayExitButton = document.getElementById("replay-exit-button");
+		// ReplayPlayer while a recorded run is being watched
+		this.replay = null;
+		// Time trial rules (see timetrial.js), and the TimeTrialRun timing it
+		this.timeTrial = false;
+		this.timeTrialRun = null;
 
 		// Performance optimization
 		this.offscreenCanvas = document.createElement("canvas");
@@ -106,6 +186,22 @@ class Game {
 
 		this.animationFrameId = null;
 
+		// Maze size per stage in cells, independent of the canvas size.
+		// Anything larger than the canvas (20x15 cells) scrolls with the camera.
+		this.stageMazeSizes = {
+			1: { cols: 20, rows: 15 },
+			2: { cols: 40, rows: 30 },
+			3: { cols: 60, rows: 45 },
+		};
+
+		// Fog of war per stage: "off", "radius" (see through walls) or
+		// "lineOfSight" (walls block the view). Radius is in cells.
+		this.stageVisibility = {
+			1: { mode: "off" },
+			2: { mode: "radius", radius: 7 },
+			3: { mode: "lineOfSight", radius: 8 },
+		};
+
 		this.stageSkills = {
 			1: ["ai", "cybersecurity", "machine-learning"],
 			2: ["cloud", "data-science", "iot"],
@@ -113,17 +209,18 @@ class Game {
 		};
 
 		window.addEventListener("keydown", (e) => {
-			this.activeKeys[e.key] = true;
-
-			// Debug victory trigger with V key when in debug mode
-			if (e.key === "v" && this.debugMode) {
-				console.log("Victory screen triggered manually");
-				this.stage = this.maxStage; // Set to final stage
-				this.artifactsCollected = this.totalArtifacts; // Set artifacts collected
-				this.isExitingStage = true;
-				this.completeStage();
-				e.preventDefault();
+			// Typing a name shouldn't pause the game or toggle the minimap
+			if (isTextEntry(e.target)) {
+				return;
 			}
+			if (this.replay) {
+				if (this.handleReplayKey(e.key)) {
+					e.preventDefault();
+				}
+				return;
+			}
+
+			this.activeKeys[e.key] = true;
 
 			// Debug combination: Ctrl+Alt+3 to force final stage completion
 			if (
@@ -132,51 +229,22 @@ class Game {
 				this.activeKeys["3"]
 			) {
 				console.log("Cheat code activated: Victory screen");
-				this.stage = this.maxStage;
-				this.artifactsCollected = this.totalArtifacts;
-				this.isExitingStage = true;
-				this.completeStage();
-				e.preventDefault();
-			}
-
-			// Handle ESC key for pause/menu
-			if (e.key === "Escape" && this.running) {
-				this.togglePause();
+				this.triggerVictory();
 				e.preventDefault();
 			}
 
-			// Toggle debug mode with F1 key
-			if (e.key === "F1") {
-				this.toggleDebugMode();
-				e.preventDefault();
-			}
-
-			// Toggle shortest path with F2 key
-			if (e.key === "F2" && this.debugMode) {
-				this.toggleShortestPath();
-				e.preventDefault();
-			}
-
-			// Cycle through artifacts with F3 key
-			if (e.key === "F3" && this.debugMode && this.showShortestPath) {
-				this.cycleTargetArtifact();
-				e.preventDefault();
-			}
-
-			// Toggle artifact visibility with F4 key
-			if (e.key === "F4" && this.debugMode) {
-				this.showAllArtifacts = !this.showAllArtifacts;
-				console.log(
-					`Show all artifacts: ${this.showAllArtifacts ? "ON" : "OFF"}`,
-				);
-				e.preventDefault();
+			if (this.stageSummary) {
+				if (e.key === "Enter" || e.key === " ") {
+					this.continueFromStageSummary();
+					e.preventDefault();
+				}
+				return;
 			}
 
-			// Toggle obstacle visibility with F5 key
-			if (e.key === "F5" && this.debugMode) {
-				this.showObstacles = !this.showObstacles;
-				console.log(`Show obstacles: ${this.showObstacles ? "ON" : "OFF"}`);
-				e.preventDefault();
+			for (const action of inputMap.getActions(e.key)) {
+				if (this.handleAction(action)) {
+					e.preventDefault();
+				}
 			}
 
 			if (this.hasAudio && !audioManager.initialized) {
@@ -187,28 +255,86 @@ class Game {
 		window.addEventListener("keyup", (e) => {
 			delete this.activeKeys[e.key];
 		});
+
+		// Scale the canvas down to fit phones in portrait and landscape
+		this.resizeCanvas();
+		window.addEventListener("resize", () => this.resizeCanvas());
+		window.addEventListener("orientationchange", () => this.resizeCanvas());
+
+		// Canvas text is redrawn every frame, only the HUD needs refreshing
+		i18n.onChange(() => {
+			if (this.player) {
+				this.updateHUD();
+			}
+		});
 		
-		window.addEventListener("beforeunload", () => {
-			// Only save if the game is actually running (not game over, not paused, not completed)
-			if (this.running && !this.gameOver && !this.win) {
-				this.saveGameState(false);
+		window.addEventListener("beforeunload", () => this.autosave());
+		document.addEventListener("visibilitychange", () => {
+			// Phones may discard a background tab without unloading it
+			if (document.visibilityState === "hidden") {
+				this.autosave();
 			}
 		});
 
+		this.setupCertificatePanel();
+		this.setupLeaderboardPanel();
+		this.setupReplayControls();
+
 		this.menuSystem = new MenuSystem(this);
 	}
 
-	startNewGame() {
+	resizeCanvas() {
+		// Leave room above the canvas for the HUD, never scale above 100%
+		const hudSpace = 70;
+		const scale = Math.min(
+			1,
+			window.innerWidth / this.width,
+			(window.innerHeight - hudSpace * 2) / this.height,
+		);
+		const safeScale = Math.max(0.1, scale);
+
+		this.canvas.style.width = `${Math.floor(this.width * safeScale)}px`;
+		this.canvas.style.height = `${Math.floor(this.height * safeScale)}px`;
+	}
+
+	/**
+	 * @param {Object} options - { timeTrial, seed } for a time trial on a
+	 *   chosen seed
+	 */
+	startNewGame(options = {}) {
+		this.setDifficulty(difficultySettings.name, difficultySettings.get());
 		this.stage = 1;
+		this.seed = options.seed || this.urlSeed || generateSeed();
+		this.timeTrial = Boolean(options.timeTrial);
+		this.timeTrialRun = this.timeTrial
+			? new TimeTrialRun(
+					timeTrialRecords.getBest(
+						this.getTimeTrialDifficulty(),
+						this.seed,
+					),
+				)
+			: null;
 		this.gameOver = false;
 		this.win = false;
 		this.isExitingStage = false;
-		this.initStage(true);
+		this.quizResults = {};
+		this.playTime = 0;
+		this.recordedPlayTime = 0;
+		this.stageScores = [];
+		this.skillsLearned = [];
+		this.certificate = null;
+		if (!this.initStage(true)) {
+			return;
+		}
+		statsTracker.recordGameStarted();
 		
 		this.backgroundParticles = [];
 		this._victoryRendered = false;
 		
 		this.saveGameState(false);
+		this.clearAutosave();
+		this.lastAutosave = 0;
+		replayRecorder.start(this);
 		
 		this.running = true;
 		this.lastTime = performance.now();
@@ -222,40 +348,22 @@ class Game {
 		);
 	}
 
-	loadSavedGame() {
-		const savedState = this.loadGameState();
+	/**
+	 * Resume a saved game, by default the one "Continue" offers
+	 * @param {Object} savedState - Snapshot from createSnapshot() (or a slot)
+	 */
+	loadSavedGame(savedState = this.loadGameState()) {
 		if (savedState) {
-			// Set stage and difficulty from saved state
-			this.stage = savedState.stage || 1;
-			this.difficulty = savedState.difficulty || this.difficulty;
-			this.isExitingStage = false;
-			
-			// Store timer value to use after initialization
-			const savedTimer = savedState.timeRemaining;
-			
-			// Initialize the stage first (preserve timer)
-			this.initStage(true, true);
-			
-			// Create player and restore health
-			this.player = new Player(this.maze, this.cellSize);
-			if (savedState.health) {
-				this.player.health = savedState.health;
-			}
-			
-			// Restore artifacts collected
-			if (typeof savedState.artifacts === 'number') {
-				this.artifactsCollected = Math.min(savedState.artifacts, this.totalArtifacts);
-				
-				// Mark the appropriate number of artifacts as collected
-				for (let i = 0; i < this.artifactsCollected && i < this.artifacts.length; i++) {
-					this.artifacts[i].collected = true;
-				}
-			}
-			if (typeof savedTimer === 'number') {
-				this.timer = savedTimer;
+			if (!this.restoreState(savedState)) {
+				return;
 			}
-			
-			this.updateHUD();
+
+			// "Continue" now resumes this game, even if it came from a slot
+			// or the autosave
+			this.saveGameState(false);
+			this.clearAutosave();
+			this.lastAutosave = this.playTime;
+			replayRecorder.start(this);
 			
 			// Start game
 			this.running = true;
@@ -267,46 +375,143 @@ class Game {
 				this.gameLoop(timestamp),
 			);
 			
-			console.log('Game state restored successfully', savedState);
+			console.log(
+				`Game state restored successfully (stage ${this.stage}, seed ${this.seed})`,
+			);
 		} else {
 			this.startNewGame();
 		}
 	}
 
+	/**
+	 * Put the game in a saved state, without starting it (loadSavedGame, and
+	 * replays going back to one of their snapshots)
+	 * @returns {boolean} false if the stage was refused (see refuseStage)
+	 */
+	restoreState(savedState) {
+		// Set stage and difficulty from saved state
+		this.stage = savedState.stage || 1;
+		// Saves from before difficulties could be picked are all normal.
+		// Custom ones keep the values they were started with.
+		const difficultyName = difficultySettings
+			.getNames()
+			.includes(savedState.difficultyName)
+			? savedState.difficultyName
+			: "normal";
+		this.setDifficulty(
+			difficultyName,
+			difficultyName === "custom" && savedState.difficultyPreset
+				? difficultySettings.sanitize(savedState.difficultyPreset)
+				: difficultySettings.get(difficultyName),
+		);
+		this.seed = savedState.seed || generateSeed();
+		this.timeTrial = Boolean(savedState.timeTrial);
+		this.timeTrialRun = null;
+		// Replays show the run, they don't time it
+		if (this.timeTrial && !this.replay) {
+			const run = new TimeTrialRun(
+				timeTrialRecords.getBest(
+					this.getTimeTrialDifficulty(),
+					this.seed,
+				),
+			);
+			if (run.restoreSnapshot(savedState.timeTrialRun)) {
+				this.timeTrialRun = run;
+			}
+		}
+		this.isExitingStage = false;
+		this.gameOver = false;
+		this.win = false;
+		this.quizResults = savedState.quizResults || {};
+		this.playTime = savedState.playTime || 0;
+		this.skillsLearned = savedState.skillsLearned || [];
+		this.certificate = null;
+
+		if (!savedState.world || !this.restoreWorld(savedState)) {
+			// Old saves only know the stage: rebuild it from its seed
+			// (preserving the timer) and mark the first artifacts collected
+			if (!this.initStage(true, true)) {
+				return false;
+			}
+			
+			// Restore health on the player spawned by initStage
+			if (savedState.health) {
+				this.player.health = savedState.health;
+			}
+			
+			this.artifactsCollected = Math.min(
+				savedState.artifactsCollected || 0,
+				this.totalArtifacts,
+			);
+			for (let i = 0; i < this.artifactsCollected && i < this.artifacts.length; i++) {
+				this.artifacts[i].collected = true;
+			}
+		}
+
+		if (typeof savedState.timer === 'number') {
+			this.timer = savedState.timer;
+		}
+		this.stageStartTime =
+			typeof savedState.stageStartTime === 'number'
+				? savedState.stageStartTime
+				: null;
+		this.stageScores = savedState.stageScores || [];
+		// Without the route so far, the stage scores no path efficiency
+		this.stageRecord =
+			savedState.stageRecord || stageScorer.createRecord(null);
+		this.recordedPlayTime = this.playTime;
+		
+		this.updateHUD();
+		return true;
+	}
+
+	/**
+	 * Build the current stage and place the player
+	 * @returns {boolean} false if the stage was refused (see refuseStage)
+	 */
 	initStage(isNewGame = false, preserveTimer = false) {
+		const skillCheck = skillCatalog.validateSkills(this.getStageSkills(), {
+			requireQuiz: this.quizMode,
+		});
+		if (!skillCheck.valid) {
+			this.refuseStage(
+				skillCheck.errors.map((error) => skillCatalog.describeError(error)),
+			);
+			return false;
+		}
+
 		try {
 			// Reset exit flag
 			this.isExitingStage = false;
 
 			this.currentTheme = this.themes[this.stage];
 
+			if (!this.seed) {
+				this.seed = generateSeed();
+			}
+
 			// Scale difficulty based on stage and settings
 			const stageDifficulty = this.stage * this.difficulty;
 
-			this.maze = new Maze(
-				this.width,
-				this.height,
-				this.cellSize,
-				stageDifficulty,
-			);
+			const spawnCell = this.buildStage(stageDifficulty);
 
 			if (!this.player || isNewGame) {
-				this.player = new Player(this.maze, this.cellSize);
+				this.setPlayer(new Player(this.maze, this.cellSize, spawnCell));
+				this.player.clearanceHeight = ObstacleManager.getClearanceHeight();
 			} else {
 				// Store reference to the new maze
 				this.player.maze = this.maze;
 
-				// Move existing player to a new starting position
-				const startCell = this.maze.getRandomEmptyCell();
-				this.player.x = (startCell.x + 0.5) * this.cellSize;
-				this.player.y = (startCell.y + 0.5) * this.cellSize;
+				// Move existing player to the validated starting position
+				this.player.x = (spawnCell.x + 0.5) * this.cellSize;
+				this.player.y = (spawnCell.y + 0.5) * this.cellSize;
 
 				// Reset velocity to prevent wall clipping on stage transition
 				this.player.vx = 0;
 				this.player.vy = 0;
 
-				// Heal player slightly between stages
-				this.player.heal(20);
+				// Heal player between stages
+				this.player.heal(this.difficultyPreset.stageHeal);
 
 				// Reset death state if needed
 				this.player.isDead = false;
@@ -321,47 +526,553 @@ class Game {
 				}
 			}
 
-			// Create artifacts
-			const skills = this.stageSkills[this.stage] || this.stageSkills[1];
+			// Reset timer based on difficulty (less time on higher difficulty)
+			// Only reset timer if not preserving existing timer
+			this.stageTimeLimit = this.getStageTimeLimit();
+			if (!preserveTimer) {
+				this.timer = this.stageTimeLimit;
+				this.stageStartTime = this.playTime;
+				this.stageRecord = stageScorer.createRecord(
+					stageScorer.getOptimalPathLength(
+						this.maze,
+						spawnCell,
+						this.artifacts.map((artifact) => this.getCell(artifact)),
+					),
+				);
+			}
+			this.visibility = new VisibilityMap(this.maze, this.getStageVisibility());
+			this.updateVisibility();
+
+			this.updateCamera(true);
+			this.generateBackgroundParticles();
+			this.updateHUD();
+			this.showStageTheme();
+
+		} catch (error) {
+			console.error("Error initializing stage:", error);
+			this.refuseStage([error.message]);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Rebuild the saved stage exactly: walls, exit, artifacts, obstacles,
+	 * explored cells and the player with their effects
+	 * @returns {boolean} false if the snapshot can't be used
+	 */
+	restoreWorld(savedState) {
+		const { world } = savedState;
+
+		try {
+			const skillCheck = skillCatalog.validateSkills(
+				world.artifacts.map((artifact) => artifact.type),
+				{ requireQuiz: this.quizMode },
+			);
+			if (!skillCheck.valid) {
+				return false;
+			}
+
+			this.currentTheme = this.themes[this.stage];
+			this.random = this.createStageRandom(this.stage);
+			const stageDifficulty = this.stage * this.difficulty;
+
+			const maze = new Maze(
+				world.maze.cols * this.cellSize,
+				world.maze.rows * this.cellSize,
+				this.cellSize,
+				stageDifficulty,
+				{
+					random: this.random,
+					algorithm: world.maze.algorithm,
+					loops: this.difficultyPreset.loops,
+				},
+			);
+			maze.restoreSnapshot(world.maze);
+
+			const artifacts = world.artifacts.map((saved) => {
+				const artifact = new Artifact(
+					maze,
+					this.cellSize,
+					saved.type,
+					this.random,
+				);
+				artifact.restoreSnapshot(saved);
+				return artifact;
+			});
+
+			const player = new Player(maze, this.cellSize, { x: 0, y: 0 });
+			player.clearanceHeight = ObstacleManager.getClearanceHeight();
+			player.restoreSnapshot(world.player);
+
+			this.obstacleManager.restoreObstacles(
+				world.obstacles,
+				this.cellSize,
+				stageDifficulty,
+				this.random,
+			);
+
+			this.maze = maze;
+			this.artifacts = artifacts;
+			this.setPlayer(player);
+			this.totalArtifacts = artifacts.length;
+			this.artifactsCollected = artifacts.filter((a) => a.collected).length;
+			this.stageTimeLimit =
+				savedState.stageTimeLimit || this.getStageTimeLimit();
+			this.timeElapsed = savedState.timeElapsed || 0;
+
+			this.visibility = new VisibilityMap(maze, this.getStageVisibility());
+			this.visibility.restoreSnapshot(world.explored);
+			this.updateVisibility();
+
+			this.updateCamera(true);
+			this.generateBackgroundParticles();
+			this.showStageTheme();
+			return true;
+		} catch (error) {
+			console.error("Failed to restore the saved stage:", error);
+			return false;
+		}
+	}
+
+	showStageTheme() {
+		if (this.stageElement) {
+			this.stageElement.textContent = i18n.t("hud.stageTheme", {
+				stage: this.stage,
+				maxStage: this.maxStage,
+				theme: i18n.t(`theme.${this.stage}`),
+			});
+		}
+	}
+
+	// Difficulty for the run about to start or resume
+	setDifficulty(name, preset) {
+		this.difficultyName = name;
+		this.difficultyPreset = preset;
+		this.difficulty = preset.level;
+	}
+
+	loadQuizMode() {
+		try {
+			return localStorage.getItem("futureskillsQuizMode") === "on";
+		} catch (e) {
+			return false;
+		}
+	}
+
+	setQuizMode(enabled) {
+		this.quizMode = enabled;
+		try {
+			localStorage.setItem("futureskillsQuizMode", enabled ? "on" : "off");
+		} catch (e) {
+			console.error("Failed to save quiz mode:", e);
+		}
+	}
+
+	/**
+	 * Tally a quiz answer and reward a correct one: health if the player is
+	 * hurt, otherwise extra time
+	 * @returns {string|null} Reward message for the popup
+	 */
+	handleQuizAnswer(skill, correct) {
+		if (!this.quizResults[skill]) {
+			this.quizResults[skill] = { correct: 0, asked: 0 };
+		}
+		this.quizResults[skill].asked++;
+
+		if (!correct) {
+			return null;
+		}
+		this.quizResults[skill].correct++;
+
+		const kind =
+			this.player && this.player.health < this.player.maxHealth
+				? "health"
+				: "time";
+		replayRecorder.recordReward(kind);
+		this.applyQuizReward(kind);
+
+		if (this.hasAudio) {
+			audioManager.playCollectSound();
+		}
+		return kind === "health"
+			? i18n.t("quiz.rewardHealth", { amount: this.quizRewards.health })
+			: i18n.t("quiz.rewardTime", { amount: this.quizRewards.time });
+	}
+
+	// @param {string} kind - "health" or "time"
+	applyQuizReward(kind) {
+		if (kind === "health") {
+			this.player.heal(this.quizRewards.health);
+		} else {
+			this.timer += this.quizRewards.time;
+		}
+		this.updateHUD();
+	}
+
+	// Overall and per-skill quiz totals, in the order skills were asked
+	getQuizSummary() {
+		let correct = 0;
+		let asked = 0;
+		const skills = Object.entries(this.quizResults).map(([skill, result]) => {
+			correct += result.correct;
+			asked += result.asked;
+			return { skill, ...result };
+		});
+		return { correct, asked, skills };
+	}
+
+	// Quiz totals under the game over / victory screen (nothing if no quiz)
+	renderQuizSummary(y, color = "#ffffff") {
+		const summary = this.getQuizSummary();
+		if (summary.asked === 0) {
+			return;
+		}
+
+		this.ctx.save();
+		this.ctx.textAlign = "center";
+		this.ctx.fillStyle = color;
+		this.ctx.font = 'bold 14px "Courier New", monospace';
+		this.ctx.fillText(i18n.t("quiz.summary", summary), this.width / 2, y);
+
+		// Three skills per line
+		this.ctx.font = '12px "Courier New", monospace';
+		for (let i = 0; i < summary.skills.length; i += 3) {
+			const line = summary.skills
+				.slice(i, i + 3)
+				.map(
+					(result) =>
+						`${skillCatalog.getShortName(result.skill)} ${result.correct}/${result.asked}`,
+				)
+				.join("   ");
+			y += 16;
+			this.ctx.fillText(line, this.width / 2, y);
+		}
+		this.ctx.restore();
+	}
+
+	// The old player stops taking keyboard input (restores, replay seeks and
+	// new games each build a new one)
+	setPlayer(player) {
+		this.player?.destroy?.();
+		this.player = player;
+	}
+
+	getStageSkills() {
+		return this.stageSkills[this.stage] || this.stageSkills[1];
+	}
+
+	// A stage whose skills have no catalog content would spawn blank
+	// artifacts and empty popups, and one that can't be built can't be won,
+	// so go back to the menu instead
+	refuseStage(reasons) {
+		console.error(`Stage ${this.stage} can't start:`, reasons);
+
+		this.returnToMenu();
+		alert(
+			i18n.t("stage.refused", { stage: this.stage, reasons: reasons.join("; ") }),
+		);
+	}
+
+	/**
+	 * Generate the maze, spawn cell, artifacts and obstacles for the current
+	 * stage, validating the result. Wall problems are repaired in place; if
+	 * distance constraints still fail the stage is regenerated from a derived
+	 * seed, so a given seed always ends up with the same stage. The last
+	 * attempt waives the distance minimums.
+	 * @returns {{x: number, y: number}} the spawn cell for the player
+	 * @throws {Error} if not even the last attempt is solvable
+	 */
+	buildStage(stageDifficulty) {
+		for (let attempt = 0; attempt < this.maxStageAttempts; attempt++) {
+			// Every stage gets its own seeded random source, so the same seed
+			// always recreates the same walls, exit, artifacts, obstacles and spawn
+			this.random = this.createStageRandom(this.stage, attempt);
+			const validator =
+				attempt === this.maxStageAttempts - 1
+					? this.lastAttemptValidator
+					: this.stageValidator;
+
+			const size = this.getStageMazeSize();
+			this.maze = new Maze(
+				size.cols * this.cellSize,
+				size.rows * this.cellSize,
+				this.cellSize,
+				stageDifficulty,
+				{
+					random: this.random,
+					algorithm: this.currentTheme.algorithm,
+					loops: this.difficultyPreset.loops,
+				},
+			);
+
+			const spawnCell = this.maze.getRandomEmptyCell();
+
+			// Create artifacts, each on a cell of its own away from the spawn
+			const skills = this.getStageSkills();
+			const occupied = new Set([`${spawnCell.x},${spawnCell.y}`]);
 			this.totalArtifacts = skills.length;
 			this.artifacts = [];
 			this.artifactsCollected = 0;
 			for (let i = 0; i < skills.length; i++) {
-				this.artifacts.push(new Artifact(this.maze, this.cellSize, skills[i]));
+				const artifact = new Artifact(
+					this.maze,
+					this.cellSize,
+					skills[i],
+					this.random,
+					occupied,
+				);
+				const cell = this.getCell(artifact);
+				occupied.add(`${cell.x},${cell.y}`);
+				this.artifacts.push(artifact);
 			}
 
-			// Generate obstacles (more with higher difficulty and stage)
-			const obstacleCount = 2 + stageDifficulty * 2; // Increase more per stage
+			// Generate obstacles (more with higher difficulty and stage),
+			// keeping the same density per screen on larger mazes
+			const screenArea =
+				Math.floor(this.width / this.cellSize) *
+				Math.floor(this.height / this.cellSize);
+			const areaScale = Math.max(
+				1,
+				(this.maze.cols * this.maze.rows) / screenArea,
+			);
+			const { obstacles, obstacleMix } = this.difficultyPreset;
+			const obstacleCount = Math.round(
+				(2 + stageDifficulty * 2) * areaScale * obstacles,
+			);
 			this.obstacleManager.generateObstacles(
 				this.maze,
 				this.cellSize,
 				obstacleCount,
 				stageDifficulty,
+				this.random,
+				obstacleMix,
 			);
 
-			// Reset timer based on difficulty (less time on higher difficulty)
-			// Only reset timer if not preserving existing timer
-			if (!preserveTimer) {
-				this.timer = Math.max(60, 180 - (this.difficulty - 1) * 20);
+			let result = validator.validate(this.maze, spawnCell, this.artifacts);
+			if (!result.valid && validator.repair(this.maze, spawnCell)) {
+				result = validator.validate(this.maze, spawnCell, this.artifacts);
 			}
-			this.generateBackgroundParticles();
-			this.updateHUD();
 
-			if (this.stageElement) {
-				this.stageElement.textContent = `Stage: ${this.stage}/${this.maxStage} - ${this.currentTheme.name}`;
+			if (result.valid) {
+				return spawnCell;
 			}
 
-		} catch (error) {
-			console.error("Error initializing stage:", error);
-			// Fallback to a basic setup if initialization fails
-			this.maze = new Maze(this.width, this.height, this.cellSize, 1);
-			this.player = new Player(this.maze, this.cellSize);
-			this.artifacts = [];
-			this.timer = 120;
-			this.updateHUD();
+			console.warn(
+				`Stage ${this.stage} failed validation (attempt ${attempt + 1}):`,
+				result.errors,
+			);
+		}
+
+		throw new Error(
+			`Stage ${this.stage} unsolvable in ${this.maxStageAttempts} attempts`,
+		);
+	}
+
+	// Scaled by the difficulty, but never smaller than one screen
+	getStageMazeSize() {
+		const screen = {
+			cols: Math.floor(this.width / this.cellSize),
+			rows: Math.floor(this.height / this.cellSize),
+		};
+		const size = this.stageMazeSizes[this.stage] || screen;
+		const scale = this.difficultyPreset.mazeSize;
+		return {
+			cols: Math.max(screen.cols, Math.round(size.cols * scale)),
+			rows: Math.max(screen.rows, Math.round(size.rows * scale)),
+		};
+	}
+
+	// View radius shrinks by one cell per difficulty level above 1, plus
+	// the difficulty's own adjustment
+	getStageVisibility() {
+		const config = this.stageVisibility[this.stage] || { mode: "off" };
+		const radius = config.radius
+			? Math.max(
+					3,
+					config.radius -
+						(this.difficulty - 1) +
+						this.difficultyPreset.viewRadius,
+				)
+			: undefined;
+		return { ...config, radius };
+	}
+
+	// Reveal what the player can see; artifacts and obstacles stay hidden
+	// until they have been in view once
+	updateVisibility() {
+		this.visibility.update(this.player.x, this.player.y);
+
+		for (const artifact of this.artifacts) {
+			if (
+				!artifact.discovered &&
+				this.visibility.isPointVisible(artifact.x, artifact.y)
+			) {
+				artifact.discovered = true;
+			}
+		}
+
+		for (const obstacle of this.obstacleManager.obstacles) {
+			if (
+				!obstacle.discovered &&
+				this.visibility.isPointVisible(obstacle.x, obstacle.y)
+			) {
+				obstacle.discovered = true;
+			}
 		}
 	}
 
+	// Base timer shrinks with difficulty, larger mazes get extra time
+	getStageTimeLimit() {
+		const baseTime = Math.round(
+			Math.max(60, 180 - (this.difficulty - 1) * 20) *
+				this.difficultyPreset.time,
+		);
+		const screenCells =
+			Math.floor(this.width / this.cellSize) *
+			Math.floor(this.height / this.cellSize);
+		const extraCells = this.maze.cols * this.maze.rows - screenCells;
+		return baseTime + Math.max(0, Math.floor(extraCells / 20));
+	}
+
+	// Grid cell of anything with a pixel position (player, artifact, ...)
+	getCell({ x, y }) {
+		return {
+			x: Math.floor(x / this.cellSize),
+			y: Math.floor(y / this.cellSize),
+		};
+	}
+
+	// World (maze) size in pixels, falls back to the canvas before a maze exists
+	getWorldSize() {
+		if (!this.maze) {
+			return { width: this.width, height: this.height };
+		}
+		return {
+			width: this.maze.cols * this.cellSize,
+			height: this.maze.rows * this.cellSize,
+		};
+	}
+
+	getViewport() {
+		return {
+			x: this.cameraX,
+			y: this.cameraY,
+			width: this.width,
+			height: this.height,
+		};
+	}
+
+	createStageRandom(stage, attempt = 0) {
+		const suffix = attempt > 0 ? `:${attempt}` : "";
+		return createSeededRandom(`${this.seed}:${stage}${suffix}`);
+	}
+
+	getShareUrl() {
+		const url = new URL(window.location.href);
+		url.searchParams.set("seed", this.seed);
+		return url.toString();
+	}
+
+	/**
+	 * Run a keyboard action from the input map (movement and jump are
+	 * handled by the player)
+	 * @returns {boolean} true if the action applied (the key is then consumed)
+	 */
+	handleAction(action) {
+		switch (action) {
+			case "pause":
+				if (this.running && !this.stageSummary) {
+					this.togglePause();
+					return true;
+				}
+				return false;
+
+			case "menu":
+				if (this.running && this.paused) {
+					this.returnToMenu();
+					return true;
+				}
+				return false;
+
+			// Toggle the minimap, resize it
+			case "minimap":
+				if (this.running) {
+					this.minimap.toggle();
+				}
+				return this.running;
+			case "minimapBigger":
+				if (this.running) {
+					this.minimap.cycleSize(1);
+				}
+				return this.running;
+			case "minimapSmaller":
+				if (this.running) {
+					this.minimap.cycleSize(-1);
+				}
+				return this.running;
+
+			case "debugMode":
+				this.toggleDebugMode();
+				return true;
+		}
+
+		// Everything below only works in debug mode
+		if (!this.debugMode) {
+			return false;
+		}
+
+		switch (action) {
+			case "debugPath":
+				this.toggleShortestPath();
+				return true;
+
+			case "debugTarget":
+				if (this.showShortestPath) {
+					this.cycleTargetArtifact();
+					return true;
+				}
+				return false;
+
+			case "debugArtifacts":
+				this.showAllArtifacts = !this.showAllArtifacts;
+				console.log(
+					`Show all artifacts: ${this.showAllArtifacts ? "ON" : "OFF"}`,
+				);
+				return true;
+
+			case "debugObstacles":
+				this.showObstacles = !this.showObstacles;
+				console.log(`Show obstacles: ${this.showObstacles ? "ON" : "OFF"}`);
+				return true;
+
+			case "debugPlayer":
+				if (this.player) {
+					this.player.debug.enabled = !this.player.debug.enabled;
+					console.log(
+						`Player debug: ${this.player.debug.enabled ? "enabled" : "disabled"}`,
+					);
+				}
+				return true;
+
+			case "debugVictory":
+				console.log("Victory screen triggered manually");
+				this.triggerVictory();
+				return true;
+		}
+
+		return false;
+	}
+
+	// Skip straight to the end of the final stage (debug/cheat)
+	triggerVictory() {
+		this.stage = this.maxStage; // Set to final stage
+		this.artifactsCollected = this.totalArtifacts; // Set artifacts collected
+		this.isExitingStage = true;
+		this.completeStage();
+	}
+
 	togglePause() {
 		this.paused = !this.paused;
 		if (this.paused) {
@@ -387,6 +1098,18 @@ class Game {
 		const deltaTime = timestamp - this.lastTime;
 		this.lastTime = timestamp;
 
+		// A replay keeps its own pace and pause, and carries on to its end
+		if (this.replay) {
+			this.replay.advance(deltaTime);
+			this.render();
+			this.renderReplayOverlay();
+			this.showReplayProgress();
+			this.animationFrameId = requestAnimationFrame((timestamp) =>
+				this.gameLoop(timestamp),
+			);
+			return;
+		}
+
 		// if game is paused, don't update
 		if (this.paused) {
 			this.renderPauseMenu();
@@ -437,32 +1160,25 @@ class Game {
 			return;
 		}
 
+		// Between stages the clock stops while the score is shown
+		if (this.stageSummary) {
+			this.renderStageSummary();
+			this.animationFrameId = requestAnimationFrame((timestamp) =>
+				this.gameLoop(timestamp),
+			);
+			return;
+		}
+
 		// Update frame counter
 		this.frameCount++;
 
 		// Update timer (every second)
+		this.playTime += deltaTime;
 		this.timeElapsed += deltaTime;
 		if (this.timeElapsed >= 1000) {
-			this.timer--;
 			this.timeElapsed -= 1000;
-			this.updateHUD();
-
-			// Check for time out
-			if (this.timer <= 0) {
-				this.gameOver = true;
-				this.win = false;
-				this.running = false;
-				
-				// Clear any saved game state
-				this.clearGameState();
-
-				// Play game over sound
-				if (this.hasAudio) {
-					audioManager.playGameOverSound();
-				}
-
-				// Render game over screen immediately
-				this.renderGameOver();
+			replayRecorder.recordTick();
+			if (!this.tickTimer()) {
 				return;
 			}
 		}
@@ -475,14 +1191,81 @@ class Game {
 		}
 	}
 
-	update() {
-		this.player.update();
+	/**
+	 * One second off the stage clock
+	 * @returns {boolean} false once time is up
+	 */
+	tickTimer() {
+		this.timer--;
+		this.updateHUD();
+
+		if (this.replay) {
+			return this.timer > 0;
+		}
+
+		if (this.playTime - this.lastAutosave >= this.autosaveInterval) {
+			this.autosave();
+		}
+
+		// Check for time out
+		if (this.timer <= 0) {
+			this.gameOver = true;
+			this.win = false;
+			this.running = false;
+			statsTracker.recordTimeOut();
+			this.recordPlayTime();
+			this.submitToLeaderboard(false);
+			replayRecorder.finish(this, "timeOut");
+			
+			// Clear any saved game state
+			this.clearGameState();
+
+			// Play game over sound
+			if (this.hasAudio) {
+				audioManager.playGameOverSound();
+			}
+
+			// Render game over screen immediately
+			this.renderGameOver();
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Play one frame
+	 * @param {Object} replayInput - Input recorded for this frame, when a
+	 *   replay is playing (see ReplayPlayer)
+	 */
+	update(replayInput = null) {
+		if (replayInput) {
+			this.player.inputLocked = true;
+			if (replayInput.start) {
+				this.player.startJump(false);
+			}
+			this.player.update(replayInput);
+		} else {
+			this.touchControls.applyTo(this.player);
+			this.player.update(replayRecorder.record(this.player));
+			if (this.timeTrialRun) {
+				this.timeTrialRun.recordFrame(this.player);
+				this.showTimeTrialHUD();
+			}
+		}
 
 		if (this.player.isDead && !this.gameOver) {
 			// Set game over state
 			this.gameOver = true;
 			this.win = false;
 			this.running = false;
+			// A replay only shows what happened
+			if (this.replay) {
+				return;
+			}
+			statsTracker.recordDeath(this.lastDamageType || "unknown");
+			this.recordPlayTime();
+			this.submitToLeaderboard(false);
+			replayRecorder.finish(this, "died");
 			
 			// Clear any saved game state
 			this.clearGameState();
@@ -506,6 +1289,7 @@ class Game {
 		}
 		this.obstacleManager.update();
 		this.updateBackgroundParticles();
+		this.updateVisibility();
 
 		// Check for collisions with artifacts
 		for (const artifact of this.artifacts) {
@@ -518,20 +1302,40 @@ class Game {
 			) {
 				if (artifact.collect()) {
 					this.artifactsCollected++;
+					if (!this.skillsLearned.includes(artifact.type)) {
+						this.skillsLearned.push(artifact.type);
+					}
 					this.updateHUD();
+					if (this.replay) {
+						continue;
+					}
+					statsTracker.recordArtifact(artifact.type);
+					if (this.timeTrialRun) {
+						const { stage, playTime } = this;
+						this.timeTrialRun.split("artifact", stage, playTime);
+					}
 
 					// Play collection sound
 					if (this.hasAudio) {
 						audioManager.playCollectSound();
 					}
 
-					// Show educational popup
-					if (typeof popupManager !== "undefined") {
-						// Show popup with artifact type and continue the game when closed
-						popupManager.show(artifact.type, () => {
-							// Continue the game after popup is closed
-							// No auto completion when all artifacts are collected
-						});
+					// Show educational popup (time trials don't stop for it)
+					if (!this.timeTrial && typeof popupManager !== "undefined") {
+						// Continue the game after popup is closed
+						// No auto completion when all artifacts are collected
+						const onClose = () => {};
+
+						const askedQuiz =
+							this.quizMode &&
+							popupManager.showQuiz(
+								artifact.type,
+								(correct) => this.handleQuizAnswer(artifact.type, correct),
+								onClose,
+							);
+						if (!askedQuiz) {
+							popupManager.show(artifact.type, onClose);
+						}
 					}
 				}
 			}
@@ -574,7 +1378,7 @@ class Game {
 						(playerGridY - this.maze.exit.y) ** 2,
 				);
 
-				if (distToExit < 1.5) {
+				if (distToExit < 1.5 && !this.isExitingStage) {
 					// If player is within 1.5 cells of exit
 					console.log("Close to exit on final stage! Triggering completion...");
 					this.isExitingStage = true;
@@ -589,10 +1393,27 @@ class Game {
 			// Apply effects based on obstacle type
 			switch (obstacle.type) {
 				case "laser":
-				case "spike":
-					// Damage player
-					this.player.takeDamage(obstacle.damageAmount);
+				case "tallLaser":
+				case "spike": {
+					// Damage player, scaled by the difficulty
+					const scale = this.difficultyPreset.damage;
+					let damage = Math.max(
+						1,
+						Math.round(obstacle.damageAmount * scale),
+					);
+					// Obstacles can't end a time trial, once at the lowest
+					// health they don't hit at all
+					if (this.timeTrial) {
+						damage = Math.min(
+							damage,
+							this.player.health - timeTrialConfig.minHealth,
+						);
+					}
+					if (damage > 0 && this.player.takeDamage(damage)) {
+						this.lastDamageType = obstacle.type;
+					}
 					break;
+				}
 
 				case "slowField":
 					// Apply slow effect
@@ -600,6 +1421,7 @@ class Game {
 					break;
 			}
 		}
+		this.trackStageRecord(obstacle);
 
 		this.updateCamera();
 		if (this.debugMode && this.showShortestPath) {
@@ -607,6 +1429,52 @@ class Game {
 		}
 	}
 
+	// Cells walked and obstacles passed or touched, for the stage score
+	trackStageRecord(touchedObstacle) {
+		const record = this.stageRecord;
+		if (!record || this.player.isDead) {
+			return;
+		}
+
+		const cell = this.getCell(this.player);
+		const last = record.cell;
+		if (last && (cell.x !== last.x || cell.y !== last.y)) {
+			record.cellsMoved++;
+		}
+		record.cell = cell;
+
+		const obstacles = this.obstacleManager.obstacles;
+		const radius = scoringConfig.avoidRadius * this.cellSize;
+		obstacles.forEach((obstacle, index) => {
+			const dx = obstacle.x - this.player.x;
+			const dy = obstacle.y - this.player.y;
+			const isNear = dx * dx + dy * dy < radius * radius;
+			if (isNear && !record.passed.includes(index)) {
+				record.passed.push(index);
+			}
+		});
+
+		const touched = obstacles.indexOf(touchedObstacle);
+		if (touched >= 0 && !record.hit.includes(touched)) {
+			record.hit.push(touched);
+		}
+	}
+
+	// Score the stage just cleared and add it to the run
+	scoreStage(stageTime) {
+		const score = stageScorer.scoreStage({
+			stage: this.stage,
+			time: stageTime,
+			timeLeft: this.timer,
+			health: this.player ? this.player.health : 100,
+			artifacts: this.artifactsCollected,
+			difficultyName: this.difficultyName,
+			record: this.stageRecord,
+		});
+		this.stageScores.push(score);
+		return score;
+	}
+
 	generateBackgroundParticles() {
 		this.backgroundParticles = [];
 
@@ -614,11 +1482,14 @@ class Game {
 			? this.currentTheme.particleColors
 			: ["#00ffff", "#0099ff", "#66ffff"];
 
-		const particleCount = 50;
+		// Spread particles over the whole maze at the same density as one screen
+		const world = this.getWorldSize();
+		const screens = (world.width * world.height) / (this.width * this.height);
+		const particleCount = Math.round(50 * Math.max(1, screens));
 		for (let i = 0; i < particleCount; i++) {
 			this.backgroundParticles.push({
-				x: Math.random() * this.width,
-				y: Math.random() * this.height,
+				x: Math.random() * world.width,
+				y: Math.random() * world.height,
 				size: 0.5 + Math.random() * 1.5,
 				speed: 0.2 + Math.random() * 0.3,
 				color: colors[Math.floor(Math.random() * colors.length)],
@@ -628,8 +1499,11 @@ class Game {
 	}
 
 	updateBackgroundParticles() {
-		// Skip updating if there are too many particles (lag prevention)
-		if (this.backgroundParticles.length > 200) {
+		const world = this.getWorldSize();
+
+		// Skip updating if there are too many particles (lag prevention);
+		// only celebration particles can pile up, large mazes start with more
+		if (this.backgroundParticles.length > 200 && this.gameOver) {
 			// Remove excess particles
 			this.backgroundParticles.splice(0, this.backgroundParticles.length - 100);
 		}
@@ -665,11 +1539,11 @@ class Game {
 				particle.x += Math.cos(particle.angle) * particle.speed;
 				particle.y += Math.sin(particle.angle) * particle.speed;
 
-				// Wrap around screen
-				if (particle.x < 0) particle.x = this.width;
-				if (particle.x > this.width) particle.x = 0;
-				if (particle.y < 0) particle.y = this.height;
-				if (particle.y > this.height) particle.y = 0;
+				// Wrap around the maze (world space)
+				if (particle.x < 0) particle.x = world.width;
+				if (particle.x > world.width) particle.x = 0;
+				if (particle.y < 0) particle.y = world.height;
+				if (particle.y > world.height) particle.y = 0;
 
 				// Occasionally change direction (less frequently)
 				if (Math.random() < 0.005) {
@@ -679,13 +1553,19 @@ class Game {
 		}
 	}
 
-	updateCamera() {
+	updateCamera(snap = false) {
 		const targetX = this.player.x - this.width / 2;
 		const targetY = this.player.y - this.height / 2;
 
-		// Smoothly move camera toward target
-		this.cameraX += (targetX - this.cameraX) * 0.1;
-		this.cameraY += (targetY - this.cameraY) * 0.1;
+		if (snap) {
+			// Jump straight to the player (new stage or loaded game)
+			this.cameraX = targetX;
+			this.cameraY = targetY;
+		} else {
+			// Smoothly move camera toward target
+			this.cameraX += (targetX - this.cameraX) * 0.1;
+			this.cameraY += (targetY - this.cameraY) * 0.1;
+		}
 
 		// Clamp camera to maze bounds
 		this.cameraX = Math.max(
@@ -708,23 +1588,40 @@ class Game {
 
 		this.ctx.translate(-this.cameraX, -this.cameraY);
 
-		this.maze.render(this.ctx, this.currentTheme);
+		const viewport = this.getViewport();
+
+		this.maze.render(this.ctx, this.currentTheme, viewport);
+
+		this.renderBackgroundParticles(viewport);
 
 		this.obstacleManager.render(this.ctx);
 
 		for (const artifact of this.artifacts) {
-			artifact.render(this.ctx);
+			if (artifact.discovered) {
+				artifact.render(this.ctx);
+			}
+		}
+
+		if (this.visibility) {
+			this.visibility.render(this.ctx, viewport);
 		}
 
 		if (this.artifactsCollected >= this.totalArtifacts) {
 			this.renderExitIndicator();
 		}
 
+		this.renderGhost();
 		this.player.render(this.ctx);
 
+		if (this.debugMode) {
+			this.renderDebugOverlays(viewport);
+		}
+
 		this.ctx.restore();
 
 		this.renderTimerBar();
+		this.renderMinimap(viewport);
+		this.touchControls.render(this.ctx);
 
 		if (this.debugMode) {
 			this.renderDebugInfo();
@@ -734,7 +1631,7 @@ class Game {
 	renderTimerBar() {
 		const barWidth = this.width;
 		const barHeight = 5;
-		const progress = this.timer / 180;
+		const progress = Math.min(1, this.timer / this.stageTimeLimit);
 
 		// Draw background
 		this.ctx.fillStyle = "#333";
@@ -755,38 +1652,77 @@ class Game {
 		this.ctx.fillStyle = "#ffffff";
 		this.ctx.font = 'bold 36px "Courier New", monospace';
 		this.ctx.textAlign = "center";
-		this.ctx.fillText("PAUSED", this.width / 2, this.height / 2 - 60);
+		this.ctx.fillText(
+			i18n.t("pause.title"),
+			this.width / 2,
+			this.height / 2 - 60,
+		);
 
 		this.ctx.font = '18px "Courier New", monospace';
-		this.ctx.fillText("Press ESC to resume", this.width / 2, this.height / 2);
 		this.ctx.fillText(
-			"Press M to return to main menu",
+			i18n.t("pause.resume", { key: inputMap.getLabel("pause") }),
+			this.width / 2,
+			this.height / 2,
+		);
+		this.ctx.fillText(
+			i18n.t("pause.menu", { key: inputMap.getLabel("menu") }),
 			this.width / 2,
 			this.height / 2 + 30,
 		);
 
-		// Show controls
+		// Show controls (current key bindings)
+		const moveKeys = ["moveUp", "moveLeft", "moveDown", "moveRight"]
+			.map((action) => inputMap.getLabel(action))
+			.join(" ");
 		this.ctx.font = '16px "Courier New", monospace';
-		this.ctx.fillText("Controls:", this.width / 2, this.height / 2 + 70);
-		this.ctx.fillText("Arrow Keys: Move", this.width / 2, this.height / 2 + 95);
-		this.ctx.fillText("Spacebar: Jump", this.width / 2, this.height / 2 + 120);
 		this.ctx.fillText(
-			"ESC: Pause/Resume",
+			i18n.t("controls.title"),
+			this.width / 2,
+			this.height / 2 + 70,
+		);
+		this.ctx.fillText(
+			i18n.t("pause.move", { keys: moveKeys }),
+			this.width / 2,
+			this.height / 2 + 95,
+		);
+		this.ctx.fillText(
+			i18n.t("pause.jump", { keys: inputMap.getLabel("jump") }),
+			this.width / 2,
+			this.height / 2 + 120,
+		);
+		this.ctx.fillText(
+			i18n.t("pause.pauseResume", { keys: inputMap.getLabel("pause") }),
 			this.width / 2,
 			this.height / 2 + 145,
 		);
+		this.ctx.fillText(
+			i18n.t("pause.minimap", {
+				key: inputMap.getLabel("minimap"),
+				bigger: inputMap.getLabel("minimapBigger"),
+				smaller: inputMap.getLabel("minimapSmaller"),
+			}),
+			this.width / 2,
+			this.height / 2 + 170,
+		);
+		if (this.gamepadControls.isConnected()) {
+			this.ctx.fillText(
+				i18n.t("pause.gamepad"),
+				this.width / 2,
+				this.height / 2 + 245,
+			);
+		}
 
-		const menuHandler = (e) => {
-			if (e.key === "m" || e.key === "M") {
-				this.returnToMenu();
-				window.removeEventListener("keydown", menuHandler);
-			}
-		};
-
-		window.addEventListener("keydown", menuHandler);
+		this.touchControls.renderPauseMenuButtons(this.ctx);
 	}
 
 	returnToMenu() {
+		// Leaving mid-stage: "Continue" picks up right here
+		if (this.running && !this.gameOver) {
+			this.saveGameState(false);
+		}
+		replayRecorder.finish(this, "quit");
+		this.recordPlayTime();
+		this.clearAutosave();
 		this.running = false;
 		this.paused = false;
 		
@@ -801,10 +1737,20 @@ class Game {
 			this.animationFrameId = null;
 		}
 
+		// Left over if we got here without clicking it (e.g. from a gamepad)
+		if (this._gameOverClickHandler) {
+			this.canvas.removeEventListener("click", this._gameOverClickHandler);
+			this._gameOverClickHandler = null;
+		}
+
 		if (this.player) {
 			this.player.isDead = false;
+			this.player.clearInput("gamepad");
 		}
 
+		this.hideCertificatePanel();
+		this.hideLeaderboardPanel();
+
 		if (this.menuSystem) {
 			this.menuSystem.showMenuScreen();
 			this.menuSystem.checkForSavedGame();
@@ -823,27 +1769,38 @@ class Game {
 		this.ctx.textAlign = "center";
 
 		if (this.player && this.player.health <= 0) {
-			this.ctx.fillText("YOU DIED!", this.width / 2, this.height / 2 - 60);
+			this.ctx.fillText(
+				i18n.t("gameOver.died"),
+				this.width / 2,
+				this.height / 2 - 60,
+			);
 		} else {
-			this.ctx.fillText("TIME'S UP!", this.width / 2, this.height / 2 - 60);
+			this.ctx.fillText(
+				i18n.t("gameOver.timesUp"),
+				this.width / 2,
+				this.height / 2 - 60,
+			);
 		}
 
 		this.ctx.fillStyle = "#ffffff";
 		this.ctx.font = '18px "Courier New", monospace';
 		this.ctx.fillText(
-			`Stage: ${this.stage} / ${this.maxStage}`,
+			i18n.t("gameOver.stage", { stage: this.stage, maxStage: this.maxStage }),
 			this.width / 2,
 			this.height / 2 - 20,
 		);
 		this.ctx.fillText(
-			`Artifacts collected: ${this.artifactsCollected} / ${this.totalArtifacts}`,
+			i18n.t("gameOver.artifacts", {
+				collected: this.artifactsCollected,
+				total: this.totalArtifacts,
+			}),
 			this.width / 2,
 			this.height / 2 + 10,
 		);
 
 		if (this.player) {
 			this.ctx.fillText(
-				`Health: ${this.player.health}%`,
+				i18n.t("hud.health", { health: this.player.health }),
 				this.width / 2,
 				this.height / 2 + 40,
 			);
@@ -861,19 +1818,20 @@ class Game {
 		this.ctx.fillStyle = "#ffffff";
 		this.ctx.font = '16px "Courier New", monospace';
 		this.ctx.fillText(
-			"Return to Main Menu",
+			i18n.t("gameOver.returnToMenu"),
 			this.width / 2,
 			buttonY + buttonHeight / 2 + 5,
 		);
+
+		this.renderQuizSummary(buttonY + buttonHeight + 30);
+		this.showLeaderboardPanel();
 		if (this._gameOverClickHandler) {
 			this.canvas.removeEventListener("click", this._gameOverClickHandler);
 			this._gameOverClickHandler = null;
 		}
 
 		this._gameOverClickHandler = (e) => {
-			const rect = this.canvas.getBoundingClientRect();
-			const x = e.clientX - rect.left;
-			const y = e.clientY - rect.top;
+			const { x, y } = getCanvasPoint(this.canvas, e.clientX, e.clientY);
 
 			// Check if click is within button bounds
 			if (
@@ -891,15 +1849,39 @@ class Game {
 	}
 
 	completeStage() {
+		const stageTime =
+			this.stageStartTime === null ? null : this.playTime - this.stageStartTime;
+		if (this.replay) {
+			// The next stage begins on the frame it did in the recording
+			this.scoreStage(stageTime);
+			if (this.stage >= this.maxStage) {
+				this.gameOver = true;
+				this.win = true;
+			}
+			return;
+		}
+		statsTracker.recordStageCleared(this.stage, this.difficultyName, stageTime);
+		this.recordPlayTime();
+		const score = this.scoreStage(stageTime);
+		if (this.timeTrialRun) {
+			this.timeTrialRun.split("stage", this.stage, this.playTime);
+		}
+
 		if (this.stage < this.maxStage) {
 			if (this.hasAudio) {
 				audioManager.playCompleteLevelSound();
 			}
-			this.performSmoothStageTransition(() => {
+			this.performSmoothStageTransition(score, () => {
 				// Proceed to next stage after transition
 				this.stage++;
 
-				this.initStage(false);
+				if (!this.initStage(false)) {
+					return;
+				}
+				replayRecorder.recordStage();
+				if (this.timeTrialRun) {
+					this.timeTrialRun.startStage();
+				}
 				this.render();
 				this.running = true;
 			});
@@ -907,10 +1889,18 @@ class Game {
 			this.running = false;
 			this.gameOver = true;
 			this.win = true;
+			statsTracker.recordGameWon();
+			this.submitToLeaderboard(true);
+			replayRecorder.finish(this, "won");
+			this.finishTimeTrial();
 			
 			// Store important player data
 			const playerHealth = this.player ? this.player.health : 100;
 			const timeRemaining = this.timer;
+
+			this.certificate = this.createCertificate(playerHealth);
+			this.showCertificatePanel();
+			this.showLeaderboardPanel();
 			
 			// Clear existing particles and create new celebration particles
 			this.backgroundParticles = [];
@@ -919,6 +1909,7 @@ class Game {
 				audioManager.playCompleteLevelSound();
 			}
 			this.saveGameState(true);
+			this.clearAutosave();
 
 			// Clear any existing timeout to prevent multiple calls
 			if (this._victoryTimeout) {
@@ -948,7 +1939,12 @@ class Game {
 		}
 	}
 
-	performSmoothStageTransition(callback) {
+	/**
+	 * Fade out, show the stage's score, then fade in on the next stage
+	 * @param {Object} score - StageScorer.scoreStage() of the stage cleared
+	 * @param {Function} callback - Sets up the next stage
+	 */
+	performSmoothStageTransition(score, callback) {
 		let opacity = 0;
 		const fadeStep = 0.05;
 		
@@ -962,23 +1958,8 @@ class Game {
 				// Continue the fade effect
 				requestAnimationFrame(performFade);
 			} else {
-				// Fade completed, show transition message
-				this.ctx.fillStyle = "#00ffff";
-				this.ctx.font = 'bold 24px "Courier New", monospace';
-				this.ctx.textAlign = "center";
-				this.ctx.fillText(
-					`Stage ${this.stage} Complete!`,
-					this.width / 2,
-					this.height / 2 - 40
-				);
-				this.ctx.fillText(
-					`Proceeding to Stage ${this.stage + 1}...`,
-					this.width / 2,
-					this.height / 2
-				);
-				
-				// Wait a moment then fade back in with callback
-				setTimeout(() => {
+				// Fade completed, show the score until the player moves on
+				this.showStageSummary(score, () => {
 					callback();
 					
 					// Start fade-in for new stage
@@ -999,71 +1980,433 @@ class Game {
 					};
 					
 					fadeIn();
-				}, 1000);
+				});
 			}
 		};
 		
 		performFade();
 	}
 
-	saveGameState(completed = false) {
-		const stats = {
-			completed: completed || this.win,
+	// Drawn by the game loop (see renderStageSummary) while it is up
+	showStageSummary(score, onContinue) {
+		this.stageSummary = {
+			score,
+			runTotal: stageScorer.getTotal(this.stageScores),
+			startTime: performance.now(),
+			onContinue,
+		};
+
+		this._stageSummaryClickHandler = () => this.continueFromStageSummary();
+		this.canvas.addEventListener("click", this._stageSummaryClickHandler);
+	}
+
+	// The first press skips the counting animation, the next one continues
+	continueFromStageSummary() {
+		const summary = this.stageSummary;
+		if (!summary) {
+			return;
+		}
+		const duration = this.getStageSummaryDuration(summary.score);
+		if (performance.now() - summary.startTime < duration) {
+			summary.startTime = performance.now() - duration;
+			return;
+		}
+
+		this.canvas.removeEventListener("click", this._stageSummaryClickHandler);
+		this._stageSummaryClickHandler = null;
+		this.stageSummary = null;
+		summary.onContinue();
+	}
+
+	// Each line counts up in turn, then the total
+	getStageSummaryDuration(score) {
+		return (score.items.length + 1) * 400;
+	}
+
+	renderStageSummary() {
+		const { score, runTotal, startTime } = this.stageSummary;
+		const elapsed = performance.now() - startTime;
+		const ctx = this.ctx;
+		const left = this.width / 2 - 220;
+		const right = this.width / 2 + 220;
+		// Share of line i counted so far
+		const progress = (i) =>
+			Math.min(1, Math.max(0, (elapsed - i * 400) / 400));
+
+		ctx.fillStyle = "rgb(0, 20, 40)";
+		ctx.fillRect(0, 0, this.width, this.height);
+
+		ctx.textAlign = "center";
+		ctx.fillStyle = "#00ffff";
+		ctx.font = 'bold 28px "Courier New", monospace';
+		ctx.fillText(
+			i18n.t("stage.complete", { stage: score.stage }),
+			this.width / 2,
+			110,
+		);
+
+		ctx.font = '18px "Courier New", monospace';
+		let y = 180;
+		score.items.forEach((item, i) => {
+			if (progress(i) === 0) {
+				return;
+			}
+			ctx.fillStyle = "#d0d0d0";
+			ctx.textAlign = "left";
+			ctx.fillText(
+				i18n.t(`score.${item.key}`, { count: item.count }),
+				left,
+				y,
+			);
+			ctx.fillStyle = "#ffffff";
+			ctx.textAlign = "right";
+			ctx.fillText(
+				i18n.formatNumber(Math.round(item.points * progress(i))),
+				right,
+				y,
+			);
+			y += 32;
+		});
+
+		const totalProgress = progress(score.items.length);
+		if (totalProgress > 0) {
+			ctx.strokeStyle = "#00ffff";
+			ctx.beginPath();
+			ctx.moveTo(left, y - 14);
+			ctx.lineTo(right, y - 14);
+			ctx.stroke();
+
+			ctx.fillStyle = "#e5be01";
+			ctx.font = 'bold 20px "Courier New", monospace';
+			ctx.textAlign = "left";
+			ctx.fillText(
+				i18n.t("score.stageTotal", {
+					difficulty: i18n.t(`difficulty.${this.difficultyName}`),
+					multiplier: score.multiplier,
+				}),
+				left,
+				y + 16,
+			);
+			ctx.textAlign = "right";
+			ctx.fillText(
+				i18n.formatNumber(Math.round(score.total * totalProgress)),
+				right,
+				y + 16,
+			);
+
+			ctx.fillStyle = "#00ffff";
+			ctx.font = '18px "Courier New", monospace';
+			ctx.textAlign = "center";
+			ctx.fillText(
+				i18n.t("score.runTotal", {
+					score: i18n.formatNumber(runTotal),
+				}),
+				this.width / 2,
+				y + 60,
+			);
+		}
+
+		if (elapsed >= this.getStageSummaryDuration(score)) {
+			// Blink the prompt
+			if (Math.floor(elapsed / 500) % 2 === 0) {
+				ctx.fillStyle = "#ffffff";
+				ctx.font = '16px "Courier New", monospace';
+				ctx.textAlign = "center";
+				ctx.fillText(
+					i18n.t(
+						isTouchDevice() ? "score.tapToContinue" : "score.continue",
+						{ stage: score.stage + 1 },
+					),
+					this.width / 2,
+					this.height - 60,
+				);
+			}
+		}
+	}
+
+	/**
+	 * Everything needed to resume this exact moment (schema in saves.js).
+	 * Finished games keep only the summary.
+	 */
+	createSnapshot(completed = false) {
+		const snapshot = {
+			version: saveSchemaVersion,
+			completed: Boolean(completed || this.win),
+			savedAt: Date.now(),
 			stage: this.stage,
-			artifacts: this.artifactsCollected,
+			difficulty: this.difficulty,
+			difficultyName: this.difficultyName,
+			difficultyPreset: this.difficultyPreset,
+			seed: this.seed,
+			timeTrial: this.timeTrial,
+			timeTrialRun: this.timeTrialRun
+				? this.timeTrialRun.getSnapshot()
+				: null,
+			timer: this.timer,
+			timeElapsed: this.timeElapsed,
+			stageTimeLimit: this.stageTimeLimit,
+			artifactsCollected: this.artifactsCollected,
 			totalArtifacts: this.totalArtifacts,
-			timeRemaining: this.timer,
 			health: this.player ? this.player.health : 100,
-			timestamp: Date.now(),
-			difficulty: this.difficulty
+			quizResults: this.quizResults,
+			playTime: this.playTime,
+			stageStartTime: this.stageStartTime,
+			stageScores: this.stageScores,
+			stageRecord: this.stageRecord,
+			skillsLearned: this.skillsLearned,
+			world: null,
 		};
 
+		if (!snapshot.completed && this.maze && this.player instanceof Player) {
+			snapshot.world = {
+				maze: this.maze.getSnapshot(),
+				artifacts: this.artifacts.map((artifact) => artifact.getSnapshot()),
+				obstacles: this.obstacleManager.obstacles.map((obstacle) =>
+					obstacle.getSnapshot(),
+				),
+				player: this.player.getSnapshot(),
+				explored: this.visibility ? this.visibility.getSnapshot() : null,
+			};
+		}
+		return snapshot;
+	}
+
+	// The game "Continue" resumes
+	saveGameState(completed = false) {
+		this.writeSave(this.saveKey, this.createSnapshot(completed));
+	}
+
+	writeSave(storageKey, snapshot) {
+		try {
+			localStorage.setItem(storageKey, JSON.stringify(snapshot));
+			return true;
+		} catch (e) {
+			console.error(`Failed to save game state to ${storageKey}:`, e);
+			return false;
+		}
+	}
+	
+	loadGameState() {
+		return this.readSave(this.saveKey);
+	}
+
+	/**
+	 * Parse, upgrade and check a saved game
+	 * @returns {Object|null} null if there is none or it is unusable; corrupt
+	 *   or out-of-range saves are removed so the next one is offered instead
+	 */
+	readSave(storageKey) {
+		let saved = null;
+		try {
+			saved = localStorage.getItem(storageKey);
+		} catch (e) {
+			console.error('Failed to load game state:', e);
+		}
+		if (!saved) {
+			return null;
+		}
+
+		let snapshot;
 		try {
-			localStorage.setItem('futureskillsArtifact', JSON.stringify(stats));
+			snapshot = JSON.parse(saved);
 		} catch (e) {
-			console.error('Failed to save game state:', e);
+			console.error(`Corrupt save in ${storageKey}, discarding it:`, e);
+			this.removeSave(storageKey);
+			return null;
+		}
+
+		// From a newer version of the game: leave it alone
+		snapshot = saveManager.migrate(snapshot);
+		if (!snapshot) {
+			return null;
+		}
+
+		const problems = saveManager.check(snapshot, this.maxStage);
+		if (problems.length > 0) {
+			console.warn(`Invalid save in ${storageKey}, discarding it:`, problems);
+			this.removeSave(storageKey);
+			return null;
 		}
+		return snapshot;
 	}
-	
-	loadGameState() {
+
+	removeSave(storageKey) {
 		try {
-			const savedState = localStorage.getItem('futureskillsArtifact');
-			if (savedState) {
-				return JSON.parse(savedState);
-			}
+			localStorage.removeItem(storageKey);
 		} catch (e) {
-			console.error('Failed to load game state:', e);
+			console.error('Failed to clear game state:', e);
 		}
-		return null;
 	}
 
 	clearGameState() {
-		try {
-			localStorage.removeItem('futureskillsArtifact');
-		} catch (e) {
-			console.error('Failed to clear game state:', e);
+		this.removeSave(this.saveKey);
+		this.clearAutosave();
+	}
+
+	// Crash recovery snapshot, only while actually playing a stage
+	autosave() {
+		if (
+			!this.running ||
+			this.gameOver ||
+			this.isExitingStage ||
+			!(this.player instanceof Player)
+		) {
+			return;
 		}
+
+		this.lastAutosave = this.playTime;
+		this.writeSave(this.autosaveKey, this.createSnapshot(false));
+		this.recordPlayTime();
+	}
+
+	// Add the time played since the last call to the profile's statistics
+	recordPlayTime() {
+		statsTracker.addPlayTime(this.playTime - this.recordedPlayTime);
+		this.recordedPlayTime = this.playTime;
+	}
+
+	loadAutosave() {
+		return this.readSave(this.autosaveKey);
+	}
+
+	clearAutosave() {
+		this.removeSave(this.autosaveKey);
 	}
 
 	updateHUD() {
 		if (this.timerElement) {
-			this.timerElement.textContent = `Time: ${Math.ceil(this.timer)}`;
+			this.timerElement.textContent = i18n.t("hud.time", {
+				time: Math.ceil(this.timer),
+			});
 		}
 		if (this.artifactsElement) {
-			this.artifactsElement.textContent = `Artifacts: ${this.artifactsCollected}/${this.totalArtifacts}`;
+			this.artifactsElement.textContent = i18n.t("hud.artifacts", {
+				collected: this.artifactsCollected,
+				total: this.totalArtifacts,
+			});
 			if (this.artifactsCollected >= this.totalArtifacts) {
-				this.artifactsElement.textContent += " - Find the exit!";
+				this.artifactsElement.textContent += i18n.t("hud.findExit");
 				this.artifactsElement.style.color = "#00ff00";
 			} else {
 				this.artifactsElement.style.color = "";
 			}
 		}
 		if (this.healthElement) {
-			this.healthElement.textContent = `Health: ${this.player.health}%`;
+			this.healthElement.textContent = i18n.t("hud.health", {
+				health: this.player.health,
+			});
 		}
 		if (this.stageElement) {
-			this.stageElement.textContent = `Stage: ${this.stage}/${this.maxStage}`;
+			this.stageElement.textContent = i18n.t("hud.stage", {
+				stage: this.stage,
+				maxStage: this.maxStage,
+			});
+		}
+		if (this.seedElement) {
+			this.seedElement.textContent = i18n.t("hud.seed", {
+				seed: this.seed || "-",
+			});
 		}
+		if (this.difficultyElement) {
+			this.difficultyElement.textContent = i18n.t("hud.difficulty", {
+				difficulty: i18n.t(`difficulty.${this.difficultyName}`),
+			});
+		}
+		if (this.splitElement) {
+			this.splitElement.style.display = this.timeTrialRun ? "" : "none";
+			this.showTimeTrialHUD();
+		}
+	}
+
+	// Run time and the latest split, green ahead of the best run, red behind
+	showTimeTrialHUD() {
+		const run = this.timeTrialRun;
+		if (!this.splitElement || !run) {
+			return;
+		}
+
+		const parts = [
+			i18n.t("hud.runTime", { time: formatSplitTime(this.playTime) }),
+		];
+		const split = run.lastSplit;
+		if (split) {
+			const name =
+				split.kind === "artifact"
+					? i18n.t("split.artifact", split)
+					: i18n.t("split.stage", split);
+			const time = formatSplitTime(split.time);
+			parts.push(
+				split.delta === null
+					? i18n.t("hud.split", { name, time })
+					: i18n.t("hud.splitDelta", {
+							name,
+							time,
+							delta: formatSplitDelta(split.delta),
+						}),
+			);
+		}
+		if (run.newBest) {
+			parts.push(i18n.t("split.newBest"));
+		}
+
+		const text = parts.join(" - ");
+		// Called every frame, only touch the page when the text changes
+		if (this.splitElement.textContent !== text) {
+			this.splitElement.textContent = text;
+		}
+		let color = "";
+		if (split && split.delta !== null) {
+			color = split.delta <= 0 ? "#00ff00" : "#ff4444";
+		}
+		this.splitElement.style.color = color;
+	}
+
+	// Where the best runs of this difficulty are kept (see TimeTrialRecords)
+	getTimeTrialDifficulty() {
+		return timeTrialRecords.getDifficultyKey(
+			this.difficultyName,
+			this.difficultyPreset,
+		);
+	}
+
+	// Keep a finished time trial if it beat the best run on its seed
+	finishTimeTrial() {
+		const run = this.timeTrialRun;
+		if (!run) {
+			return;
+		}
+		run.newBest = timeTrialRecords.submit(
+			this.getTimeTrialDifficulty(),
+			this.seed,
+			run.finish(profileManager.getActive().name, this.playTime),
+		);
+		this.showTimeTrialHUD();
+	}
+
+	// The best run on this seed, where it was after as many frames
+	renderGhost() {
+		const position = this.timeTrialRun
+			? this.timeTrialRun.getGhostPosition(this.stage)
+			: null;
+		if (!position) {
+			return;
+		}
+
+		const size = this.player.width;
+		this.ctx.save();
+		this.ctx.globalAlpha = timeTrialConfig.ghostAlpha;
+		this.ctx.fillStyle = "#ffffff";
+		drawRoundedRect(
+			this.ctx,
+			position.x - size / 2,
+			position.y - size / 2,
+			size,
+			size,
+			5,
+			true,
+			false,
+		);
+		this.ctx.restore();
 	}
 
 	toggleDebugMode() {
@@ -1075,12 +2418,24 @@ class Game {
 
 		if (this.debugMode) {
 			console.log("Debug Mode Activated!");
-			console.log("F1: Toggle Debug Mode");
-			console.log("F2: Toggle Shortest Path");
-			console.log("F3: Cycle Target Artifact");
-			console.log("F4: Toggle All Artifacts");
-			console.log("F5: Toggle Obstacles");
-			console.log("B: Toggle Player Debug Details");
+			console.log(`${inputMap.getLabel("debugMode")}: Toggle Debug Mode`);
+			console.log(`${inputMap.getLabel("debugPath")}: Toggle Shortest Path`);
+			console.log(
+				`${inputMap.getLabel("debugTarget")}: Cycle Target Artifact`,
+			);
+			console.log(
+				`${inputMap.getLabel("debugArtifacts")}: Toggle All Artifacts`,
+			);
+			console.log(`${inputMap.getLabel("debugObstacles")}: Toggle Obstacles`);
+			console.log(
+				`${inputMap.getLabel("debugPlayer")}: Toggle Player Debug Details`,
+			);
+			console.log(
+				`${inputMap.getLabel("debugVictory")}: Skip to Victory Screen`,
+			);
+			if (this.seed) {
+				console.log(`Seed: ${this.seed} (share: ${this.getShareUrl()})`);
+			}
 		} else {
 			this.showShortestPath = false;
 			this.targetArtifactIndex = -1;
@@ -1149,13 +2504,18 @@ class Game {
 	}
 
 	renderDebugInfo() {
+		this.ctx.save();
 		this.ctx.fillStyle = "#00ff00";
 		this.ctx.font = "12px monospace";
 
 		let y = 30;
 		const x = 30;
 
-		this.ctx.fillText("DEBUG MODE (F1 to toggle)", x, y);
+		this.ctx.fillText(
+			`DEBUG MODE (${inputMap.getLabel("debugMode")} to toggle)`,
+			x,
+			y,
+		);
 		y += 20;
 		this.ctx.fillText(
 			`FPS: ${Math.round(1000 / (performance.now() - this.lastTime))}`,
@@ -1179,8 +2539,12 @@ class Game {
 		y += 20;
 		this.ctx.fillText(`Exit: (${this.maze.exit.x}, ${this.maze.exit.y})`, x, y);
 		y += 20;
+		this.ctx.fillText(`Seed: ${this.seed}`, x, y);
+		y += 20;
+		this.ctx.fillText(`Generator: ${this.maze.algorithm}`, x, y);
+		y += 20;
 		this.ctx.fillText(
-			`Shortest Path: ${this.showShortestPath ? "ON (F2)" : "OFF (F2)"}`,
+			`Shortest Path: ${this.showShortestPath ? "ON" : "OFF"} (${inputMap.getLabel("debugPath")})`,
 			x,
 			y,
 		);
@@ -1190,7 +2554,7 @@ class Game {
 			this.ctx.fillText(
 				`Target Artifact: ${this.targetArtifactIndex + 1}/${
 					this.artifacts.length
-				} (F3)`,
+				} (${inputMap.getLabel("debugTarget")})`,
 				x,
 				y,
 			);
@@ -1198,7 +2562,7 @@ class Game {
 
 		y += 20;
 		this.ctx.fillText(
-			`Player Debug: ${this.player.debug.enabled ? "ON (B)" : "OFF (B)"}`,
+			`Player Debug: ${this.player.debug.enabled ? "ON" : "OFF"} (${inputMap.getLabel("debugPlayer")})`,
 			x,
 			y,
 		);
@@ -1208,7 +2572,11 @@ class Game {
 		this.ctx.moveTo(x - 10, y);
 		this.ctx.lineTo(x + 240, y);
 		this.ctx.stroke();
+		this.ctx.restore();
+	}
 
+	// Debug drawings that live in the maze, rendered with the camera transform
+	renderDebugOverlays(viewport) {
 		if (this.showShortestPath && this.maze) {
 			this.maze.renderShortestPath(this.ctx);
 		}
@@ -1217,35 +2585,78 @@ class Game {
 			this.maze.renderArtifactPositions(this.ctx, this.artifacts);
 		}
 
-		this.renderGridOverlay();
-
-		this.ctx.restore();
+		this.renderGridOverlay(viewport);
 	}
 
-	renderGridOverlay() {
+	renderGridOverlay(viewport) {
 		this.ctx.save();
 		this.ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
 		this.ctx.lineWidth = 0.5;
 
+		// Only the grid lines inside the visible part of the maze
+		const world = this.getWorldSize();
+		const startX = Math.floor(viewport.x / this.cellSize) * this.cellSize;
+		const startY = Math.floor(viewport.y / this.cellSize) * this.cellSize;
+		const endX = Math.min(world.width, viewport.x + viewport.width);
+		const endY = Math.min(world.height, viewport.y + viewport.height);
+
 		// Draw vertical grid lines
-		for (let x = 0; x <= this.width; x += this.cellSize) {
+		for (let x = startX; x <= endX; x += this.cellSize) {
 			this.ctx.beginPath();
-			this.ctx.moveTo(x, 0);
-			this.ctx.lineTo(x, this.height);
+			this.ctx.moveTo(x, startY);
+			this.ctx.lineTo(x, endY);
 			this.ctx.stroke();
 		}
 
 		// Draw horizontal grid lines
-		for (let y = 0; y <= this.height; y += this.cellSize) {
+		for (let y = startY; y <= endY; y += this.cellSize) {
 			this.ctx.beginPath();
-			this.ctx.moveTo(0, y);
-			this.ctx.lineTo(this.width, y);
+			this.ctx.moveTo(startX, y);
+			this.ctx.lineTo(endX, y);
 			this.ctx.stroke();
 		}
 
 		this.ctx.restore();
 	}
 
+	renderBackgroundParticles(viewport) {
+		this.ctx.save();
+		this.ctx.globalAlpha = 0.5;
+
+		for (const particle of this.backgroundParticles) {
+			// Skip particles outside the camera view
+			if (
+				particle.x < viewport.x ||
+				particle.x > viewport.x + viewport.width ||
+				particle.y < viewport.y ||
+				particle.y > viewport.y + viewport.height
+			) {
+				continue;
+			}
+
+			this.ctx.fillStyle = particle.color;
+			this.ctx.beginPath();
+			this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+			this.ctx.fill();
+		}
+
+		this.ctx.restore();
+	}
+
+	renderMinimap(viewport) {
+		this.minimap.render(this.ctx, {
+			maze: this.maze,
+			player: this.player,
+			artifacts: this.artifacts,
+			visibility: this.visibility,
+			exitUnlocked: this.artifactsCollected >= this.totalArtifacts,
+			viewport,
+			screenWidth: this.width,
+			screenHeight: this.height,
+			offsetY: this.touchControls.enabled ? 140 : 0,
+		});
+	}
+
 	renderExitIndicator() {
 		const exitX = (this.maze.exit.x + 0.5) * this.cellSize;
 		const exitY = (this.maze.exit.y + 0.5) * this.cellSize;
@@ -1255,16 +2666,35 @@ class Game {
 		const dy = exitY - this.player.y;
 		const distance = Math.sqrt(dx * dx + dy * dy);
 
-		// Only show indicator if the exit is not visible on screen
-		const visibilityThreshold = this.width * 0.75;
-		if (distance > visibilityThreshold) {
+		// Only show indicator if the exit is outside the camera view
+		const margin = this.cellSize / 2;
+		const exitOnScreen =
+			exitX > this.cameraX + margin &&
+			exitX < this.cameraX + this.width - margin &&
+			exitY > this.cameraY + margin &&
+			exitY < this.cameraY + this.height - margin;
+
+		if (!exitOnScreen && distance > 0) {
 			const normalizedDx = dx / distance;
 			const normalizedDy = dy / distance;
 
-			// Calculate a point along the edge of the screen in the direction of the exit
+			// Calculate a point in the direction of the exit, kept inside the view
 			const indicatorDistance = 150; // Distance from player to indicator
-			const indicatorX = this.player.x + normalizedDx * indicatorDistance;
-			const indicatorY = this.player.y + normalizedDy * indicatorDistance;
+			const edge = 30;
+			const indicatorX = Math.max(
+				this.cameraX + edge,
+				Math.min(
+					this.cameraX + this.width - edge,
+					this.player.x + normalizedDx * indicatorDistance,
+				),
+			);
+			const indicatorY = Math.max(
+				this.cameraY + edge,
+				Math.min(
+					this.cameraY + this.height - edge,
+					this.player.y + normalizedDy * indicatorDistance,
+				),
+			);
 
 			const pulseScale = 0.8 + 0.2 * Math.sin(Date.now() / 200);
 			const arrowSize = 15 * pulseScale;
@@ -1293,12 +2723,11 @@ class Game {
 			this.ctx.fillStyle = "#00ff00";
 			this.ctx.font = 'bold 12px "Courier New", monospace';
 			this.ctx.textAlign = "center";
+			// Label sits just behind the arrow so it stays on screen too
 			const textOffset = arrowSize + 15;
-			const textX =
-				this.player.x + normalizedDx * (indicatorDistance + textOffset);
-			const textY =
-				this.player.y + normalizedDy * (indicatorDistance + textOffset);
-			this.ctx.fillText("EXIT", textX, textY);
+			const textX = indicatorX - normalizedDx * textOffset;
+			const textY = indicatorY - normalizedDy * textOffset;
+			this.ctx.fillText(i18n.t("game.exit"), textX, textY);
 			this.ctx.restore();
 		}
 	}
@@ -1349,10 +2778,19 @@ class Game {
 	}
 
 	drawCertificate(theme) {
-		const certWidth = Math.min(this.width * 0.8, 600);
-		const certHeight = Math.min(this.height * 0.7, 450);
+		if (!this.certificate) {
+			this.certificate = this.createCertificate();
+		}
+
+		// Room below for the name field and export buttons
+		const panelSpace = 50;
+		const certWidth = Math.min(this.width * 0.8, certificateConfig.width);
+		const certHeight = Math.min(
+			this.height - panelSpace - 20,
+			certificateConfig.height,
+		);
 		const certX = (this.width - certWidth) / 2;
-		const certY = (this.height - certHeight) / 2;
+		const certY = (this.height - panelSpace - certHeight) / 2;
 
 		// Certificate shadow for depth
 		this.ctx.save();
@@ -1360,188 +2798,397 @@ class Game {
 		this.ctx.fillRect(certX + 8, certY + 8, certWidth, certHeight);
 		this.ctx.restore();
 
-		// Certificate background with elegant gradient
-		const certGradient = this.ctx.createLinearGradient(
-			certX,
-			certY,
-			certX,
-			certY + certHeight,
-		);
-		certGradient.addColorStop(0, "#f8f9fa");
-		certGradient.addColorStop(0.1, "#ffffff");
-		certGradient.addColorStop(0.9, "#ffffff");
-		certGradient.addColorStop(1, "#e9ecef");
-
-		this.ctx.fillStyle = certGradient;
-		this.ctx.fillRect(certX, certY, certWidth, certHeight);
+		this.certificate.draw(this.ctx, certX, certY, certWidth, certHeight);
 
-		this.drawCertificateBorder(certX, certY, certWidth, certHeight);
-		this.drawCertificateContent(certX, certY, certWidth, certHeight, theme);
-		this.drawCertificateDecorations(certX, certY, certWidth, certHeight, theme);
+		// Run score above the certificate, with each stage's share
+		this.ctx.save();
+		this.ctx.textAlign = "center";
+		this.ctx.fillStyle = "#e5be01";
+		this.ctx.font = 'bold 18px "Courier New", monospace';
+		this.ctx.fillText(
+			i18n.t("score.victory", {
+				score: i18n.formatNumber(stageScorer.getTotal(this.stageScores)),
+				stages: this.stageScores
+					.map((score) => i18n.formatNumber(score.total))
+					.join(" + "),
+			}),
+			this.width / 2,
+			certY - 10,
+			this.width - 40,
+		);
+		this.ctx.restore();
 	}
 
-	drawCertificateBorder(x, y, width, height) {
-		const borderWidth = 8;
-		const rwandaColors = ["#00A0D5", "#E5BE01", "#20603D"];
-
-		this.ctx.lineWidth = borderWidth;
-		this.ctx.strokeStyle = "#2c3e50";
-		this.ctx.strokeRect(x, y, width, height);
-
-		// Inner decorative border with Rwanda colors
-		const innerBorder = 20;
-		this.ctx.lineWidth = 3;
+	// Details of the finished run, named after the active profile until the
+	// player types their own name
+	createCertificate(health = this.player ? this.player.health : 100) {
+		return new Certificate({
+			name: profileManager.getActive().name,
+			date: Date.now(),
+			difficulty: this.difficultyName,
+			totalTime: Math.round(this.playTime / 1000),
+			health: Math.round(health),
+			skills: [...this.skillsLearned],
+			quiz: this.getQuizSummary(),
+			seed: this.seed,
+		});
+	}
 
-		// Top border - Blue
-		this.ctx.strokeStyle = rwandaColors[0];
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + innerBorder, y + innerBorder);
-		this.ctx.lineTo(x + width - innerBorder, y + innerBorder);
-		this.ctx.stroke();
+	setupCertificatePanel() {
+		if (!this.certificatePanel) {
+			return;
+		}
 
-		// Right border - Yellow
-		this.ctx.strokeStyle = rwandaColors[1];
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + width - innerBorder, y + innerBorder);
-		this.ctx.lineTo(x + width - innerBorder, y + height - innerBorder);
-		this.ctx.stroke();
+		this.certificateNameInput.maxLength = certificateConfig.maxNameLength;
+		this.certificateNameInput.addEventListener("input", () => {
+			if (!this.certificate || !this.win) {
+				return;
+			}
+			this.certificate.setName(this.certificateNameInput.value);
+			profileManager.setName(this.certificate.details.name);
+		});
 
-		// Bottom border - Green
-		this.ctx.strokeStyle = rwandaColors[2];
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + width - innerBorder, y + height - innerBorder);
-		this.ctx.lineTo(x + innerBorder, y + height - innerBorder);
-		this.ctx.stroke();
+		document
+			.getElementById("certificate-png-button")
+			.addEventListener("click", () => {
+				if (this.certificate && this.win) {
+					this.certificate.exportPNG();
+				}
+			});
+		document
+			.getElementById("certificate-print-button")
+			.addEventListener("click", () => {
+				if (this.certificate && this.win) {
+					this.certificate.print();
+				}
+			});
+		document
+			.getElementById("certificate-menu-button")
+			.addEventListener("click", () => {
+				if (this.win) {
+					this.returnToMenu();
+				}
+			});
+	}
 
-		// Left border - Blue
-		this.ctx.strokeStyle = rwandaColors[0];
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + innerBorder, y + height - innerBorder);
-		this.ctx.lineTo(x + innerBorder, y + innerBorder);
-		this.ctx.stroke();
+	showCertificatePanel() {
+		if (!this.certificatePanel) {
+			return;
+		}
+		this.certificateNameInput.value = this.certificate.details.name;
+		this.certificatePanel.style.display = "flex";
 	}
 
-	drawCertificateContent(x, y, width, height, theme) {
-		const centerX = x + width / 2;
+	hideCertificatePanel() {
+		if (this.certificatePanel) {
+			this.certificatePanel.style.display = "none";
+		}
+	}
 
-		// Header emblem/logo area
-		this.ctx.save();
-		this.ctx.fillStyle = "#20603D";
-		this.ctx.beginPath();
-		this.ctx.arc(centerX, y + 60, 25, 0, Math.PI * 2);
-		this.ctx.fill();
+	/**
+	 * Watch a recorded run (see replay.js). The game isn't running while it
+	 * plays, so nothing is saved, counted or asked.
+	 * @returns {boolean} false if the run's starting state can't be restored
+	 */
+	startReplay(recording) {
+		const replay = new ReplayPlayer(this, recording);
+		this.replay = replay;
+		this.running = false;
+		this.paused = false;
+		this.hideCertificatePanel();
+		this.hideLeaderboardPanel();
+		if (!replay.restore(0)) {
+			this.replay = null;
+			return false;
+		}
 
-		this.ctx.fillStyle = "#ffffff";
-		this.ctx.font = 'bold 20px "Arial", sans-serif';
-		this.ctx.textAlign = "center";
-		this.ctx.fillText("R", centerX, y + 67);
-		this.ctx.restore();
+		replay.onChange = () => this.showReplayControls();
+		if (this.replayControls) {
+			this.replayControls.style.display = "flex";
+		}
+		this.showReplayControls();
 
-		// Certificate title
-		this.ctx.save();
-		this.ctx.fillStyle = "#2c3e50";
-		this.ctx.font = 'bold 24px "Georgia", serif';
-		this.ctx.textAlign = "center";
-		this.ctx.fillText("CERTIFICATE OF ACHIEVEMENT", centerX, y + 110);
+		this.lastTime = performance.now();
+		if (this.animationFrameId) {
+			cancelAnimationFrame(this.animationFrameId);
+		}
+		this.animationFrameId = requestAnimationFrame((timestamp) =>
+			this.gameLoop(timestamp),
+		);
+		return true;
+	}
 
-		// Decorative line under title
-		this.ctx.strokeStyle = "#E5BE01";
-		this.ctx.lineWidth = 2;
-		this.ctx.beginPath();
-		this.ctx.moveTo(centerX - 100, y + 120);
-		this.ctx.lineTo(centerX + 100, y + 120);
-		this.ctx.stroke();
-		this.ctx.restore();
+	stopReplay() {
+		if (!this.replay) {
+			return;
+		}
+		this.replay = null;
+		this.gameOver = false;
+		this.win = false;
+		if (this.animationFrameId) {
+			cancelAnimationFrame(this.animationFrameId);
+			this.animationFrameId = null;
+		}
+		if (this.replayControls) {
+			this.replayControls.style.display = "none";
+		}
 
-		this.ctx.save();
-		this.ctx.fillStyle = "#34495e";
-		this.ctx.font = '16px "Georgia", serif';
-		this.ctx.textAlign = "center";
+		if (this.menuSystem) {
+			this.menuSystem.showMenuScreen();
+			this.menuSystem.checkForSavedGame();
+		}
+	}
 
-		this.ctx.fillText("This is to certify that", centerX, y + 160);
+	/**
+	 * Space or pause plays/pauses, arrows skip, + and - change the speed,
+	 * the menu key leaves
+	 * @returns {boolean} true if the key was used
+	 */
+	handleReplayKey(key) {
+		const replay = this.replay;
+		const actions = inputMap.getActions(key);
+		if (actions.includes("pause") || actions.includes("jump")) {
+			replay.setPaused(!replay.paused);
+		} else if (actions.includes("menu")) {
+			this.stopReplay();
+		} else if (key === "ArrowLeft" || key === "ArrowRight") {
+			const direction = key === "ArrowLeft" ? -1 : 1;
+			replay.skip(direction * replayConfig.skipSeconds);
+		} else if (key === "+" || key === "=" || key === "-") {
+			const speeds = replayConfig.speeds;
+			const index = speeds.indexOf(replay.speed) + (key === "-" ? -1 : 1);
+			const clamped = Math.max(0, Math.min(speeds.length - 1, index));
+			replay.setSpeed(speeds[clamped]);
+		} else {
+			return false;
+		}
+		return true;
+	}
 
-		// Achievement title
-		this.ctx.font = 'bold 20px "Georgia", serif';
-		this.ctx.fillStyle = "#2c3e50";
-		this.ctx.fillText("DIGITAL TRANSFORMATION MASTERY", centerX, y + 190);
+	setupReplayControls() {
+		if (!this.replayControls) {
+			return;
+		}
 
-		this.ctx.font = '16px "Georgia", serif';
-		this.ctx.fillStyle = "#34495e";
-		this.ctx.fillText("has been successfully completed", centerX, y + 220);
+		for (const speed of replayConfig.speeds) {
+			const option = document.createElement("option");
+			option.value = speed;
+			option.textContent = `${speed}×`;
+			this.replaySpeed.appendChild(option);
+		}
 
-		// Program details
-		this.ctx.font = 'italic 14px "Georgia", serif';
-		this.ctx.fillStyle = "#7f8c8d";
-		this.ctx.fillText("Future Skills Development Program", centerX, y + 250);
-		this.ctx.fillText("Rwanda Digital Innovation Initiative", centerX, y + 270);
+		this.replayPlayButton.addEventListener("click", () => {
+			if (this.replay) {
+				this.replay.setPaused(!this.replay.paused);
+			}
+		});
+		this.replayScrub.addEventListener("input", () => {
+			if (this.replay) {
+				this.replay.seek(Number(this.replayScrub.value));
+			}
+		});
+		this.replaySpeed.addEventListener("change", () => {
+			if (this.replay) {
+				this.replay.setSpeed(Number(this.replaySpeed.value));
+			}
+		});
+		this.replayExitButton.addEventListener("click", () => {
+			this.stopReplay();
+		});
 
-		// Date and signature area
-		const dateStr = new Date().toLocaleDateString("en-US", {
-			year: "numeric",
-			month: "long",
-			day: "numeric",
+		i18n.onChange(() => {
+			if (this.replay) {
+				this.showReplayControls();
+			}
 		});
+	}
 
-		this.ctx.font = '12px "Arial", sans-serif';
-		this.ctx.fillStyle = "#2c3e50";
-		this.ctx.fillText(`Certified on ${dateStr}`, centerX, y + height - 80);
+	showReplayControls() {
+		const replay = this.replay;
+		if (!this.replayControls || !replay) {
+			return;
+		}
+		let playKey = replay.paused ? "replay.play" : "replay.pause";
+		if (replay.ended) {
+			playKey = "replay.again";
+		}
+		this.replayPlayButton.textContent = i18n.t(playKey);
+		this.replayScrub.max = replay.recording.frames;
+		this.replaySpeed.value = replay.speed;
+		this.showReplayProgress();
+	}
 
-		// Signature line
-		this.ctx.strokeStyle = "#bdc3c7";
-		this.ctx.lineWidth = 1;
-		this.ctx.beginPath();
-		this.ctx.moveTo(centerX - 80, y + height - 50);
-		this.ctx.lineTo(centerX + 80, y + height - 50);
-		this.ctx.stroke();
+	// Slider and clock, every frame while playing
+	showReplayProgress() {
+		const replay = this.replay;
+		if (!this.replayControls || !replay) {
+			return;
+		}
+		this.replayScrub.value = replay.frame;
+		this.replayTime.textContent = `${formatDuration(
+			Math.floor(replay.getTime()),
+		)} / ${formatDuration(
+			Math.floor(replay.getTime(replay.recording.frames)),
+		)}`;
+	}
 
+	// Whose run this is, and how it ended once it has
+	renderReplayOverlay() {
+		const { recording, ended } = this.replay;
+		this.ctx.save();
+		this.ctx.textAlign = "left";
+		this.ctx.fillStyle = "#ff4444";
+		this.ctx.font = 'bold 16px "Courier New", monospace';
 		this.ctx.fillText(
-			"Dipl. Ing. Paul Umukunzi, Director General RTB",
-			centerX,
-			y + height - 35,
+			i18n.t("replay.label", {
+				player: recording.player || "?",
+				difficulty: i18n.t(`difficulty.${recording.difficultyName}`),
+				seed: recording.seed,
+			}),
+			10,
+			this.height - 50,
+			this.width - 20,
 		);
+
+		if (ended && recording.result) {
+			this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+			this.ctx.fillRect(0, this.height / 2 - 40, this.width, 70);
+			this.ctx.textAlign = "center";
+			this.ctx.fillStyle = "#ffffff";
+			this.ctx.font = 'bold 24px "Courier New", monospace';
+			this.ctx.fillText(
+				i18n.t(`replay.outcome.${recording.result.outcome}`),
+				this.width / 2,
+				this.height / 2,
+			);
+			this.ctx.font = '16px "Courier New", monospace';
+			this.ctx.fillText(
+				i18n.t("score.runTotal", {
+					score: i18n.formatNumber(stageScorer.getTotal(this.stageScores)),
+				}),
+				this.width / 2,
+				this.height / 2 + 22,
+			);
+		}
 		this.ctx.restore();
 	}
 
-	drawCertificateDecorations(x, y, width, height, theme) {
-		const cornerSize = 30;
+	// Enter the finished run in the local leaderboards
+	submitToLeaderboard(won) {
+		// Obstacles can't end time trials, their scores can't be compared
+		if (this.timeTrial) {
+			this.leaderboardRun = null;
+			return;
+		}
+		const result = leaderboard.submitRun({
+			initials: leaderboard.suggestInitials(profileManager.getActive().name),
+			difficulty: this.difficultyName,
+			seed: this.seed,
+			stageScores: this.stageScores,
+			time: this.playTime,
+			won,
+		});
+		this.leaderboardRun = this.describePlacements(result.placements)
+			? result
+			: null;
+	}
 
-		this.ctx.save();
-		this.ctx.strokeStyle = "#E5BE01";
-		this.ctx.lineWidth = 2;
+	/**
+	 * "#2 on Hard, #1 for Stage 3", or "" if nothing worth telling: a seed
+	 * nobody else has played is always #1
+	 */
+	describePlacements(placements) {
+		return placements
+			.map(({ key, rank }) => {
+				const [kind, difficulty, value] = key.split(":");
+				const params = {
+					rank,
+					difficulty: i18n.t(`difficulty.${difficulty}`),
+				};
+				if (kind === "run") {
+					return i18n.t("leaderboard.placeRun", params);
+				}
+				if (kind === "stage") {
+					return i18n.t("leaderboard.placeStage", {
+						...params,
+						stage: value,
+					});
+				}
+				return leaderboard.getTable(key).length > 1
+					? i18n.t("leaderboard.placeSeed", { ...params, seed: value })
+					: "";
+			})
+			.filter(Boolean)
+			.join(", ");
+	}
 
-		// Top-left corner
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + 40, y + 40);
-		this.ctx.lineTo(x + 40 + cornerSize, y + 40);
-		this.ctx.moveTo(x + 40, y + 40);
-		this.ctx.lineTo(x + 40, y + 40 + cornerSize);
-		this.ctx.stroke();
+	setupLeaderboardPanel() {
+		if (!this.leaderboardPanel) {
+			return;
+		}
 
-		// Top-right corner
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + width - 40, y + 40);
-		this.ctx.lineTo(x + width - 40 - cornerSize, y + 40);
-		this.ctx.moveTo(x + width - 40, y + 40);
-		this.ctx.lineTo(x + width - 40, y + 40 + cornerSize);
-		this.ctx.stroke();
+		this.leaderboardInitialsInput.maxLength = leaderboardConfig.initialsLength;
+		this.leaderboardInitialsInput.addEventListener("keydown", (e) => {
+			if (e.key === "Enter" && this.leaderboardRun) {
+				this.confirmInitials();
+			}
+		});
+		this.leaderboardOkButton.addEventListener("click", () => {
+			if (this.leaderboardRun) {
+				this.confirmInitials();
+			}
+		});
+	}
 
-		// Bottom-left corner
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + 40, y + height - 40);
-		this.ctx.lineTo(x + 40 + cornerSize, y + height - 40);
-		this.ctx.moveTo(x + 40, y + height - 40);
-		this.ctx.lineTo(x + 40, y + height - 40 - cornerSize);
-		this.ctx.stroke();
+	showLeaderboardPanel() {
+		if (!this.leaderboardPanel || !this.leaderboardRun) {
+			return;
+		}
+		this.leaderboardPlacement.textContent = i18n.t("leaderboard.newHighScore", {
+			places: this.describePlacements(this.leaderboardRun.placements),
+		});
+		this.leaderboardInitialsInput.value = leaderboard.suggestInitials(
+			profileManager.getActive().name,
+		);
+		this.leaderboardPanel.style.display = "flex";
+		if (!isTouchDevice()) {
+			this.leaderboardInitialsInput.focus();
+			this.leaderboardInitialsInput.select();
+		}
+	}
 
-		// Bottom-right corner
-		this.ctx.beginPath();
-		this.ctx.moveTo(x + width - 40, y + height - 40);
-		this.ctx.lineTo(x + width - 40 - cornerSize, y + height - 40);
-		this.ctx.moveTo(x + width - 40, y + height - 40);
-		this.ctx.lineTo(x + width - 40, y + height - 40 - cornerSize);
-		this.ctx.stroke();
+	hideLeaderboardPanel() {
+		this.leaderboardRun = null;
+		if (this.leaderboardPanel) {
+			this.leaderboardPanel.style.display = "none";
+		}
+	}
 
-		this.ctx.restore();
+	confirmInitials() {
+		leaderboard.setInitials(
+			this.leaderboardRun.id,
+			this.leaderboardInitialsInput.value,
+		);
+		this.hideLeaderboardPanel();
+	}
+
+	isLeaderboardPanelVisible() {
+		return Boolean(
+			this.leaderboardPanel && this.leaderboardPanel.style.display !== "none",
+		);
+	}
+
+	// OK button of the initials entry, for gamepad navigation
+	getLeaderboardButtons() {
+		return this.leaderboardOkButton ? [this.leaderboardOkButton] : [];
+	}
+
+	// Buttons on the victory screen, for gamepad navigation
+	getCertificateButtons() {
+		if (!this.certificatePanel) {
+			return [];
+		}
+		return Array.from(this.certificatePanel.querySelectorAll("button"));
 	}
 }
 
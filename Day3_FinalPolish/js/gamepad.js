@@ -0,0 +1,336 @@
+/**
+ * Gamepad controls
+ * Polls the Gamepad API while a controller is plugged in. Drives the player
+ * (left stick or D-pad, A to jump), pauses with START, dismisses popups and
+ * navigates the main menu. Uses the browser's "standard" button layout.
+ * @param {Game} game - The game instance
+ */
+class GamepadControls {
+	constructor(game) {
+		this.game = game;
+		this.supported =
+			typeof navigator !== "undefined" &&
+			typeof navigator.getGamepads === "function";
+
+		// Stick values below this (0..1) are ignored, worn sticks drift
+		this.deadzone = this.loadDeadzone();
+
+		this.buttons = {
+			a: 0,
+			b: 1,
+			back: 8,
+			start: 9,
+			up: 12,
+			down: 13,
+			left: 14,
+			right: 15,
+		};
+
+		// Connected pads by index, and the one we read from
+		this.connected = {};
+		this.activeIndex = null;
+
+		// Button state from the previous poll, to detect presses
+		this.previous = {};
+		// Buttons whose press was used up (e.g. A on a menu button) and
+		// shouldn't also count as held until they are released
+		this.consumed = new Set();
+		this.previousNavDirection = 0;
+		this.focusIndex = 0;
+
+		this.pollFrameId = null;
+		// Called with (gamepad or null) when a pad is plugged in or removed
+		this.onConnectionChange = null;
+
+		if (this.supported) {
+			this.setupEventListeners();
+		}
+	}
+
+	setupEventListeners() {
+		window.addEventListener("gamepadconnected", (e) => {
+			this.handleConnected(e.gamepad);
+		});
+
+		window.addEventListener("gamepaddisconnected", (e) => {
+			this.handleDisconnected(e.gamepad);
+		});
+	}
+
+	handleConnected(gamepad) {
+		console.log(`Gamepad connected: ${gamepad.id}`);
+		this.connected[gamepad.index] = gamepad.id;
+
+		if (this.activeIndex === null) {
+			this.activeIndex = gamepad.index;
+			this.previous = {};
+		}
+
+		this.notifyConnectionChange();
+		this.startPolling();
+	}
+
+	handleDisconnected(gamepad) {
+		console.log(`Gamepad disconnected: ${gamepad.id}`);
+		delete this.connected[gamepad.index];
+
+		if (this.activeIndex === gamepad.index) {
+			const remaining = Object.keys(this.connected);
+			this.activeIndex = remaining.length > 0 ? Number(remaining[0]) : null;
+			this.previous = {};
+
+			if (this.game.player) {
+				this.game.player.clearInput("gamepad");
+			}
+
+			// Losing the controller mid-run shouldn't cost the player health
+			if (this.game.running && !this.game.paused && !this.game.gameOver) {
+				this.game.togglePause();
+			}
+		}
+
+		this.notifyConnectionChange();
+	}
+
+	notifyConnectionChange() {
+		if (typeof this.onConnectionChange === "function") {
+			this.onConnectionChange(this.getActiveGamepad());
+		}
+	}
+
+	isConnected() {
+		return this.activeIndex !== null;
+	}
+
+	getActiveGamepad() {
+		if (!this.supported || this.activeIndex === null) {
+			return null;
+		}
+		return navigator.getGamepads()[this.activeIndex] || null;
+	}
+
+	loadDeadzone() {
+		try {
+			const saved = parseFloat(
+				localStorage.getItem("futureskillsGamepadDeadzone"),
+			);
+			return Number.isFinite(saved) ? saved : 0.25;
+		} catch (e) {
+			return 0.25;
+		}
+	}
+
+	setDeadzone(value) {
+		this.deadzone = Math.max(0.05, Math.min(0.9, value));
+		try {
+			localStorage.setItem("futureskillsGamepadDeadzone", this.deadzone);
+		} catch (e) {
+			console.error("Failed to save gamepad deadzone:", e);
+		}
+	}
+
+	// Polling runs on its own frame loop because the game loop stops while
+	// paused and isn't running at all on the menu
+	startPolling() {
+		if (this.pollFrameId === null) {
+			this.pollFrameId = requestAnimationFrame(() => this.poll());
+		}
+	}
+
+	poll() {
+		this.pollFrameId = null;
+
+		const gamepad = this.getActiveGamepad();
+		if (!gamepad) {
+			if (this.isConnected()) {
+				this.startPolling();
+			}
+			return;
+		}
+
+		const pressed = {};
+		for (const [name, index] of Object.entries(this.buttons)) {
+			const button = gamepad.buttons[index];
+			pressed[name] = Boolean(button && button.pressed);
+		}
+		for (const name of this.consumed) {
+			if (!pressed[name]) {
+				this.consumed.delete(name);
+			}
+		}
+		const justPressed = (name) => {
+			if (pressed[name] && !this.previous[name]) {
+				this.consumed.add(name);
+				return true;
+			}
+			return false;
+		};
+
+		this.route(gamepad, pressed, justPressed);
+
+		this.previous = pressed;
+		this.startPolling();
+	}
+
+	route(gamepad, pressed, justPressed) {
+		const game = this.game;
+
+		// Educational popup: pick a quiz answer, then A or B closes it
+		if (
+			typeof popupManager !== "undefined" &&
+			popupManager.isPopupVisible()
+		) {
+			if (popupManager.isQuizPending()) {
+				this.navigateButtons(
+					popupManager.getChoiceButtons(),
+					gamepad,
+					pressed,
+					justPressed,
+				);
+			} else if (justPressed("a") || justPressed("b")) {
+				popupManager.dismiss();
+			}
+			return;
+		}
+
+		// Replay: A plays/pauses, B leaves, D-pad left/right skips
+		if (game.replay) {
+			if (justPressed("a") || justPressed("start")) {
+				game.replay.setPaused(!game.replay.paused);
+			} else if (justPressed("b") || justPressed("back")) {
+				game.stopReplay();
+			} else if (justPressed("left") || justPressed("right")) {
+				const direction = justPressed("left") ? -1 : 1;
+				game.replay.skip(direction * replayConfig.skipSeconds);
+			}
+			return;
+		}
+
+		if (this.isMenuVisible()) {
+			this.navigateButtons(
+				this.game.menuSystem.getNavigableButtons(),
+				gamepad,
+				pressed,
+				justPressed,
+			);
+			return;
+		}
+
+		if (game.gameOver) {
+			if (game.isLeaderboardPanelVisible()) {
+				// Initials entry for a new high score
+				this.navigateButtons(
+					game.getLeaderboardButtons(),
+					gamepad,
+					pressed,
+					justPressed,
+				);
+			} else if (game.win) {
+				// Certificate export and main menu buttons
+				this.navigateButtons(
+					game.getCertificateButtons(),
+					gamepad,
+					pressed,
+					justPressed,
+				);
+			} else if (justPressed("a")) {
+				// Same as the "Return to Main Menu" button
+				game.returnToMenu();
+			}
+			return;
+		}
+
+		// Stage score between stages: A or Start moves on
+		if (game.stageSummary) {
+			if (justPressed("a") || justPressed("start")) {
+				game.continueFromStageSummary();
+			}
+			return;
+		}
+
+		if (!game.running) {
+			return;
+		}
+
+		if (game.paused) {
+			if (justPressed("start") || justPressed("a")) {
+				game.togglePause();
+			} else if (justPressed("b") || justPressed("back")) {
+				game.returnToMenu();
+			}
+			return;
+		}
+
+		if (justPressed("start")) {
+			game.player.clearInput("gamepad");
+			game.togglePause();
+			return;
+		}
+
+		const stick = this.getStick(gamepad);
+		game.player.setInput("gamepad", {
+			x: stick.x + (pressed.right ? 1 : 0) - (pressed.left ? 1 : 0),
+			y: stick.y + (pressed.down ? 1 : 0) - (pressed.up ? 1 : 0),
+			jump: pressed.a && !this.consumed.has("a"),
+		});
+	}
+
+	/**
+	 * Left stick with a radial deadzone, rescaled so movement starts from
+	 * zero at the edge of the deadzone instead of jumping to its value
+	 * @returns {Object} { x, y } in -1..1
+	 */
+	getStick(gamepad) {
+		const x = gamepad.axes[0] || 0;
+		const y = gamepad.axes[1] || 0;
+		const magnitude = Math.sqrt(x * x + y * y);
+
+		if (magnitude < this.deadzone) {
+			return { x: 0, y: 0 };
+		}
+
+		const scaled = Math.min(
+			1,
+			(magnitude - this.deadzone) / (1 - this.deadzone),
+		);
+		return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+	}
+
+	isMenuVisible() {
+		const menu = this.game.menuSystem;
+		return Boolean(menu && menu.isOpen());
+	}
+
+	// Up/down (stick or D-pad) moves between buttons (menu, quiz answers),
+	// A presses one
+	navigateButtons(buttons, gamepad, pressed, justPressed) {
+		if (buttons.length === 0) {
+			return;
+		}
+
+		const stick = this.getStick(gamepad);
+		let direction = 0;
+		if (pressed.up || stick.y < -0.5) {
+			direction = -1;
+		} else if (pressed.down || stick.y > 0.5) {
+			direction = 1;
+		}
+
+		this.focusIndex = Math.min(this.focusIndex, buttons.length - 1);
+		if (direction !== 0 && direction !== this.previousNavDirection) {
+			this.focusIndex =
+				(this.focusIndex + direction + buttons.length) % buttons.length;
+		}
+		this.previousNavDirection = direction;
+
+		buttons.forEach((button, index) => {
+			button.classList.toggle("gamepad-focus", index === this.focusIndex);
+		});
+
+		if (justPressed("a") || justPressed("start")) {
+			const button = buttons[this.focusIndex];
+			button.classList.remove("gamepad-focus");
+			button.click();
+		}
+	}
+}
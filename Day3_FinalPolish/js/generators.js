@@ -0,0 +1,293 @@
+/**
+ * Maze generation algorithms
+ * Each generator carves passages into a freshly initialized maze grid
+ * (all walls up, nothing visited) using maze.removeWall() and maze.random
+ */
+const mazeGenerators = {
+	// Kruskal's algorithm: joins random edges between disjoint sets (many short dead ends)
+	kruskal(maze) {
+		// Disjoint-set (Union-Find) structure
+		const parent = new Map();
+
+		const find = (cell) => {
+			if (parent.get(cell) !== cell) {
+				parent.set(cell, find(parent.get(cell)));
+			}
+			return parent.get(cell);
+		};
+
+		const union = (a, b) => {
+			const rootA = find(a);
+			const rootB = find(b);
+			if (rootA !== rootB) {
+				parent.set(rootB, rootA);
+				return true;
+			}
+			return false;
+		};
+
+		// Initialize sets
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				const cellKey = `${x},${y}`;
+				parent.set(cellKey, cellKey);
+			}
+		}
+
+		// Create all possible edges (walls between adjacent cells)
+		const edges = [];
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				if (x < maze.cols - 1) {
+					edges.push({ x1: x, y1: y, x2: x + 1, y2: y }); // right neighbor
+				}
+				if (y < maze.rows - 1) {
+					edges.push({ x1: x, y1: y, x2: x, y2: y + 1 }); // bottom neighbor
+				}
+			}
+		}
+
+		shuffleInPlace(edges, maze.random);
+
+		for (const edge of edges) {
+			const aKey = `${edge.x1},${edge.y1}`;
+			const bKey = `${edge.x2},${edge.y2}`;
+			if (union(aKey, bKey)) {
+				maze.removeWall({ x: edge.x1, y: edge.y1 }, { x: edge.x2, y: edge.y2 });
+			}
+		}
+	},
+
+	// Recursive backtracker (depth-first): long, winding corridors with few branches
+	"recursive-backtracker"(maze) {
+		const start = randomCell(maze);
+		maze.grid[start.y][start.x].visited = true;
+		const stack = [start];
+
+		while (stack.length > 0) {
+			const current = stack[stack.length - 1];
+			const neighbors = maze.getUnvisitedNeighbors(current.x, current.y);
+
+			if (neighbors.length === 0) {
+				stack.pop();
+				continue;
+			}
+
+			const next = pickRandom(neighbors, maze.random);
+			maze.removeWall(current, next);
+			maze.grid[next.y][next.x].visited = true;
+			stack.push({ x: next.x, y: next.y });
+		}
+	},
+
+	// Randomized Prim's: grows outward from one cell, lots of short branches
+	prim(maze) {
+		const start = randomCell(maze);
+		const frontier = new Map();
+
+		const addFrontier = (x, y) => {
+			for (const neighbor of maze.getUnvisitedNeighbors(x, y)) {
+				frontier.set(`${neighbor.x},${neighbor.y}`, neighbor);
+			}
+		};
+
+		maze.grid[start.y][start.x].visited = true;
+		addFrontier(start.x, start.y);
+
+		while (frontier.size > 0) {
+			const keys = Array.from(frontier.keys());
+			const key = pickRandom(keys, maze.random);
+			const cell = frontier.get(key);
+			frontier.delete(key);
+
+			// Connect to a random neighbor that is already part of the maze
+			const inMaze = getNeighbors(maze, cell.x, cell.y).filter(
+				(n) => maze.grid[n.y][n.x].visited,
+			);
+			maze.removeWall(cell, pickRandom(inMaze, maze.random));
+			maze.grid[cell.y][cell.x].visited = true;
+
+			addFrontier(cell.x, cell.y);
+		}
+	},
+
+	// Wilson's algorithm: loop-erased random walks, an unbiased uniform spanning tree
+	wilson(maze) {
+		const inMaze = new Set();
+		const first = randomCell(maze);
+		inMaze.add(`${first.x},${first.y}`);
+
+		const remaining = [];
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				if (!inMaze.has(`${x},${y}`)) {
+					remaining.push({ x, y });
+				}
+			}
+		}
+		shuffleInPlace(remaining, maze.random);
+
+		for (const start of remaining) {
+			if (inMaze.has(`${start.x},${start.y}`)) {
+				continue;
+			}
+
+			// Random walk until we hit the maze, remembering only the last exit
+			// from each cell (this erases loops)
+			const nextStep = new Map();
+			let current = start;
+			while (!inMaze.has(`${current.x},${current.y}`)) {
+				const next = pickRandom(
+					getNeighbors(maze, current.x, current.y),
+					maze.random,
+				);
+				nextStep.set(`${current.x},${current.y}`, next);
+				current = next;
+			}
+
+			// Carve the loop-erased path into the maze
+			current = start;
+			while (!inMaze.has(`${current.x},${current.y}`)) {
+				const key = `${current.x},${current.y}`;
+				const next = nextStep.get(key);
+				maze.removeWall(current, next);
+				inMaze.add(key);
+				current = next;
+			}
+		}
+	},
+
+	// Eller's algorithm: builds row by row, giving long horizontal runs
+	eller(maze) {
+		let rowSets = new Array(maze.cols).fill(null);
+		let nextSetId = 0;
+
+		for (let y = 0; y < maze.rows; y++) {
+			const isLastRow = y === maze.rows - 1;
+
+			for (let x = 0; x < maze.cols; x++) {
+				if (rowSets[x] === null) {
+					rowSets[x] = nextSetId++;
+				}
+			}
+
+			// Randomly join adjacent cells in different sets (always on the last row)
+			for (let x = 0; x < maze.cols - 1; x++) {
+				if (
+					rowSets[x] !== rowSets[x + 1] &&
+					(isLastRow || maze.random() < 0.5)
+				) {
+					maze.removeWall({ x, y }, { x: x + 1, y });
+					const merged = rowSets[x + 1];
+					for (let i = 0; i < maze.cols; i++) {
+						if (rowSets[i] === merged) {
+							rowSets[i] = rowSets[x];
+						}
+					}
+				}
+			}
+
+			if (isLastRow) {
+				break;
+			}
+
+			// Every set needs at least one passage down to the next row
+			const members = new Map();
+			for (let x = 0; x < maze.cols; x++) {
+				if (!members.has(rowSets[x])) {
+					members.set(rowSets[x], []);
+				}
+				members.get(rowSets[x]).push(x);
+			}
+
+			const nextRowSets = new Array(maze.cols).fill(null);
+			for (const [setId, columns] of members) {
+				shuffleInPlace(columns, maze.random);
+				const drops = 1 + Math.floor(maze.random() * columns.length);
+				for (let i = 0; i < drops; i++) {
+					const x = columns[i];
+					maze.removeWall({ x, y }, { x, y: y + 1 });
+					nextRowSets[x] = setId;
+				}
+			}
+			rowSets = nextRowSets;
+		}
+	},
+
+	// Binary tree: every cell opens north or east, leaving open top and right edges
+	"binary-tree"(maze) {
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				const options = [];
+				if (y > 0) {
+					options.push({ x, y: y - 1 });
+				}
+				if (x < maze.cols - 1) {
+					options.push({ x: x + 1, y });
+				}
+				if (options.length > 0) {
+					maze.removeWall({ x, y }, pickRandom(options, maze.random));
+				}
+			}
+		}
+	},
+
+	// Growing tree: mixes newest-cell (backtracker) and random-cell (Prim) selection
+	"growing-tree"(maze) {
+		const start = randomCell(maze);
+		maze.grid[start.y][start.x].visited = true;
+		const active = [start];
+
+		while (active.length > 0) {
+			const index =
+				maze.random() < 0.5
+					? active.length - 1
+					: Math.floor(maze.random() * active.length);
+			const current = active[index];
+			const neighbors = maze.getUnvisitedNeighbors(current.x, current.y);
+
+			if (neighbors.length === 0) {
+				active.splice(index, 1);
+				continue;
+			}
+
+			const next = pickRandom(neighbors, maze.random);
+			maze.removeWall(current, next);
+			maze.grid[next.y][next.x].visited = true;
+			active.push({ x: next.x, y: next.y });
+		}
+	},
+};
+
+const registerMazeGenerator = (name, generator) => {
+	if (typeof generator !== "function") {
+		console.error(`Maze generator "${name}" must be a function`);
+		return false;
+	}
+	mazeGenerators[name] = generator;
+	return true;
+};
+
+const getMazeGenerator = (name) => {
+	if (name && !mazeGenerators[name]) {
+		console.warn(`Unknown maze generator "${name}", falling back to kruskal`);
+	}
+	return mazeGenerators[name] || mazeGenerators.kruskal;
+};
+
+const randomCell = (maze) => {
+	return {
+		x: getRandomInt(0, maze.cols - 1, maze.random),
+		y: getRandomInt(0, maze.rows - 1, maze.random),
+	};
+};
+
+// All in-bounds orthogonal neighbors, ignoring walls
+const getNeighbors = (maze, x, y) => {
+	const neighbors = [];
+	if (y > 0) neighbors.push({ x, y: y - 1 });
+	if (x < maze.cols - 1) neighbors.push({ x: x + 1, y });
+	if (y < maze.rows - 1) neighbors.push({ x, y: y + 1 });
+	if (x > 0) neighbors.push({ x: x - 1, y });
+	return neighbors;
+};
@@ -0,0 +1,970 @@
+/**
+ * Localization
+ * String tables for every player-facing text (HUD, menus, pause and game
+ * over screens, certificate) in English, French and Kinyarwanda, plus the
+ * current language and date formatting for it. Skill names, facts and quiz
+ * questions are translated in data/skills.json (see SkillCatalog.get()).
+ *
+ * Texts use {name} placeholders: i18n.t("hud.time", { time: 90 }).
+ * Static page text is marked with data-i18n="key" in index.html.
+ */
+const localeStrings = {
+	en: {
+		"menu.start": "Press {key} to start",
+		"menu.tapToStart": "Tap to start",
+		"menu.continue": "Continue",
+		"menu.autosaveFound": "Your last game was interrupted ({details}, saved {date}).",
+		"menu.resumeAutosave": "Resume from autosave",
+		"menu.discardAutosave": "Discard",
+		"menu.knowledge": "Knowledge Log",
+		"menu.settings": "Settings",
+		"menu.saves": "Saved Games",
+		"menu.timeTrial": "Time Trial",
+		"saves.title": "Saved Games",
+		"saves.current": "Current game",
+		"saves.name": "Name:",
+		"saves.saveNew": "Save to a new slot",
+		"saves.defaultName": "Stage {stage} - {date}",
+		"saves.details": "Stage {stage}/{maxStage} - Artifacts {collected}/{total} - {time}s left",
+		"saves.load": "Load",
+		"saves.overwrite": "Overwrite",
+		"saves.delete": "Delete",
+		"saves.empty": "No saved games yet.",
+		"saves.noGame": "No saved games yet. To save one, pause a game and return to the menu.",
+		"saves.full": "All {max} slots are used: overwrite or delete one.",
+		"saves.confirmOverwrite": "Replace \"{name}\" with the current game?",
+		"saves.confirmDelete": "Delete \"{name}\"?",
+		"saves.failed": "The game could not be saved (the browser storage may be full).",
+		"saves.loadError": "\"{name}\" is damaged and can't be loaded.",
+		"transfer.title": "Move to another computer",
+		"transfer.hint": "Export your saved games, profiles and Knowledge Log to a file, then import it on the other computer",
+		"transfer.export": "Export to file",
+		"transfer.import": "Import from file",
+		"transfer.choiceHint": "Merge keeps what is on this computer and adds what is new. Overwrite replaces it with the file.",
+		"transfer.merge": "Merge",
+		"transfer.overwrite": "Overwrite",
+		"transfer.summary": "{file} (exported {date}): {slots} saved games, {profiles} profiles.",
+		"transfer.damaged": "{count} damaged saves will be left out.",
+		"transfer.confirmOverwrite": "Replace all saved games, profiles and Knowledge Logs on this computer with the file?",
+		"transfer.done": "Imported {slots} saved games and {profiles} profiles.",
+		"transfer.noRoom": "{count} saved games did not fit ({max} slots at most).",
+		"transfer.invalid": "\"{file}\" is not a FutureskillsArtifact save file, or it is damaged.",
+		"replay.title": "Replays",
+		"replay.hint": "Your last {max} runs on this computer are kept. Watch one, or download it to send to a teacher or attach to a bug report.",
+		"replay.details": "{date} - {player} - {difficulty} - seed {seed} - {outcome} ({time})",
+		"replay.empty": "No runs recorded yet.",
+		"replay.watch": "Watch",
+		"replay.download": "Download",
+		"replay.open": "Open a replay file",
+		"replay.invalid": "\"{file}\" is not a FutureskillsArtifact replay, or it is damaged.",
+		"replay.failed": "This replay can't be played, it may be damaged.",
+		"replay.play": "Play",
+		"replay.pause": "Pause",
+		"replay.again": "Play again",
+		"replay.speed": "Speed:",
+		"replay.exit": "Exit",
+		"replay.label": "REPLAY - {player} - {difficulty} - seed {seed}",
+		"replay.outcome.won": "Maze completed",
+		"replay.outcome.died": "Out of health",
+		"replay.outcome.timeOut": "Time's up",
+		"replay.outcome.quit": "Left the game",
+		"timeTrial.title": "Time Trial",
+		"timeTrial.hint": "Race the clock on one seed, at the difficulty picked on the main menu. Obstacles can't end the run and artifacts don't stop it. Your best run on the seed comes back as a ghost to race.",
+		"timeTrial.seed": "Seed:",
+		"timeTrial.start": "Start",
+		"timeTrial.best": "Best runs on {difficulty}",
+		"timeTrial.empty": "No time trial finished on this difficulty yet.",
+		"timeTrial.details": "{seed} - {time} - {player} - {date}",
+		"timeTrial.race": "Race",
+		"menu.loadError": "There was an error loading the game. Please try again.",
+		"controls.title": "Controls:",
+		"controls.move": "{keys} - Move",
+		"controls.jump": "{keys} - Jump",
+		"controls.pause": "{keys} - Pause",
+		"controls.minimap": "{keys} - Minimap",
+		"controls.gamepad": "Gamepad - Stick/D-pad move, A jump, START pause",
+		"controls.touchMove": "Left thumb - Joystick (or swipe)",
+		"controls.touchJump": "JUMP button - Jump",
+		"controls.touchPause": "II button - Pause",
+		"common.back": "Back",
+		"common.cancel": "Cancel",
+		"menu.stats": "Statistics",
+		"menu.leaderboard": "Leaderboard",
+		"stats.title": "Statistics",
+		"stats.playingAs": "Playing as:",
+		"stats.newProfile": "New player:",
+		"stats.addProfile": "Add",
+		"stats.games": "Games",
+		"stats.gamesPlayed": "Games played",
+		"stats.gamesWon": "Games won",
+		"stats.stagesCleared": "Stages cleared",
+		"stats.timeOuts": "Ran out of time",
+		"stats.playTime": "Time played",
+		"stats.bestTimes": "Best times",
+		"stats.bestTimesFor": "Best times - {difficulty}",
+		"stats.stage": "Stage {stage}",
+		"stats.noBestTimes": "No stage cleared yet.",
+		"stats.deaths": "Defeated by",
+		"stats.noDeaths": "Never defeated.",
+		"stats.artifacts": "Artifacts collected",
+		"stats.noArtifacts": "No artifacts collected yet.",
+		"obstacle.laser": "Laser",
+		"obstacle.tallLaser": "Tall laser",
+		"obstacle.spike": "Spikes",
+		"obstacle.slowField": "Slow field",
+		"obstacle.unknown": "Unknown",
+		"hud.time": "Time: {time}",
+		"hud.artifacts": "Artifacts: {collected}/{total}",
+		"hud.findExit": " - Find the exit!",
+		"hud.health": "Health: {health}%",
+		"hud.stage": "Stage: {stage}/{maxStage}",
+		"hud.stageTheme": "Stage: {stage}/{maxStage} - {theme}",
+		"hud.seed": "Seed: {seed}",
+		"theme.1": "Colorful Rwanda",
+		"theme.2": "Digital Sky",
+		"theme.3": "Future Campus",
+		"game.exit": "EXIT",
+		"pause.title": "PAUSED",
+		"pause.resume": "Press {key} to resume",
+		"pause.menu": "Press {key} to return to main menu",
+		"pause.move": "Move: {keys}",
+		"pause.jump": "Jump: {keys} (clears spikes and low lasers)",
+		"pause.pauseResume": "Pause/Resume: {keys}",
+		"pause.minimap": "Minimap: {key} ({bigger} / {smaller} to resize)",
+		"pause.gamepad": "Gamepad: START/A resume, B main menu",
+		"touch.jump": "JUMP",
+		"touch.joystick": "STICK",
+		"touch.swipe": "SWIPE",
+		"touch.resume": "Resume",
+		"touch.mainMenu": "Main Menu",
+		"gameOver.died": "YOU DIED!",
+		"gameOver.timesUp": "TIME'S UP!",
+		"gameOver.stage": "Stage: {stage} / {maxStage}",
+		"gameOver.artifacts": "Artifacts collected: {collected} / {total}",
+		"gameOver.returnToMenu": "Return to Main Menu",
+		"stage.complete": "Stage {stage} Complete!",
+		"score.time": "Time left ({count}s)",
+		"score.health": "Health left ({count}%)",
+		"score.artifacts": "Artifacts ({count})",
+		"score.avoided": "Obstacles avoided ({count})",
+		"score.efficiency": "Route efficiency ({count}%)",
+		"score.stageTotal": "{difficulty} ×{multiplier}",
+		"score.runTotal": "Run total: {score}",
+		"score.continue": "Press Enter to go on to Stage {stage}",
+		"score.tapToContinue": "Tap to go on to Stage {stage}",
+		"score.victory": "Total score: {score}  ({stages})",
+		"leaderboard.title": "Leaderboard",
+		"leaderboard.difficulty": "Difficulty:",
+		"leaderboard.table": "Scores:",
+		"leaderboard.runs": "Best runs",
+		"leaderboard.stage": "Stage {stage}",
+		"leaderboard.seeds": "Seeds",
+		"leaderboard.empty": "No scores yet",
+		"leaderboard.initials": "Your initials:",
+		"leaderboard.player": "Initials",
+		"leaderboard.score": "Score",
+		"leaderboard.time": "Time",
+		"leaderboard.date": "Date",
+		"leaderboard.ok": "OK",
+		"leaderboard.newHighScore": "New high score! {places}",
+		"leaderboard.placeRun": "#{rank} on {difficulty}",
+		"leaderboard.placeStage": "#{rank} for Stage {stage}",
+		"leaderboard.placeSeed": "#{rank} on seed {seed}",
+		"stage.refused": "Stage {stage} can't start: {reasons}",
+		"popup.title": "Artifact Collected!",
+		"popup.continue": "Continue",
+		"quiz.title": "{skill} Quiz",
+		"quiz.correct": "Correct!",
+		"quiz.correctReward": "Correct! {reward}",
+		"quiz.wrong": "Not quite. {explanation}",
+		"quiz.rewardHealth": "+{amount} health",
+		"quiz.rewardTime": "+{amount} seconds",
+		"quiz.summary": "Quiz: {correct}/{asked} correct",
+		"certificate.title": "CERTIFICATE OF ACHIEVEMENT",
+		"certificate.certify": "This is to certify that",
+		"certificate.achievement": "DIGITAL TRANSFORMATION MASTERY",
+		"certificate.completed": "has successfully completed",
+		"certificate.program": "Future Skills Development Program",
+		"certificate.initiative": "Rwanda Digital Innovation Initiative",
+		"certificate.date": "Certified on {date}",
+		"certificate.difficulty": "Difficulty: {difficulty}",
+		"certificate.time": "Time: {time}",
+		"certificate.health": "Health: {health}%",
+		"certificate.quiz": "Quiz: {correct}/{asked}",
+		"certificate.skills": "Skills learned ({count}): {skills}",
+		"certificate.seed": "Seed: {seed}",
+		"certificate.code": "Verification code: {code}",
+		"certificate.nameLabel": "Your name:",
+		"certificate.savePng": "Save PNG",
+		"certificate.print": "Print",
+		"certificate.mainMenu": "Main Menu",
+		"difficulty.normal": "Normal",
+		"hud.difficulty": "Difficulty: {difficulty}",
+		"hud.runTime": "Run: {time}",
+		"hud.split": "{name} {time}",
+		"hud.splitDelta": "{name} {time} ({delta})",
+		"split.artifact": "Artifact {stage}-{number}",
+		"split.stage": "Stage {stage}",
+		"split.newBest": "New best!",
+		"difficulty.easy": "Easy",
+		"difficulty.hard": "Hard",
+		"difficulty.expert": "Expert",
+		"difficulty.custom": "Custom",
+		"custom.title": "Custom Difficulty",
+		"custom.hint": "Percentages are of the Normal difficulty. Changes apply to the next game.",
+		"custom.level": "Obstacle level (1-3)",
+		"custom.mazeSize": "Maze size",
+		"custom.loops": "Shortcuts through walls",
+		"custom.obstacles": "Number of obstacles",
+		"custom.damage": "Obstacle damage",
+		"custom.time": "Time per stage",
+		"custom.stageHeal": "Healing between stages",
+		"custom.viewRadius": "View distance in the dark (cells)",
+		"custom.mix": "Obstacle mix",
+		"custom.reset": "Start from Normal",
+		"verify.title": "Verify a Certificate",
+		"verify.hint": "Type the details as printed on the certificate. Everything is checked on this device, nothing is sent anywhere.",
+		"verify.name": "Name",
+		"verify.date": "Date",
+		"verify.difficulty": "Difficulty",
+		"verify.time": "Time (e.g. 12:05)",
+		"verify.health": "Health (%)",
+		"verify.quizCorrect": "Quiz: correct answers",
+		"verify.quizAsked": "Quiz: questions (0 if there is no quiz score)",
+		"verify.skillCount": "Number of skills learned",
+		"verify.seed": "Seed",
+		"verify.code": "Verification code",
+		"verify.check": "Check",
+		"verify.valid": "Valid: the details match the verification code.",
+		"verify.invalid": "Not valid: the details or the code were changed, or mistyped.",
+		"verify.incomplete": "Fill in every field, including the code.",
+		"verify.backToGame": "Back to the game",
+		"knowledge.title": "Knowledge Log",
+		"knowledge.profile": "Profile: {name}",
+		"knowledge.facts": "{skill} - {seen}/{total} facts",
+		"knowledge.quiz": ", quiz {correct}/{asked}",
+		"knowledge.undiscovered":
+			"Not discovered yet - collect this artifact to learn about it",
+		"knowledge.review": "Review: {question}",
+		"settings.title": "Settings",
+		"settings.keyboard": "Keyboard",
+		"settings.keyboardHint":
+			"Click a key, then press the new key for it (Backspace clears it)",
+		"settings.gameplay": "Gameplay",
+		"settings.quizMode":
+			"Quiz mode: answer a question about each artifact you collect",
+		"settings.gamepad": "Gamepad",
+		"settings.noController": "No controller",
+		"settings.controller": "Controller: {id}",
+		"settings.deadzone": "Stick deadzone:",
+		"settings.resetKeys": "Reset keys",
+		"settings.pressKey": "Press a key",
+		"settings.conflict": "{key} is bound to: {actions}",
+		"settings.unbound": "(unbound)",
+		"action.moveUp": "Move up",
+		"action.moveDown": "Move down",
+		"action.moveLeft": "Move left",
+		"action.moveRight": "Move right",
+		"action.jump": "Jump",
+		"action.pause": "Pause / resume",
+		"action.menu": "Main menu (when paused)",
+		"action.confirm": "Start game",
+		"action.minimap": "Toggle minimap",
+		"action.minimapBigger": "Minimap bigger",
+		"action.minimapSmaller": "Minimap smaller",
+		"action.debugMode": "Debug mode",
+		"action.debugPath": "Debug: shortest path",
+		"action.debugTarget": "Debug: next target",
+		"action.debugArtifacts": "Debug: show artifacts",
+		"action.debugObstacles": "Debug: show obstacles",
+		"action.debugPlayer": "Debug: player details",
+		"action.debugVictory": "Debug: skip to victory",
+	},
+
+	fr: {
+		"menu.start": "Appuyez sur {key} pour commencer",
+		"menu.tapToStart": "Touchez pour commencer",
+		"menu.continue": "Continuer",
+		"menu.autosaveFound": "Votre dernière partie a été interrompue ({details}, sauvegardée le {date}).",
+		"menu.resumeAutosave": "Reprendre la sauvegarde automatique",
+		"menu.discardAutosave": "Ignorer",
+		"menu.knowledge": "Journal des connaissances",
+		"menu.settings": "Paramètres",
+		"menu.saves": "Parties sauvegardées",
+		"menu.timeTrial": "Contre-la-montre",
+		"saves.title": "Parties sauvegardées",
+		"saves.current": "Partie en cours",
+		"saves.name": "Nom :",
+		"saves.saveNew": "Sauvegarder dans un nouvel emplacement",
+		"saves.defaultName": "Niveau {stage} - {date}",
+		"saves.details": "Niveau {stage}/{maxStage} - Artefacts {collected}/{total} - {time} s restantes",
+		"saves.load": "Charger",
+		"saves.overwrite": "Remplacer",
+		"saves.delete": "Supprimer",
+		"saves.empty": "Aucune partie sauvegardée.",
+		"saves.noGame": "Aucune partie sauvegardée. Pour en sauvegarder une, mettez une partie en pause et revenez au menu.",
+		"saves.full": "Les {max} emplacements sont utilisés : remplacez-en ou supprimez-en un.",
+		"saves.confirmOverwrite": "Remplacer « {name} » par la partie en cours ?",
+		"saves.confirmDelete": "Supprimer « {name} » ?",
+		"saves.failed": "La partie n'a pas pu être sauvegardée (le stockage du navigateur est peut-être plein).",
+		"saves.loadError": "« {name} » est endommagée et ne peut pas être chargée.",
+		"transfer.title": "Passer à un autre ordinateur",
+		"transfer.hint": "Exportez vos parties, profils et Journal des connaissances dans un fichier, puis importez-le sur l'autre ordinateur",
+		"transfer.export": "Exporter vers un fichier",
+		"transfer.import": "Importer un fichier",
+		"transfer.choiceHint": "Fusionner garde ce qui est sur cet ordinateur et ajoute ce qui est nouveau. Remplacer le remplace par le fichier.",
+		"transfer.merge": "Fusionner",
+		"transfer.overwrite": "Remplacer",
+		"transfer.summary": "{file} (exporté le {date}) : {slots} parties, {profiles} profils.",
+		"transfer.damaged": "{count} parties endommagées seront ignorées.",
+		"transfer.confirmOverwrite": "Remplacer toutes les parties, profils et Journaux des connaissances de cet ordinateur par le fichier ?",
+		"transfer.done": "{slots} parties et {profiles} profils importés.",
+		"transfer.noRoom": "{count} parties n'ont pas trouvé de place ({max} emplacements au maximum).",
+		"transfer.invalid": "« {file} » n'est pas un fichier de sauvegarde FutureskillsArtifact, ou il est endommagé.",
+		"replay.title": "Rediffusions",
+		"replay.hint": "Vos {max} dernières parties sur cet ordinateur sont gardées. Regardez-en une, ou téléchargez-la pour l'envoyer à un enseignant ou la joindre à un rapport de bug.",
+		"replay.details": "{date} - {player} - {difficulty} - graine {seed} - {outcome} ({time})",
+		"replay.empty": "Aucune partie enregistrée pour l'instant.",
+		"replay.watch": "Regarder",
+		"replay.download": "Télécharger",
+		"replay.open": "Ouvrir un fichier de rediffusion",
+		"replay.invalid": "« {file} » n'est pas une rediffusion FutureskillsArtifact, ou elle est endommagée.",
+		"replay.failed": "Cette rediffusion ne peut pas être lue, elle est peut-être endommagée.",
+		"replay.play": "Lecture",
+		"replay.pause": "Pause",
+		"replay.again": "Revoir",
+		"replay.speed": "Vitesse :",
+		"replay.exit": "Quitter",
+		"replay.label": "REDIFFUSION - {player} - {difficulty} - graine {seed}",
+		"replay.outcome.won": "Labyrinthe terminé",
+		"replay.outcome.died": "Plus de santé",
+		"replay.outcome.timeOut": "Temps écoulé",
+		"replay.outcome.quit": "Partie abandonnée",
+		"timeTrial.title": "Contre-la-montre",
+		"timeTrial.hint": "Courez contre la montre sur une graine, à la difficulté choisie dans le menu principal. Les obstacles ne peuvent pas mettre fin à la course et les artefacts ne l'interrompent pas. Votre meilleure course sur la graine revient en fantôme à battre.",
+		"timeTrial.seed": "Graine :",
+		"timeTrial.start": "Commencer",
+		"timeTrial.best": "Meilleures courses en {difficulty}",
+		"timeTrial.empty": "Aucun contre-la-montre terminé dans cette difficulté pour l'instant.",
+		"timeTrial.details": "{seed} - {time} - {player} - {date}",
+		"timeTrial.race": "Défier",
+		"menu.loadError":
+			"Une erreur est survenue lors du chargement du jeu. Veuillez réessayer.",
+		"controls.title": "Commandes :",
+		"controls.move": "{keys} - Se déplacer",
+		"controls.jump": "{keys} - Sauter",
+		"controls.pause": "{keys} - Pause",
+		"controls.minimap": "{keys} - Mini-carte",
+		"controls.gamepad":
+			"Manette - Stick/croix pour bouger, A pour sauter, START pour la pause",
+		"controls.touchMove": "Pouce gauche - Joystick (ou glisser)",
+		"controls.touchJump": "Bouton SAUT - Sauter",
+		"controls.touchPause": "Bouton II - Pause",
+		"common.back": "Retour",
+		"common.cancel": "Annuler",
+		"menu.stats": "Statistiques",
+		"menu.leaderboard": "Classement",
+		"stats.title": "Statistiques",
+		"stats.playingAs": "Joueur :",
+		"stats.newProfile": "Nouveau joueur :",
+		"stats.addProfile": "Ajouter",
+		"stats.games": "Parties",
+		"stats.gamesPlayed": "Parties jouées",
+		"stats.gamesWon": "Parties gagnées",
+		"stats.stagesCleared": "Niveaux terminés",
+		"stats.timeOuts": "Temps écoulé",
+		"stats.playTime": "Temps de jeu",
+		"stats.bestTimes": "Meilleurs temps",
+		"stats.bestTimesFor": "Meilleurs temps - {difficulty}",
+		"stats.stage": "Niveau {stage}",
+		"stats.noBestTimes": "Aucun niveau terminé pour l'instant.",
+		"stats.deaths": "Vaincu par",
+		"stats.noDeaths": "Jamais vaincu.",
+		"stats.artifacts": "Artefacts collectés",
+		"stats.noArtifacts": "Aucun artefact collecté pour l'instant.",
+		"obstacle.laser": "Laser",
+		"obstacle.tallLaser": "Grand laser",
+		"obstacle.spike": "Pics",
+		"obstacle.slowField": "Champ ralentissant",
+		"obstacle.unknown": "Inconnu",
+		"hud.time": "Temps : {time}",
+		"hud.artifacts": "Artefacts : {collected}/{total}",
+		"hud.findExit": " - Trouvez la sortie !",
+		"hud.health": "Santé : {health} %",
+		"hud.stage": "Niveau : {stage}/{maxStage}",
+		"hud.stageTheme": "Niveau : {stage}/{maxStage} - {theme}",
+		"hud.seed": "Graine : {seed}",
+		"theme.1": "Rwanda en couleurs",
+		"theme.2": "Ciel numérique",
+		"theme.3": "Campus du futur",
+		"game.exit": "SORTIE",
+		"pause.title": "PAUSE",
+		"pause.resume": "Appuyez sur {key} pour reprendre",
+		"pause.menu": "Appuyez sur {key} pour revenir au menu principal",
+		"pause.move": "Se déplacer : {keys}",
+		"pause.jump": "Sauter : {keys} (passe les pics et les lasers bas)",
+		"pause.pauseResume": "Pause/Reprendre : {keys}",
+		"pause.minimap": "Mini-carte : {key} ({bigger} / {smaller} pour la taille)",
+		"pause.gamepad": "Manette : START/A pour reprendre, B pour le menu",
+		"touch.jump": "SAUT",
+		"touch.joystick": "STICK",
+		"touch.swipe": "GLISSER",
+		"touch.resume": "Reprendre",
+		"touch.mainMenu": "Menu principal",
+		"gameOver.died": "VOUS ÊTES MORT !",
+		"gameOver.timesUp": "TEMPS ÉCOULÉ !",
+		"gameOver.stage": "Niveau : {stage} / {maxStage}",
+		"gameOver.artifacts": "Artefacts collectés : {collected} / {total}",
+		"gameOver.returnToMenu": "Retour au menu principal",
+		"stage.complete": "Niveau {stage} terminé !",
+		"score.time": "Temps restant ({count} s)",
+		"score.health": "Santé restante ({count} %)",
+		"score.artifacts": "Artefacts ({count})",
+		"score.avoided": "Obstacles évités ({count})",
+		"score.efficiency": "Efficacité du trajet ({count} %)",
+		"score.stageTotal": "{difficulty} ×{multiplier}",
+		"score.runTotal": "Total de la partie : {score}",
+		"score.continue": "Appuyez sur Entrée pour passer au niveau {stage}",
+		"score.tapToContinue": "Touchez pour passer au niveau {stage}",
+		"score.victory": "Score total : {score}  ({stages})",
+		"leaderboard.title": "Classement",
+		"leaderboard.difficulty": "Difficulté :",
+		"leaderboard.table": "Scores :",
+		"leaderboard.runs": "Meilleures parties",
+		"leaderboard.stage": "Niveau {stage}",
+		"leaderboard.seeds": "Graines",
+		"leaderboard.empty": "Aucun score pour l'instant",
+		"leaderboard.initials": "Vos initiales :",
+		"leaderboard.player": "Initiales",
+		"leaderboard.score": "Score",
+		"leaderboard.time": "Temps",
+		"leaderboard.date": "Date",
+		"leaderboard.ok": "OK",
+		"leaderboard.newHighScore": "Nouveau record ! {places}",
+		"leaderboard.placeRun": "n° {rank} en {difficulty}",
+		"leaderboard.placeStage": "n° {rank} au niveau {stage}",
+		"leaderboard.placeSeed": "n° {rank} sur la graine {seed}",
+		"stage.refused": "Le niveau {stage} ne peut pas démarrer : {reasons}",
+		"popup.title": "Artefact collecté !",
+		"popup.continue": "Continuer",
+		"quiz.title": "Quiz : {skill}",
+		"quiz.correct": "Bonne réponse !",
+		"quiz.correctReward": "Bonne réponse ! {reward}",
+		"quiz.wrong": "Pas tout à fait. {explanation}",
+		"quiz.rewardHealth": "+{amount} de santé",
+		"quiz.rewardTime": "+{amount} secondes",
+		"quiz.summary": "Quiz : {correct}/{asked} bonnes réponses",
+		"certificate.title": "CERTIFICAT DE RÉUSSITE",
+		"certificate.certify": "Nous certifions que",
+		"certificate.achievement": "MAÎTRISE DE LA TRANSFORMATION NUMÉRIQUE",
+		"certificate.completed": "a suivi avec succès la formation",
+		"certificate.program": "Programme de développement des compétences d'avenir",
+		"certificate.initiative": "Initiative rwandaise pour l'innovation numérique",
+		"certificate.date": "Certifié le {date}",
+		"certificate.difficulty": "Difficulté : {difficulty}",
+		"certificate.time": "Temps : {time}",
+		"certificate.health": "Santé : {health} %",
+		"certificate.quiz": "Quiz : {correct}/{asked}",
+		"certificate.skills": "Compétences acquises ({count}) : {skills}",
+		"certificate.seed": "Graine : {seed}",
+		"certificate.code": "Code de vérification : {code}",
+		"certificate.nameLabel": "Votre nom :",
+		"certificate.savePng": "Enregistrer en PNG",
+		"certificate.print": "Imprimer",
+		"certificate.mainMenu": "Menu principal",
+		"difficulty.normal": "Normal",
+		"hud.difficulty": "Difficulté : {difficulty}",
+		"hud.runTime": "Course : {time}",
+		"hud.split": "{name} {time}",
+		"hud.splitDelta": "{name} {time} ({delta})",
+		"split.artifact": "Artefact {stage}-{number}",
+		"split.stage": "Niveau {stage}",
+		"split.newBest": "Nouveau record !",
+		"difficulty.easy": "Facile",
+		"difficulty.hard": "Difficile",
+		"difficulty.expert": "Expert",
+		"difficulty.custom": "Personnalisée",
+		"custom.title": "Difficulté personnalisée",
+		"custom.hint": "Les pourcentages sont relatifs à la difficulté Normale. Les changements s'appliquent à la prochaine partie.",
+		"custom.level": "Niveau des obstacles (1-3)",
+		"custom.mazeSize": "Taille du labyrinthe",
+		"custom.loops": "Raccourcis entre les murs",
+		"custom.obstacles": "Nombre d'obstacles",
+		"custom.damage": "Dégâts des obstacles",
+		"custom.time": "Temps par niveau",
+		"custom.stageHeal": "Soins entre les niveaux",
+		"custom.viewRadius": "Vue dans l'obscurité (cases)",
+		"custom.mix": "Types d'obstacles",
+		"custom.reset": "Repartir de Normale",
+		"verify.title": "Vérifier un certificat",
+		"verify.hint": "Saisissez les informations telles qu'elles figurent sur le certificat. Tout est vérifié sur cet appareil, rien n'est envoyé.",
+		"verify.name": "Nom",
+		"verify.date": "Date",
+		"verify.difficulty": "Difficulté",
+		"verify.time": "Temps (ex. 12:05)",
+		"verify.health": "Santé (%)",
+		"verify.quizCorrect": "Quiz : bonnes réponses",
+		"verify.quizAsked": "Quiz : questions (0 s'il n'y a pas de score)",
+		"verify.skillCount": "Nombre de compétences acquises",
+		"verify.seed": "Graine",
+		"verify.code": "Code de vérification",
+		"verify.check": "Vérifier",
+		"verify.valid": "Valide : les informations correspondent au code de vérification.",
+		"verify.invalid": "Non valide : les informations ou le code ont été modifiés, ou mal saisis.",
+		"verify.incomplete": "Remplissez tous les champs, y compris le code.",
+		"verify.backToGame": "Retour au jeu",
+		"knowledge.title": "Journal des connaissances",
+		"knowledge.profile": "Profil : {name}",
+		"knowledge.facts": "{skill} - {seen}/{total} faits",
+		"knowledge.quiz": ", quiz {correct}/{asked}",
+		"knowledge.undiscovered":
+			"Pas encore découvert - collectez cet artefact pour en savoir plus",
+		"knowledge.review": "À revoir : {question}",
+		"settings.title": "Paramètres",
+		"settings.keyboard": "Clavier",
+		"settings.keyboardHint":
+			"Cliquez sur une touche, puis appuyez sur la nouvelle (Retour arrière l'efface)",
+		"settings.gameplay": "Jeu",
+		"settings.quizMode":
+			"Mode quiz : répondez à une question sur chaque artefact collecté",
+		"settings.gamepad": "Manette",
+		"settings.noController": "Aucune manette",
+		"settings.controller": "Manette : {id}",
+		"settings.deadzone": "Zone morte du stick :",
+		"settings.resetKeys": "Réinitialiser les touches",
+		"settings.pressKey": "Appuyez sur une touche",
+		"settings.conflict": "{key} est associée à : {actions}",
+		"settings.unbound": "(non attribuée)",
+		"action.moveUp": "Haut",
+		"action.moveDown": "Bas",
+		"action.moveLeft": "Gauche",
+		"action.moveRight": "Droite",
+		"action.jump": "Sauter",
+		"action.pause": "Pause / reprendre",
+		"action.menu": "Menu principal (en pause)",
+		"action.confirm": "Commencer la partie",
+		"action.minimap": "Afficher la mini-carte",
+		"action.minimapBigger": "Agrandir la mini-carte",
+		"action.minimapSmaller": "Réduire la mini-carte",
+		"action.debugMode": "Mode débogage",
+		"action.debugPath": "Débogage : plus court chemin",
+		"action.debugTarget": "Débogage : cible suivante",
+		"action.debugArtifacts": "Débogage : afficher les artefacts",
+		"action.debugObstacles": "Débogage : afficher les obstacles",
+		"action.debugPlayer": "Débogage : détails du joueur",
+		"action.debugVictory": "Débogage : aller à la victoire",
+	},
+
+	rw: {
+		"menu.start": "Kanda {key} utangire",
+		"menu.tapToStart": "Kanda hano utangire",
+		"menu.continue": "Komeza",
+		"menu.autosaveFound": "Umukino wawe uheruka wahagaritswe ({details}, wabitswe ku wa {date}).",
+		"menu.resumeAutosave": "Komeza umukino wabitswe wenyine",
+		"menu.discardAutosave": "Reka",
+		"menu.knowledge": "Ibyo nize",
+		"menu.settings": "Igenamiterere",
+		"menu.saves": "Imikino yabitswe",
+		"menu.timeTrial": "Irushanwa n'igihe",
+		"saves.title": "Imikino yabitswe",
+		"saves.current": "Umukino uriho",
+		"saves.name": "Izina:",
+		"saves.saveNew": "Bika ahantu hashya",
+		"saves.defaultName": "Icyiciro {stage} - {date}",
+		"saves.details": "Icyiciro {stage}/{maxStage} - Ibihangano {collected}/{total} - amasegonda {time} asigaye",
+		"saves.load": "Fungura",
+		"saves.overwrite": "Simbuza",
+		"saves.delete": "Siba",
+		"saves.empty": "Nta mukino urabikwa.",
+		"saves.noGame": "Nta mukino urabikwa. Kugira ngo ubike umwe, hagarika umukino hanyuma usubire ahabanza.",
+		"saves.full": "Ahantu {max} hose harakoreshejwe: simbuza cyangwa usibe kimwe.",
+		"saves.confirmOverwrite": "Gusimbuza \"{name}\" umukino uriho?",
+		"saves.confirmDelete": "Gusiba \"{name}\"?",
+		"saves.failed": "Umukino ntiwabashije kubikwa (ububiko bwa mushakisha bushobora kuba bwuzuye).",
+		"saves.loadError": "\"{name}\" yangiritse, ntishobora gufungurwa.",
+		"transfer.title": "Kwimukira kuri mudasobwa indi",
+		"transfer.hint": "Ohereza imikino wabitse, imyirondoro n'\"Ibyo nize\" muri dosiye, hanyuma uyinjize kuri mudasobwa indi",
+		"transfer.export": "Ohereza muri dosiye",
+		"transfer.import": "Injiza dosiye",
+		"transfer.choiceHint": "Guhuza bigumana ibiri kuri iyi mudasobwa bikongeraho ibishya. Gusimbuza bibisimbuza dosiye.",
+		"transfer.merge": "Huza",
+		"transfer.overwrite": "Simbuza",
+		"transfer.summary": "{file} (yoherejwe {date}): imikino {slots}, imyirondoro {profiles}.",
+		"transfer.damaged": "Imikino {count} yangiritse izasigara.",
+		"transfer.confirmOverwrite": "Gusimbuza imikino yose, imyirondoro n'\"Ibyo nize\" biri kuri iyi mudasobwa dosiye?",
+		"transfer.done": "Hinjijwe imikino {slots} n'imyirondoro {profiles}.",
+		"transfer.noRoom": "Imikino {count} ntiyabonye umwanya (imyanya {max} gusa).",
+		"transfer.invalid": "\"{file}\" si dosiye y'imikino ya FutureskillsArtifact, cyangwa yangiritse.",
+		"replay.title": "Gusubiramo imikino",
+		"replay.hint": "Imikino {max} uheruka gukinira kuri iyi mudasobwa irabikwa. Yirebe, cyangwa uyikuremo uyoherereze mwarimu cyangwa uyomeke kuri raporo y'ikosa.",
+		"replay.details": "{date} - {player} - {difficulty} - imbuto {seed} - {outcome} ({time})",
+		"replay.empty": "Nta mukino urafatwa.",
+		"replay.watch": "Reba",
+		"replay.download": "Kuramo",
+		"replay.open": "Fungura dosiye yo gusubiramo",
+		"replay.invalid": "\"{file}\" si dosiye yo gusubiramo ya FutureskillsArtifact, cyangwa yangiritse.",
+		"replay.failed": "Iyi dosiye yo gusubiramo ntishobora kurebwa, ishobora kuba yangiritse.",
+		"replay.play": "Tangira",
+		"replay.pause": "Hagarika",
+		"replay.again": "Ongera urebe",
+		"replay.speed": "Umuvuduko:",
+		"replay.exit": "Sohoka",
+		"replay.label": "GUSUBIRAMO - {player} - {difficulty} - imbuto {seed}",
+		"replay.outcome.won": "Inzira yarangiye",
+		"replay.outcome.died": "Ubuzima bwashize",
+		"replay.outcome.timeOut": "Igihe cyarangiye",
+		"replay.outcome.quit": "Umukino waretswe",
+		"timeTrial.title": "Irushanwa n'igihe",
+		"timeTrial.hint": "Siganwa n'igihe ku mbuto imwe, ku rwego wahisemo ahabanza. Inzitizi ntizishobora kurangiza umukino kandi ibihangano ntibiwuhagarika. Umukino wawe mwiza kuri iyo mbuto ugaruka nk'igicucu ngo muhatane.",
+		"timeTrial.seed": "Imbuto:",
+		"timeTrial.start": "Tangira",
+		"timeTrial.best": "Imikino myiza ku rwego {difficulty}",
+		"timeTrial.empty": "Nta rushanwa n'igihe rirarangira kuri uru rwego.",
+		"timeTrial.details": "{seed} - {time} - {player} - {date}",
+		"timeTrial.race": "Siganwa",
+		"menu.loadError": "Habaye ikibazo mu gufungura umukino. Ongera ugerageze.",
+		"controls.title": "Uko bakina:",
+		"controls.move": "{keys} - Kugenda",
+		"controls.jump": "{keys} - Gusimbuka",
+		"controls.pause": "{keys} - Guhagarika",
+		"controls.minimap": "{keys} - Ikarita nto",
+		"controls.gamepad":
+			"Manette - Stick/D-pad kugenda, A gusimbuka, START guhagarika",
+		"controls.touchMove": "Igikumwe cy'ibumoso - Joystick (cyangwa kunyerera)",
+		"controls.touchJump": "Buto SIMBUKA - Gusimbuka",
+		"controls.touchPause": "Buto II - Guhagarika",
+		"common.back": "Subira inyuma",
+		"common.cancel": "Reka",
+		"menu.stats": "Imibare",
+		"menu.leaderboard": "Urutonde",
+		"stats.title": "Imibare",
+		"stats.playingAs": "Ukina ari:",
+		"stats.newProfile": "Umukinnyi mushya:",
+		"stats.addProfile": "Ongeraho",
+		"stats.games": "Imikino",
+		"stats.gamesPlayed": "Imikino wakinnye",
+		"stats.gamesWon": "Imikino watsinze",
+		"stats.stagesCleared": "Ibyiciro warangije",
+		"stats.timeOuts": "Igihe cyarangiye",
+		"stats.playTime": "Igihe wakinnye",
+		"stats.bestTimes": "Ibihe byiza",
+		"stats.bestTimesFor": "Ibihe byiza - {difficulty}",
+		"stats.stage": "Icyiciro {stage}",
+		"stats.noBestTimes": "Nta cyiciro urarangiza.",
+		"stats.deaths": "Watsinzwe na",
+		"stats.noDeaths": "Ntiwigeze utsindwa.",
+		"stats.artifacts": "Ibihangano wakusanyije",
+		"stats.noArtifacts": "Nta gihangano urakusanya.",
+		"obstacle.laser": "Laser",
+		"obstacle.tallLaser": "Laser ndende",
+		"obstacle.spike": "Amahwa",
+		"obstacle.slowField": "Ahantu hatinza",
+		"obstacle.unknown": "Ntibizwi",
+		"hud.time": "Igihe: {time}",
+		"hud.artifacts": "Ibihangano: {collected}/{total}",
+		"hud.findExit": " - Shaka aho gusohokera!",
+		"hud.health": "Ubuzima: {health}%",
+		"hud.stage": "Icyiciro: {stage}/{maxStage}",
+		"hud.stageTheme": "Icyiciro: {stage}/{maxStage} - {theme}",
+		"hud.seed": "Imbuto: {seed}",
+		"theme.1": "U Rwanda rw'amabara",
+		"theme.2": "Ikirere cy'ikoranabuhanga",
+		"theme.3": "Ishuri ry'ejo hazaza",
+		"game.exit": "SOHOKA",
+		"pause.title": "BYAHAGAZE",
+		"pause.resume": "Kanda {key} ukomeze",
+		"pause.menu": "Kanda {key} usubire ahabanza",
+		"pause.move": "Kugenda: {keys}",
+		"pause.jump": "Gusimbuka: {keys} (usimbuka amahwa na laser zo hasi)",
+		"pause.pauseResume": "Guhagarika/Gukomeza: {keys}",
+		"pause.minimap": "Ikarita nto: {key} ({bigger} / {smaller} guhindura ingano)",
+		"pause.gamepad": "Manette: START/A gukomeza, B ahabanza",
+		"touch.jump": "SIMBUKA",
+		"touch.joystick": "STICK",
+		"touch.swipe": "NYERERA",
+		"touch.resume": "Komeza",
+		"touch.mainMenu": "Ahabanza",
+		"gameOver.died": "WAPFUYE!",
+		"gameOver.timesUp": "IGIHE CYARANGIYE!",
+		"gameOver.stage": "Icyiciro: {stage} / {maxStage}",
+		"gameOver.artifacts": "Ibihangano wabonye: {collected} / {total}",
+		"gameOver.returnToMenu": "Subira ahabanza",
+		"stage.complete": "Icyiciro cya {stage} kirangiye!",
+		"score.time": "Igihe gisigaye ({count}s)",
+		"score.health": "Ubuzima busigaye ({count}%)",
+		"score.artifacts": "Ibihangano ({count})",
+		"score.avoided": "Inzitizi wirinze ({count})",
+		"score.efficiency": "Ubwiza bw'inzira ({count}%)",
+		"score.stageTotal": "{difficulty} ×{multiplier}",
+		"score.runTotal": "Amanota y'umukino: {score}",
+		"score.continue": "Kanda Enter ujye ku cyiciro cya {stage}",
+		"score.tapToContinue": "Kora ku isura ujye ku cyiciro cya {stage}",
+		"score.victory": "Amanota yose: {score}  ({stages})",
+		"leaderboard.title": "Urutonde rw'abatsinze",
+		"leaderboard.difficulty": "Urwego:",
+		"leaderboard.table": "Amanota:",
+		"leaderboard.runs": "Imikino myiza",
+		"leaderboard.stage": "Icyiciro cya {stage}",
+		"leaderboard.seeds": "Imbuto",
+		"leaderboard.empty": "Nta manota arabaho",
+		"leaderboard.initials": "Inyuguti z'izina ryawe:",
+		"leaderboard.player": "Inyuguti",
+		"leaderboard.score": "Amanota",
+		"leaderboard.time": "Igihe",
+		"leaderboard.date": "Itariki",
+		"leaderboard.ok": "Yego",
+		"leaderboard.newHighScore": "Amanota mashya meza! {places}",
+		"leaderboard.placeRun": "Uwa {rank} muri {difficulty}",
+		"leaderboard.placeStage": "Uwa {rank} mu cyiciro cya {stage}",
+		"leaderboard.placeSeed": "Uwa {rank} ku mbuto {seed}",
+		"stage.refused": "Icyiciro cya {stage} ntigishobora gutangira: {reasons}",
+		"popup.title": "Wabonye igihangano!",
+		"popup.continue": "Komeza",
+		"quiz.title": "Ibibazo: {skill}",
+		"quiz.correct": "Ni byo!",
+		"quiz.correctReward": "Ni byo! {reward}",
+		"quiz.wrong": "Si byo. {explanation}",
+		"quiz.rewardHealth": "+{amount} by'ubuzima",
+		"quiz.rewardTime": "+{amount} amasegonda",
+		"quiz.summary": "Ibibazo: {correct}/{asked} wasubije neza",
+		"certificate.title": "ICYEMEZO CY'INTSINZI",
+		"certificate.certify": "Turemeza ko",
+		"certificate.achievement": "UBUHANGA MU IHINDURA RY'IKORANABUHANGA",
+		"certificate.completed": "yarangije neza amasomo ya",
+		"certificate.program": "Gahunda yo guteza imbere ubumenyi bw'ejo hazaza",
+		"certificate.initiative": "Gahunda y'u Rwanda y'udushya mu ikoranabuhanga",
+		"certificate.date": "Byemejwe ku wa {date}",
+		"certificate.difficulty": "Urwego: {difficulty}",
+		"certificate.time": "Igihe: {time}",
+		"certificate.health": "Ubuzima: {health}%",
+		"certificate.quiz": "Ibibazo: {correct}/{asked}",
+		"certificate.skills": "Ubumenyi bwize ({count}): {skills}",
+		"certificate.seed": "Imbuto: {seed}",
+		"certificate.code": "Kode yo kugenzura: {code}",
+		"certificate.nameLabel": "Izina ryawe:",
+		"certificate.savePng": "Bika PNG",
+		"certificate.print": "Capa",
+		"certificate.mainMenu": "Ahabanza",
+		"difficulty.normal": "Bisanzwe",
+		"hud.difficulty": "Urwego: {difficulty}",
+		"hud.runTime": "Igihe cyose: {time}",
+		"hud.split": "{name} {time}",
+		"hud.splitDelta": "{name} {time} ({delta})",
+		"split.artifact": "Igihangano {stage}-{number}",
+		"split.stage": "Icyiciro {stage}",
+		"split.newBest": "Agahigo gashya!",
+		"difficulty.easy": "Byoroshye",
+		"difficulty.hard": "Bikomeye",
+		"difficulty.expert": "Inzobere",
+		"difficulty.custom": "Byihariye",
+		"custom.title": "Urwego rwihariye",
+		"custom.hint": "Ijanisha rigereranywa n'urwego Bisanzwe. Impinduka zikurikizwa mu mukino ukurikira.",
+		"custom.level": "Urwego rw'inzitizi (1-3)",
+		"custom.mazeSize": "Ingano ya labirenti",
+		"custom.loops": "Inzira z'ubusamo mu nkuta",
+		"custom.obstacles": "Umubare w'inzitizi",
+		"custom.damage": "Ububabare bw'inzitizi",
+		"custom.time": "Igihe cya buri cyiciro",
+		"custom.stageHeal": "Gukira hagati y'ibyiciro",
+		"custom.viewRadius": "Uko ureba kure mu mwijima (udusanduku)",
+		"custom.mix": "Ubwoko bw'inzitizi",
+		"custom.reset": "Tangirira kuri Bisanzwe",
+		"verify.title": "Kugenzura icyemezo",
+		"verify.hint": "Andika amakuru nk'uko yanditse ku cyemezo. Byose bigenzurirwa kuri iki gikoresho, nta kintu cyoherezwa ahandi.",
+		"verify.name": "Izina",
+		"verify.date": "Itariki",
+		"verify.difficulty": "Urwego",
+		"verify.time": "Igihe (urugero 12:05)",
+		"verify.health": "Ubuzima (%)",
+		"verify.quizCorrect": "Ibibazo: ibisubizo by'ukuri",
+		"verify.quizAsked": "Ibibazo: umubare w'ibibazo (0 niba nta manota y'ibibazo)",
+		"verify.skillCount": "Umubare w'ubumenyi bwize",
+		"verify.seed": "Imbuto",
+		"verify.code": "Kode yo kugenzura",
+		"verify.check": "Genzura",
+		"verify.valid": "Ni cyo: amakuru ahuye na kode yo kugenzura.",
+		"verify.invalid": "Si cyo: amakuru cyangwa kode byarahinduwe, cyangwa byanditswe nabi.",
+		"verify.incomplete": "Uzuza ahantu hose, na kode irimo.",
+		"verify.backToGame": "Subira ku mukino",
+		"knowledge.title": "Ibyo nize",
+		"knowledge.profile": "Umukinnyi: {name}",
+		"knowledge.facts": "{skill} - amakuru {seen}/{total}",
+		"knowledge.quiz": ", ibibazo {correct}/{asked}",
+		"knowledge.undiscovered":
+			"Ntikiravumburwa - fata iki gihangano umenye byinshi kuri cyo",
+		"knowledge.review": "Subiramo: {question}",
+		"settings.title": "Igenamiterere",
+		"settings.keyboard": "Mwandikisho",
+		"settings.keyboardHint":
+			"Kanda kuri buto, hanyuma ukande buto nshya (Backspace irayisiba)",
+		"settings.gameplay": "Imikinire",
+		"settings.quizMode":
+			"Uburyo bw'ibibazo: subiza ikibazo kuri buri gihangano ufashe",
+		"settings.gamepad": "Manette",
+		"settings.noController": "Nta manette ihari",
+		"settings.controller": "Manette: {id}",
+		"settings.deadzone": "Agace katumva ka stick:",
+		"settings.resetKeys": "Subizaho buto z'ibanze",
+		"settings.pressKey": "Kanda buto",
+		"settings.conflict": "{key} ikoreshwa kuri: {actions}",
+		"settings.unbound": "(nta buto)",
+		"action.moveUp": "Kujya hejuru",
+		"action.moveDown": "Kujya hasi",
+		"action.moveLeft": "Kujya ibumoso",
+		"action.moveRight": "Kujya iburyo",
+		"action.jump": "Gusimbuka",
+		"action.pause": "Guhagarika / gukomeza",
+		"action.menu": "Ahabanza (byahagaze)",
+		"action.confirm": "Gutangira umukino",
+		"action.minimap": "Kwerekana ikarita nto",
+		"action.minimapBigger": "Kongera ikarita nto",
+		"action.minimapSmaller": "Kugabanya ikarita nto",
+		"action.debugMode": "Uburyo bwa debug",
+		"action.debugPath": "Debug: inzira ngufi",
+		"action.debugTarget": "Debug: igikurikira",
+		"action.debugArtifacts": "Debug: kwerekana ibihangano",
+		"action.debugObstacles": "Debug: kwerekana inzitizi",
+		"action.debugPlayer": "Debug: amakuru y'umukinnyi",
+		"action.debugVictory": "Debug: gusimbukira ku ntsinzi",
+		// Browsers often ship no Kinyarwanda date data, see formatDate()
+		"date.months": [
+			"Mutarama",
+			"Gashyantare",
+			"Werurwe",
+			"Mata",
+			"Gicurasi",
+			"Kamena",
+			"Nyakanga",
+			"Kanama",
+			"Nzeri",
+			"Ukwakira",
+			"Ugushyingo",
+			"Ukuboza",
+		],
+		"date.format": "{day} {month} {year}",
+	},
+};
+
+class Localization {
+	constructor() {
+		this.storageKey = "futureskillsLanguage";
+		this.defaultLocale = "en";
+		// Name shown in the language picker and the locale used for dates
+		this.locales = {
+			en: { name: "English", intl: "en-US" },
+			fr: { name: "Français", intl: "fr-FR" },
+			rw: { name: "Ikinyarwanda", intl: "rw-RW" },
+		};
+		this.listeners = [];
+		this.locale = this.loadLocale();
+	}
+
+	// Saved choice, else the browser language if we have it, else English
+	loadLocale() {
+		try {
+			const saved = localStorage.getItem(this.storageKey);
+			if (this.locales[saved]) {
+				return saved;
+			}
+		} catch (e) {
+			console.error("Failed to load language:", e);
+		}
+
+		const preferred =
+			typeof navigator !== "undefined" && navigator.languages
+				? navigator.languages
+				: [];
+		for (const language of preferred) {
+			const code = language.split("-")[0].toLowerCase();
+			if (this.locales[code]) {
+				return code;
+			}
+		}
+
+		return this.defaultLocale;
+	}
+
+	setLocale(locale) {
+		if (!this.locales[locale]) {
+			console.error(`Unknown language: ${locale}`);
+			return;
+		}
+
+		this.locale = locale;
+		try {
+			localStorage.setItem(this.storageKey, locale);
+		} catch (e) {
+			console.error("Failed to save language:", e);
+		}
+
+		this.applyToDocument();
+		for (const listener of this.listeners) {
+			listener(locale);
+		}
+	}
+
+	// Called with the new locale whenever the language changes
+	onChange(listener) {
+		this.listeners.push(listener);
+	}
+
+	/**
+	 * Translated text for a key, falling back to English, then to the key
+	 * @param {string} key - e.g. "hud.time"
+	 * @param {Object} params - Values for the {placeholders}
+	 * @returns {string}
+	 */
+	t(key, params = {}) {
+		let text = localeStrings[this.locale][key];
+		if (text === undefined) {
+			text = localeStrings[this.defaultLocale][key];
+		}
+		if (typeof text !== "string") {
+			console.warn(`Missing translation: ${key}`);
+			return key;
+		}
+
+		return text.replace(/\{(\w+)\}/g, (match, name) =>
+			params[name] !== undefined ? String(params[name]) : match,
+		);
+	}
+
+	// Long date in the current language, e.g. "19 octobre 2026"
+	formatDate(date) {
+		const options = { year: "numeric", month: "long", day: "numeric" };
+		const intlLocale = this.locales[this.locale].intl;
+
+		const months = localeStrings[this.locale]["date.months"];
+		if (
+			months &&
+			Intl.DateTimeFormat.supportedLocalesOf([intlLocale]).length === 0
+		) {
+			return this.t("date.format", {
+				day: date.getDate(),
+				month: months[date.getMonth()],
+				year: date.getFullYear(),
+			});
+		}
+
+		return date.toLocaleDateString(intlLocale, options);
+	}
+
+	// Number with the current language's digit grouping, e.g. "12 450"
+	formatNumber(number) {
+		return number.toLocaleString(this.locales[this.locale].intl);
+	}
+
+	// Fill every element marked with data-i18n="key"
+	applyToDocument() {
+		if (typeof document === "undefined" || !document.querySelectorAll) {
+			return;
+		}
+
+		document.documentElement.lang = this.locale;
+		document.querySelectorAll("[data-i18n]").forEach((element) => {
+			element.textContent = this.t(element.dataset.i18n);
+		});
+	}
+}
+
+const i18n = new Localization();
@@ -0,0 +1,192 @@
+/**
+ * Input action map
+ * Maps keyboard keys to game actions (move, jump, pause, debug...) so
+ * every listener asks "is this the jump key?" instead of checking e.key.
+ * Bindings can be changed on the settings screen and are kept in localStorage.
+ */
+// In display order for the settings screen; names are "action.<name>" in i18n.js
+const defaultKeyBindings = {
+	moveUp: ["ArrowUp", "w"],
+	moveDown: ["ArrowDown", "s"],
+	moveLeft: ["ArrowLeft", "a"],
+	moveRight: ["ArrowRight", "d"],
+	jump: [" "],
+	pause: ["Escape"],
+	menu: ["m"],
+	confirm: ["Enter"],
+	minimap: ["n"],
+	minimapBigger: ["+", "="],
+	minimapSmaller: ["-"],
+	debugMode: ["F1"],
+	debugPath: ["F2"],
+	debugTarget: ["F3"],
+	debugArtifacts: ["F4"],
+	debugObstacles: ["F5"],
+	debugPlayer: ["b"],
+	debugVictory: ["v"],
+};
+
+class InputMap {
+	constructor() {
+		this.storageKey = "futureskillsKeyBindings";
+		this.slotsPerAction = 2;
+		this.bindings = this.loadBindings();
+	}
+
+	loadBindings() {
+		const bindings = this.getDefaultBindings();
+
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && typeof saved === "object") {
+				// Only take known actions, so renamed/removed ones don't linger
+				for (const action of Object.keys(bindings)) {
+					if (Array.isArray(saved[action])) {
+						bindings[action] = saved[action]
+							.filter((key) => typeof key === "string" && key !== "")
+							.slice(0, this.slotsPerAction);
+					}
+				}
+			}
+		} catch (e) {
+			console.error("Failed to load key bindings:", e);
+		}
+
+		return bindings;
+	}
+
+	saveBindings() {
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+		} catch (e) {
+			console.error("Failed to save key bindings:", e);
+		}
+	}
+
+	getDefaultBindings() {
+		const bindings = {};
+		for (const [action, keys] of Object.entries(defaultKeyBindings)) {
+			bindings[action] = [...keys];
+		}
+		return bindings;
+	}
+
+	resetToDefaults() {
+		this.bindings = this.getDefaultBindings();
+		this.saveBindings();
+	}
+
+	// Letters are matched case-insensitively so Shift/Caps Lock don't matter
+	normalizeKey(key) {
+		return key.length === 1 ? key.toLowerCase() : key;
+	}
+
+	/**
+	 * All actions bound to a key (more than one only if bindings conflict)
+	 * @param {string} key - KeyboardEvent.key
+	 * @returns {string[]} Action names
+	 */
+	getActions(key) {
+		const normalized = this.normalizeKey(key);
+		return Object.keys(this.bindings).filter((action) =>
+			this.bindings[action].some(
+				(bound) => this.normalizeKey(bound) === normalized,
+			),
+		);
+	}
+
+	matches(action, key) {
+		const keys = this.bindings[action] || [];
+		const normalized = this.normalizeKey(key);
+		return keys.some((bound) => this.normalizeKey(bound) === normalized);
+	}
+
+	/**
+	 * Bind a key to one of an action's slots (null clears the slot)
+	 * @returns {Object[]} Conflicts after the change, see findConflicts()
+	 */
+	setBinding(action, slot, key) {
+		if (!this.bindings[action]) {
+			console.error(`Unknown input action: ${action}`);
+			return this.findConflicts();
+		}
+
+		const keys = this.bindings[action];
+		if (key === null) {
+			keys.splice(slot, 1);
+		} else if (slot < keys.length) {
+			keys[slot] = key;
+		} else {
+			keys.push(key);
+		}
+
+		// The same key twice on one action is pointless, keep the first
+		this.bindings[action] = keys.filter(
+			(bound, index) =>
+				keys.findIndex(
+					(other) => this.normalizeKey(other) === this.normalizeKey(bound),
+				) === index,
+		);
+
+		this.saveBindings();
+		return this.findConflicts();
+	}
+
+	/**
+	 * Keys bound to more than one action
+	 * @returns {Object[]} { key, actions } for each shared key
+	 */
+	findConflicts() {
+		const actionsByKey = new Map();
+
+		for (const [action, keys] of Object.entries(this.bindings)) {
+			for (const key of keys) {
+				const normalized = this.normalizeKey(key);
+				if (!actionsByKey.has(normalized)) {
+					actionsByKey.set(normalized, []);
+				}
+				actionsByKey.get(normalized).push(action);
+			}
+		}
+
+		const conflicts = [];
+		for (const [key, actions] of actionsByKey) {
+			if (actions.length > 1) {
+				conflicts.push({ key, actions });
+			}
+		}
+		return conflicts;
+	}
+
+	// Readable name for a key, e.g. "Space" or "↑"
+	getKeyLabel(key) {
+		const names = {
+			" ": "Space",
+			ArrowUp: "↑",
+			ArrowDown: "↓",
+			ArrowLeft: "←",
+			ArrowRight: "→",
+			Escape: "ESC",
+		};
+		if (names[key]) {
+			return names[key];
+		}
+		return key.length === 1 ? key.toUpperCase() : key;
+	}
+
+	// Translated name of an action, e.g. "Move up"
+	getActionLabel(action) {
+		return i18n.t(`action.${action}`);
+	}
+
+	// All keys of an action for help text, e.g. "↑ / W"
+	getLabel(action) {
+		const keys = this.bindings[action] || [];
+		if (keys.length === 0) {
+			return i18n.t("settings.unbound");
+		}
+		return keys.map((key) => this.getKeyLabel(key)).join(" / ");
+	}
+}
+
+const inputMap = new InputMap();
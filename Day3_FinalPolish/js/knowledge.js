@@ -0,0 +1,257 @@
+/**
+ * Knowledge tracker
+ * Remembers, per profile, which facts a player has seen and how they did
+ * on each quiz question, and uses that to pick what to show next:
+ * unseen facts and previously missed questions first, then the ones that
+ * are "due" again (Leitner-style boxes: each success doubles the number of
+ * pickups before the item comes back).
+ * Items are keyed by a hash of their text, so editing the catalog doesn't
+ * shift the history onto other facts.
+ */
+class KnowledgeTracker {
+	constructor() {
+		this.storagePrefix = "futureskillsKnowledge";
+		this.profileId = null;
+		this.data = null;
+	}
+
+	// Switches automatically when the active profile changes
+	getData() {
+		const profileId = profileManager.getActiveId();
+		if (this.profileId !== profileId || !this.data) {
+			this.profileId = profileId;
+			this.data = this.load(profileId);
+		}
+		return this.data;
+	}
+
+	load(profileId) {
+		const empty = { tick: 0, facts: {}, quiz: {} };
+
+		try {
+			const saved = JSON.parse(
+				localStorage.getItem(
+					profileManager.getStorageKey(this.storagePrefix, profileId),
+				),
+			);
+			if (saved && typeof saved === "object") {
+				return {
+					tick: Number(saved.tick) || 0,
+					facts: saved.facts || {},
+					quiz: saved.quiz || {},
+				};
+			}
+		} catch (e) {
+			console.error("Failed to load knowledge log:", e);
+		}
+
+		return empty;
+	}
+
+	save() {
+		this.write(this.profileId, this.data);
+	}
+
+	write(profileId, data) {
+		try {
+			localStorage.setItem(
+				profileManager.getStorageKey(this.storagePrefix, profileId),
+				JSON.stringify(data),
+			);
+		} catch (e) {
+			console.error("Failed to save knowledge log:", e);
+		}
+	}
+
+	/**
+	 * Bring in a profile's log from an exported file
+	 * @param {boolean} overwrite - Replace the log here instead of merging
+	 */
+	importLog(profileId, log, overwrite) {
+		this.write(
+			profileId,
+			overwrite ? log : this.mergeLogs(this.load(profileId), log),
+		);
+		// Reloaded the next time it is used
+		if (profileId === this.profileId) {
+			this.data = null;
+		}
+	}
+
+	// Per item, the record that was used most recently wins
+	mergeLogs(local, imported) {
+		const lastUsed = (record) => record.lastSeen || record.lastAsked || 0;
+		const merged = {
+			tick: Math.max(local.tick, imported.tick),
+			facts: {},
+			quiz: {},
+		};
+
+		for (const kind of ["facts", "quiz"]) {
+			const skills = new Set([
+				...Object.keys(local[kind]),
+				...Object.keys(imported[kind]),
+			]);
+			for (const skill of skills) {
+				const records = { ...local[kind][skill] };
+				const incoming = imported[kind][skill] || {};
+				for (const [id, record] of Object.entries(incoming)) {
+					const existing = records[id];
+					if (!existing || lastUsed(record) > lastUsed(existing)) {
+						records[id] = record;
+					}
+				}
+				merged[kind][skill] = records;
+			}
+		}
+		return merged;
+	}
+
+	getItemId(text) {
+		return hashSeed(text).toString(36);
+	}
+
+	getRecords(kind, skill) {
+		const data = this.getData();
+		if (!data[kind][skill]) {
+			data[kind][skill] = {};
+		}
+		return data[kind][skill];
+	}
+
+	// An item comes back once 2^box pickups have passed since it was last shown
+	isDue(record, tick) {
+		return tick - record.lastTick >= 2 ** record.box;
+	}
+
+	/**
+	 * Pick the next item to show from a list
+	 * @param {string} kind - "facts" or "quiz"
+	 * @param {Array} items - Facts (strings) or questions
+	 * @param {Function} getText - Text identifying an item
+	 */
+	pickItem(kind, skill, items, getText) {
+		if (items.length === 0) {
+			return null;
+		}
+
+		const records = this.getRecords(kind, skill);
+		const tick = this.getData().tick;
+		const withRecords = items.map((item) => ({
+			item,
+			record: records[this.getItemId(getText(item))],
+		}));
+
+		const pickFrom = (candidates) =>
+			candidates[Math.floor(Math.random() * candidates.length)].item;
+
+		// Missed questions first, then anything never shown
+		const missed = withRecords.filter(
+			(entry) => entry.record && entry.record.lastCorrect === false,
+		);
+		if (missed.length > 0) {
+			return pickFrom(missed);
+		}
+
+		const unseen = withRecords.filter((entry) => !entry.record);
+		if (unseen.length > 0) {
+			return pickFrom(unseen);
+		}
+
+		// Then whatever is due, longest waiting first
+		const byAge = withRecords.sort(
+			(a, b) => a.record.lastTick - b.record.lastTick,
+		);
+		const due = byAge.filter((entry) => this.isDue(entry.record, tick));
+		return (due[0] || byAge[0]).item;
+	}
+
+	pickFact(skill, facts) {
+		return this.pickItem("facts", skill, facts, (fact) => fact);
+	}
+
+	pickQuestion(skill, questions) {
+		return this.pickItem("quiz", skill, questions, (q) => q.question);
+	}
+
+	recordFactSeen(skill, fact) {
+		const data = this.getData();
+		data.tick++;
+
+		const records = this.getRecords("facts", skill);
+		const id = this.getItemId(fact);
+		const record = records[id] || { text: fact, seen: 0, box: 0 };
+		record.seen++;
+		record.box = Math.min(record.seen, 5);
+		record.lastTick = data.tick;
+		record.lastSeen = Date.now();
+		records[id] = record;
+
+		this.save();
+	}
+
+	recordAnswer(skill, question, correct) {
+		const data = this.getData();
+		data.tick++;
+
+		const records = this.getRecords("quiz", skill);
+		const id = this.getItemId(question.question);
+		const record = records[id] || {
+			text: question.question,
+			asked: 0,
+			correct: 0,
+			box: 0,
+		};
+		record.asked++;
+		if (correct) {
+			record.correct++;
+			record.box = Math.min(record.box + 1, 5);
+		} else {
+			// Missed: back to the first box, asked again soon
+			record.box = 0;
+		}
+		record.lastCorrect = correct;
+		record.lastTick = data.tick;
+		record.lastAsked = Date.now();
+		records[id] = record;
+
+		this.save();
+	}
+
+	/**
+	 * Everything learned so far for the Knowledge Log screen. Facts and
+	 * missed questions are listed in the current language; since items are
+	 * keyed by their text, those seen in another language count separately.
+	 * @returns {Object[]} { skill, facts: [text], totalFacts, quiz: { asked, correct, missed: [text] } }
+	 */
+	getLog(skillIds) {
+		const data = this.getData();
+
+		return skillIds.map((skill) => {
+			const factRecords = data.facts[skill] || {};
+			const quizRecords = data.quiz[skill] || {};
+			const questions = Object.values(quizRecords);
+			const entry = skillCatalog.get(skill);
+			const allFacts = Array.isArray(entry.facts) ? entry.facts : [];
+
+			return {
+				skill,
+				facts: allFacts.filter((fact) => factRecords[this.getItemId(fact)]),
+				totalFacts: allFacts.length,
+				quiz: {
+					asked: questions.reduce((sum, record) => sum + record.asked, 0),
+					correct: questions.reduce((sum, record) => sum + record.correct, 0),
+					missed: skillCatalog
+						.getQuestions(skill)
+						.map((question) => question.question)
+						.filter((text) => {
+							const record = quizRecords[this.getItemId(text)];
+							return record && record.lastCorrect === false;
+						}),
+				},
+			};
+		});
+	}
+}
+
+const knowledgeTracker = new KnowledgeTracker();
@@ -0,0 +1,183 @@
+/**
+ * Local leaderboards
+ * High-score tables kept on this computer, each the top 10 of one
+ * difficulty (scores of different difficulties can't be compared):
+ *   "run:<difficulty>"          - Run totals, won or not
+ *   "stage:<difficulty>:<n>"    - Stage scores
+ *   "seed:<difficulty>:<seed>"  - Run totals on one seed
+ * Equal scores are ranked by the faster time, then by who got there first.
+ */
+const leaderboardConfig = {
+	size: 10,
+	initialsLength: 3,
+	// Most seeds are only ever played once, keep the latest ones
+	maxSeedTables: 50,
+};
+
+class Leaderboard {
+	constructor() {
+		this.storageKey = "futureskillsLeaderboard";
+		// Last initials entered, offered for the next high score
+		this.initials = "";
+		// { tableKey: [entry] }, best first
+		this.tables = {};
+		// Highlighted on the Leaderboard screen
+		this.lastRunId = null;
+		this.load();
+	}
+
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && typeof saved === "object") {
+				this.initials = this.cleanInitials(saved.initials);
+				if (saved.tables && typeof saved.tables === "object") {
+					this.tables = saved.tables;
+				}
+			}
+		} catch (e) {
+			console.error("Failed to load leaderboard:", e);
+		}
+	}
+
+	save() {
+		try {
+			localStorage.setItem(
+				this.storageKey,
+				JSON.stringify({ initials: this.initials, tables: this.tables }),
+			);
+		} catch (e) {
+			console.error("Failed to save leaderboard:", e);
+		}
+	}
+
+	getTableKey(kind, difficulty, value) {
+		return value === undefined
+			? `${kind}:${difficulty}`
+			: `${kind}:${difficulty}:${value}`;
+	}
+
+	getTable(key) {
+		return this.tables[key] || [];
+	}
+
+	// Seeds with a table for a difficulty, most recently played first
+	getSeeds(difficulty) {
+		const prefix = this.getTableKey("seed", difficulty, "");
+		return Object.keys(this.tables)
+			.filter((key) => key.startsWith(prefix))
+			.sort((a, b) => this.getLastPlayed(b) - this.getLastPlayed(a))
+			.map((key) => key.slice(prefix.length));
+	}
+
+	getLastPlayed(key) {
+		return Math.max(0, ...this.getTable(key).map((entry) => entry.date));
+	}
+
+	// Higher score first; on a tie the faster time (unknown counts as
+	// slowest), then the earlier entry
+	compare(a, b) {
+		const time = (entry) =>
+			typeof entry.time === "number" ? entry.time : Infinity;
+		return b.score - a.score || time(a) - time(b) || a.date - b.date;
+	}
+
+	// Up to three letters or digits, upper case
+	cleanInitials(initials) {
+		return String(initials || "")
+			.toUpperCase()
+			.replace(/[^A-Z0-9]/g, "")
+			.slice(0, leaderboardConfig.initialsLength);
+	}
+
+	// Initials suggested for a profile that hasn't entered any: "Ada Lovelace"
+	// gives "AL"
+	suggestInitials(name) {
+		return (
+			this.initials ||
+			this.cleanInitials(
+				String(name || "")
+					.split(/\s+/)
+					.map((word) => word.charAt(0))
+					.join(""),
+			)
+		);
+	}
+
+	/**
+	 * Enter a finished run (and each of its stages) in the tables it
+	 * qualifies for. Entries go in straight away with the suggested initials,
+	 * so a high score isn't lost if the player never types theirs.
+	 * @param {Object} run - { initials, difficulty, seed, stageScores
+	 *   (StageScorer.scoreStage() of each cleared stage), time (ms), won }
+	 * @returns {Object} { id, placements: [{ key, rank }] }, rank from 1
+	 */
+	submitRun(run) {
+		const id = `run-${Date.now().toString(36)}`;
+		const date = Date.now();
+		const initials = this.cleanInitials(run.initials);
+		const total = stageScorer.getTotal(run.stageScores);
+		const placements = [];
+
+		const enter = (key, entry) => {
+			if (!(entry.score > 0)) {
+				return;
+			}
+			const table = [...this.getTable(key), { id, initials, date, ...entry }]
+				.sort((a, b) => this.compare(a, b))
+				.slice(0, leaderboardConfig.size);
+			const rank = table.findIndex((item) => item.id === id) + 1;
+			if (rank > 0) {
+				this.tables[key] = table;
+				placements.push({ key, rank });
+			}
+		};
+
+		const runEntry = {
+			score: total,
+			time: run.time,
+			stages: run.stageScores.length,
+			won: Boolean(run.won),
+		};
+		enter(this.getTableKey("run", run.difficulty), runEntry);
+		enter(this.getTableKey("seed", run.difficulty, run.seed), runEntry);
+		for (const score of run.stageScores) {
+			enter(this.getTableKey("stage", run.difficulty, score.stage), {
+				score: score.total,
+				time: score.time,
+			});
+		}
+
+		this.pruneSeedTables();
+		this.save();
+		this.lastRunId = id;
+		return { id, placements };
+	}
+
+	// Change the initials on every entry of a run (see submitRun)
+	setInitials(id, initials) {
+		const cleaned = this.cleanInitials(initials);
+		for (const table of Object.values(this.tables)) {
+			for (const entry of table) {
+				if (entry.id === id) {
+					entry.initials = cleaned;
+				}
+			}
+		}
+		if (cleaned) {
+			this.initials = cleaned;
+		}
+		this.save();
+	}
+
+	pruneSeedTables() {
+		const seedKeys = Object.keys(this.tables)
+			.filter((key) => key.startsWith("seed:"))
+			.sort((a, b) => this.getLastPlayed(b) - this.getLastPlayed(a));
+		for (const key of seedKeys.slice(leaderboardConfig.maxSeedTables)) {
+			delete this.tables[key];
+		}
+	}
+}
+
+const leaderboard = new Leaderboard();
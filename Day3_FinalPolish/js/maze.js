@@ -1,12 +1,20 @@
 /**
- * Maze generator using Kruskal's Algorithm
+ * Maze generator
+ * Carves the grid with one of the algorithms registered in generators.js
+ * @param {Object} options - Optional settings
+ * @param {Function} options.random - Random source (seeded for reproducible mazes)
+ * @param {string} options.algorithm - Generator name, defaults to "kruskal"
+ * @param {number} options.loops - Scale of the extra openings, defaults to 1
  */
 class Maze {
-	constructor(width, height, cellSize, difficulty = 1) {
+	constructor(width, height, cellSize, difficulty = 1, options = {}) {
 		this.width = width;
 		this.height = height;
 		this.cellSize = cellSize;
 		this.difficulty = difficulty;
+		this.random = options.random || Math.random;
+		this.algorithm = options.algorithm || "kruskal";
+		this.loopScale = options.loops ?? 1;
 
 		this.cols = Math.floor(width / cellSize);
 		this.rows = Math.floor(height / cellSize);
@@ -43,61 +51,8 @@ class Maze {
 	}
 
 	generateMaze() {
-		// Disjoint-set (Union-Find) structure
-		const parent = new Map();
-
-		const find = (cell) => {
-			if (parent.get(cell) !== cell) {
-				parent.set(cell, find(parent.get(cell)));
-			}
-			return parent.get(cell);
-		};
-
-		const union = (a, b) => {
-			const rootA = find(a);
-			const rootB = find(b);
-			if (rootA !== rootB) {
-				parent.set(rootB, rootA);
-				return true;
-			}
-			return false;
-		};
-
-		// Initialize sets
-		for (let y = 0; y < this.rows; y++) {
-			for (let x = 0; x < this.cols; x++) {
-				const cellKey = `${x},${y}`;
-				parent.set(cellKey, cellKey);
-			}
-		}
-
-		// Create all possible edges (walls between adjacent cells)
-		const edges = [];
-		for (let y = 0; y < this.rows; y++) {
-			for (let x = 0; x < this.cols; x++) {
-				if (x < this.cols - 1) {
-					edges.push({ x1: x, y1: y, x2: x + 1, y2: y }); // right neighbor
-				}
-				if (y < this.rows - 1) {
-					edges.push({ x1: x, y1: y, x2: x, y2: y + 1 }); // bottom neighbor
-				}
-			}
-		}
-
-		// Shuffle edges randomly
-		for (let i = edges.length - 1; i > 0; i--) {
-			const j = Math.floor(Math.random() * (i + 1));
-			[edges[i], edges[j]] = [edges[j], edges[i]];
-		}
-
-		// Kruskal's algorithm
-		for (const edge of edges) {
-			const aKey = `${edge.x1},${edge.y1}`;
-			const bKey = `${edge.x2},${edge.y2}`;
-			if (union(aKey, bKey)) {
-				this.removeWall({ x: edge.x1, y: edge.y1 }, { x: edge.x2, y: edge.y2 });
-			}
-		}
+		const generator = getMazeGenerator(this.algorithm);
+		generator(this);
 	}
 
 	getUnvisitedNeighbors(x, y) {
@@ -151,14 +106,16 @@ class Maze {
 	}
 
 	addLoops(difficulty) {
-		const numLoops = Math.floor(this.cols * this.rows * 0.05 * difficulty);
+		const numLoops = Math.floor(
+			this.cols * this.rows * 0.05 * difficulty * this.loopScale,
+		);
 
 		for (let i = 0; i < numLoops; i++) {
-			const x = getRandomInt(1, this.cols - 2);
-			const y = getRandomInt(1, this.rows - 2);
+			const x = getRandomInt(1, this.cols - 2, this.random);
+			const y = getRandomInt(1, this.rows - 2, this.random);
 
 			// Randomly remove a wall
-			const wallIndex = getRandomInt(0, 3);
+			const wallIndex = getRandomInt(0, 3, this.random);
 			this.grid[y][x].walls[wallIndex] = false;
 
 			// Remove the corresponding wall from the adjacent cell
@@ -173,7 +130,7 @@ class Maze {
 				this.grid[y + 1][x].walls[0] = false;
 			} else if (wallIndex === 3 && x > 0) {
 				// Left
-				this.grid[y - 1][x].walls[1] = false;
+				this.grid[y][x - 1].walls[1] = false;
 			}
 		}
 	}
@@ -184,8 +141,8 @@ class Maze {
 		let attempts = 0;
 
 		do {
-			x = getRandomInt(0, this.cols - 1);
-			y = getRandomInt(0, this.rows - 1);
+			x = getRandomInt(0, this.cols - 1, this.random);
+			y = getRandomInt(0, this.rows - 1, this.random);
 			attempts++;
 
 			// Prevent infinite loop
@@ -236,16 +193,67 @@ class Maze {
 		// Try to place it in the opposite corner or a far edge
 		const farX =
 			Math.floor(this.cols * 0.8) +
-			getRandomInt(0, Math.floor(this.cols * 0.2) - 1);
+			getRandomInt(0, Math.floor(this.cols * 0.2) - 1, this.random);
 		const farY =
 			Math.floor(this.rows * 0.8) +
-			getRandomInt(0, Math.floor(this.rows * 0.2) - 1);
+			getRandomInt(0, Math.floor(this.rows * 0.2) - 1, this.random);
 
 		// Make sure it's within bounds
 		this.exit.x = Math.min(farX, this.cols - 1);
 		this.exit.y = Math.min(farY, this.rows - 1);
 	}
 
+	// Walls as one hex digit per cell (bits: top, right, bottom, left)
+	getSnapshot() {
+		let walls = "";
+		for (let y = 0; y < this.rows; y++) {
+			for (let x = 0; x < this.cols; x++) {
+				const [top, right, bottom, left] = this.grid[y][x].walls;
+				walls += ((top << 3) | (right << 2) | (bottom << 1) | left).toString(16);
+			}
+		}
+
+		return {
+			cols: this.cols,
+			rows: this.rows,
+			algorithm: this.algorithm,
+			walls,
+			exit: { ...this.exit },
+		};
+	}
+
+	// Replace the generated walls and exit with saved ones of the same size
+	restoreSnapshot(snapshot) {
+		if (
+			snapshot.cols !== this.cols ||
+			snapshot.rows !== this.rows ||
+			typeof snapshot.walls !== "string" ||
+			snapshot.walls.length !== this.cols * this.rows
+		) {
+			throw new Error("Saved maze doesn't match the maze size");
+		}
+
+		for (let y = 0; y < this.rows; y++) {
+			for (let x = 0; x < this.cols; x++) {
+				const bits = Number.parseInt(snapshot.walls[y * this.cols + x], 16);
+				if (Number.isNaN(bits)) {
+					throw new Error(`Invalid saved walls at ${x},${y}`);
+				}
+				this.grid[y][x].walls = [
+					Boolean(bits & 8),
+					Boolean(bits & 4),
+					Boolean(bits & 2),
+					Boolean(bits & 1),
+				];
+			}
+		}
+
+		this.exit = {
+			x: Math.max(0, Math.min(this.cols - 1, snapshot.exit.x)),
+			y: Math.max(0, Math.min(this.rows - 1, snapshot.exit.y)),
+		};
+	}
+
 	isExitPosition(x, y) {
 		const gridX = Math.floor(x / this.cellSize);
 		const gridY = Math.floor(y / this.cellSize);
@@ -262,7 +270,12 @@ class Maze {
 		return exactMatch || closeProximity;
 	}
 
-	render(ctx, theme) {
+	/**
+	 * Render the maze in world space
+	 * @param {Object} viewport - Optional visible area {x, y, width, height};
+	 * cells outside it are skipped so large mazes stay cheap to draw
+	 */
+	render(ctx, theme, viewport = null) {
 		ctx.save();
 		this.theme = theme;
 		const wallColor = theme ? theme.wallColor : "#00ffff";
@@ -272,9 +285,11 @@ class Maze {
 		ctx.strokeStyle = wallColor;
 		ctx.lineWidth = 2;
 
+		const range = this.getVisibleRange(viewport);
+
 		// Render each cell
-		for (let y = 0; y < this.rows; y++) {
-			for (let x = 0; x < this.cols; x++) {
+		for (let y = range.startY; y <= range.endY; y++) {
+			for (let x = range.startX; x <= range.endX; x++) {
 				const cell = this.grid[y][x];
 				const cellX = x * this.cellSize;
 				const cellY = y * this.cellSize;
@@ -439,13 +454,33 @@ class Maze {
 		ctx.fillStyle = "#00FFAA";
 		ctx.shadowColor = "#FFFFFF";
 		ctx.shadowBlur = 8;
-		ctx.fillText("EXIT", exitX + this.cellSize / 2, textY);
+		ctx.fillText(i18n.t("game.exit"), exitX + this.cellSize / 2, textY);
 
 		ctx.shadowBlur = 0;
 
 		ctx.restore();
 	}
 
+	// Grid cell range covered by the viewport (the whole maze without one)
+	getVisibleRange(viewport) {
+		if (!viewport) {
+			return { startX: 0, startY: 0, endX: this.cols - 1, endY: this.rows - 1 };
+		}
+
+		return {
+			startX: Math.max(0, Math.floor(viewport.x / this.cellSize)),
+			startY: Math.max(0, Math.floor(viewport.y / this.cellSize)),
+			endX: Math.min(
+				this.cols - 1,
+				Math.floor((viewport.x + viewport.width) / this.cellSize),
+			),
+			endY: Math.min(
+				this.rows - 1,
+				Math.floor((viewport.y + viewport.height) / this.cellSize),
+			),
+		};
+	}
+
 	renderExitParticles(ctx, x, y) {
 		const time = Date.now() / 1000;
 
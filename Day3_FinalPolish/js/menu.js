@@ -1,6 +1,7 @@
 /**
  * Menu system
- * Handles main menu, settings, statistics and loading screens
+ * Handles main menu, settings, statistics, leaderboard, time trial and
+ * loading screens
  */
 class MenuSystem {
 	constructor(gameInstance) {
@@ -8,9 +9,117 @@ class MenuSystem {
 
 		this.menuScreen = document.getElementById("menu-screen");
 		this.startButton = document.getElementById("start-button");
+		this.languagePicker = document.getElementById("language-picker");
+		this.difficultyPicker = document.getElementById("difficulty-picker");
+		this.customDifficultyScreen = document.getElementById(
+			"custom-difficulty-screen",
+		);
+		this.customDifficultyFields = document.getElementById(
+			"custom-difficulty-fields",
+		);
+		this.customResetButton = document.getElementById("custom-reset-button");
+		this.customBackButton = document.getElementById("custom-back-button");
 		this.continueButton = document.getElementById("continue-button");
+		this.autosavePrompt = document.getElementById("autosave-prompt");
+		this.autosaveInfo = document.getElementById("autosave-info");
+		this.resumeAutosaveButton = document.getElementById(
+			"resume-autosave-button",
+		);
+		this.discardAutosaveButton = document.getElementById(
+			"discard-autosave-button",
+		);
+		this.settingsButton = document.getElementById("settings-button");
+
+		this.settingsScreen = document.getElementById("settings-screen");
+		this.knowledgeButton = document.getElementById("knowledge-button");
+		this.knowledgeScreen = document.getElementById("knowledge-screen");
+		this.knowledgeList = document.getElementById("knowledge-list");
+		this.knowledgeProfile = document.getElementById("knowledge-profile");
+		this.knowledgeBackButton = document.getElementById(
+			"knowledge-back-button",
+		);
+		this.statsButton = document.getElementById("stats-button");
+		this.statsScreen = document.getElementById("stats-screen");
+		this.statsList = document.getElementById("stats-list");
+		this.profileSelect = document.getElementById("profile-select");
+		this.newProfileInput = document.getElementById("new-profile-name");
+		this.newProfileButton = document.getElementById("new-profile-button");
+		this.statsBackButton = document.getElementById("stats-back-button");
+		this.leaderboardButton = document.getElementById("leaderboard-button");
+		this.leaderboardScreen = document.getElementById("leaderboard-screen");
+		this.leaderboardDifficulty = document.getElementById(
+			"leaderboard-difficulty",
+		);
+		this.leaderboardTable = document.getElementById("leaderboard-table");
+		this.leaderboardList = document.getElementById("leaderboard-list");
+		this.leaderboardBackButton = document.getElementById(
+			"leaderboard-back-button",
+		);
+		this.timeTrialButton = document.getElementById("time-trial-button");
+		this.timeTrialScreen = document.getElementById("time-trial-screen");
+		this.timeTrialSeedInput = document.getElementById("time-trial-seed");
+		this.timeTrialStartButton = document.getElementById(
+			"time-trial-start-button",
+		);
+		this.timeTrialBestHeading = document.getElementById(
+			"time-trial-best-heading",
+		);
+		this.timeTrialList = document.getElementById("time-trial-list");
+		this.timeTrialBackButton = document.getElementById(
+			"time-trial-back-button",
+		);
+		this.savesButton = document.getElementById("saves-button");
+		this.savesScreen = document.getElementById("saves-screen");
+		this.saveSlotList = document.getElementById("save-slot-list");
+		this.saveCurrentSection = document.getElementById("save-current");
+		this.saveCurrentInfo = document.getElementById("save-current-info");
+		this.saveNameInput = document.getElementById("save-name");
+		this.saveNewButton = document.getElementById("save-new-button");
+		this.savesBackButton = document.getElementById("saves-back-button");
+		this.exportButton = document.getElementById("export-button");
+		this.importButton = document.getElementById("import-button");
+		this.importFileInput = document.getElementById("import-file");
+		this.importChoice = document.getElementById("import-choice");
+		this.importSummary = document.getElementById("import-summary");
+		this.importChoiceButtons = [
+			"import-merge-button",
+			"import-overwrite-button",
+			"import-cancel-button",
+		].map((id) => document.getElementById(id));
+		this.replayHint = document.getElementById("replay-hint");
+		this.replayList = document.getElementById("replay-list");
+		this.replayOpenButton = document.getElementById("replay-open-button");
+		this.replayFileInput = document.getElementById("replay-file");
+		// Checked file waiting for merge/overwrite: { fileName, skipped, data }
+		this.pendingImport = null;
+		// Full-screen panels opened from the main menu
+		this.panelScreens = [
+			this.settingsScreen,
+			this.knowledgeScreen,
+			this.statsScreen,
+			this.leaderboardScreen,
+			this.timeTrialScreen,
+			this.savesScreen,
+			this.customDifficultyScreen,
+		];
+		this.bindingList = document.getElementById("keybinding-list");
+		this.conflictsElement = document.getElementById("keybinding-conflicts");
+		this.resetBindingsButton = document.getElementById("reset-bindings-button");
+		this.settingsBackButton = document.getElementById("settings-back-button");
+		this.quizModeInput = document.getElementById("quiz-mode");
+		// { action, slot } while waiting for a key to bind
+		this.listeningFor = null;
+
+		this.gamepadStatus = document.getElementById("gamepad-status");
+		this.deadzoneInput = document.getElementById("gamepad-deadzone");
+		this.deadzoneValue = document.getElementById("gamepad-deadzone-value");
+
+		i18n.applyToDocument();
+		this.showControlsInfo();
 
 		this.setupEventListeners();
+		this.setupLanguagePicker();
+		this.setupDifficultyPicker();
 		this.checkForSavedGame();
 
 		this.showMenuScreen();
@@ -25,14 +134,1269 @@ class MenuSystem {
 			this.continueGame();
 		});
 
+		this.resumeAutosaveButton.addEventListener("click", () => {
+			const autosave = this.game ? this.game.loadAutosave() : null;
+			this.showAutosavePrompt(null);
+			if (autosave) {
+				this.continueGame(autosave);
+			}
+		});
+
+		this.discardAutosaveButton.addEventListener("click", () => {
+			if (this.game) {
+				this.game.clearAutosave();
+			}
+			this.showAutosavePrompt(null);
+		});
+
+		this.settingsButton.addEventListener("click", () => {
+			this.showSettingsScreen();
+		});
+
+		this.settingsBackButton.addEventListener("click", () => {
+			this.hideSettingsScreen();
+		});
+
+		this.knowledgeButton.addEventListener("click", () => {
+			this.showKnowledgeScreen();
+		});
+
+		this.knowledgeBackButton.addEventListener("click", () => {
+			this.hideKnowledgeScreen();
+		});
+
+		this.customResetButton.addEventListener("click", () => {
+			difficultySettings.setCustom(difficultyPresets.normal);
+			this.renderCustomDifficulty();
+		});
+
+		this.customBackButton.addEventListener("click", () => {
+			this.hideCustomDifficultyScreen();
+		});
+
+		this.statsButton.addEventListener("click", () => {
+			this.showStatsScreen();
+		});
+
+		this.statsBackButton.addEventListener("click", () => {
+			this.hideStatsScreen();
+		});
+
+		this.profileSelect.addEventListener("change", () => {
+			profileManager.setActive(this.profileSelect.value);
+			this.renderStats();
+		});
+
+		this.newProfileButton.addEventListener("click", () => {
+			if (profileManager.create(this.newProfileInput.value)) {
+				this.newProfileInput.value = "";
+				this.renderStats();
+			}
+		});
+
+		this.leaderboardButton.addEventListener("click", () => {
+			this.showLeaderboardScreen();
+		});
+
+		this.leaderboardBackButton.addEventListener("click", () => {
+			this.hideLeaderboardScreen();
+		});
+
+		// A different difficulty has its own stages and seeds to pick from
+		this.leaderboardDifficulty.addEventListener("change", () => {
+			this.leaderboardTable.value = "run";
+			this.renderLeaderboard();
+		});
+
+		this.leaderboardTable.addEventListener("change", () => {
+			this.renderLeaderboard();
+		});
+
+		this.timeTrialButton.addEventListener("click", () => {
+			this.showTimeTrialScreen();
+		});
+
+		this.timeTrialStartButton.addEventListener("click", () => {
+			this.startTimeTrial(this.timeTrialSeedInput.value);
+		});
+
+		this.timeTrialBackButton.addEventListener("click", () => {
+			this.hideTimeTrialScreen();
+		});
+
+		this.savesButton.addEventListener("click", () => {
+			this.showSavesScreen();
+		});
+
+		this.savesBackButton.addEventListener("click", () => {
+			this.hideSavesScreen();
+		});
+
+		this.saveNewButton.addEventListener("click", () => {
+			this.saveToSlot(null);
+		});
+
+		this.exportButton.addEventListener("click", () => {
+			saveTransfer.download(this.game);
+		});
+
+		this.importButton.addEventListener("click", () => {
+			this.importFileInput.click();
+		});
+
+		this.importFileInput.addEventListener("change", () => {
+			const file = this.importFileInput.files[0];
+			// Picking the same file again must fire "change" again
+			this.importFileInput.value = "";
+			if (file) {
+				this.readImportFile(file);
+			}
+		});
+
+		this.replayOpenButton.addEventListener("click", () => {
+			this.replayFileInput.click();
+		});
+
+		this.replayFileInput.addEventListener("change", () => {
+			const file = this.replayFileInput.files[0];
+			this.replayFileInput.value = "";
+			if (file) {
+				this.readReplayFile(file);
+			}
+		});
+
+		const [mergeButton, overwriteButton, cancelButton] =
+			this.importChoiceButtons;
+		mergeButton.addEventListener("click", () => this.applyImport(false));
+		overwriteButton.addEventListener("click", () => this.applyImport(true));
+		cancelButton.addEventListener("click", () => {
+			this.showImportChoice(null);
+		});
+
+		this.quizModeInput.addEventListener("change", () => {
+			if (this.game) {
+				this.game.setQuizMode(this.quizModeInput.checked);
+			}
+		});
+
+		this.resetBindingsButton.addEventListener("click", () => {
+			inputMap.resetToDefaults();
+			this.renderBindings();
+		});
+
 		document.addEventListener("keydown", (e) => {
-			if (e.key === "Enter" && this.menuScreen.style.display !== "none") {
+			if (
+				inputMap.matches("confirm", e.key) &&
+				this.menuScreen.style.display !== "none"
+			) {
 				this.startGame();
 			}
 		});
+
+		// Capture phase, so a key being bound doesn't also reach the game
+		window.addEventListener(
+			"keydown",
+			(e) => {
+				if (this.listeningFor) {
+					e.preventDefault();
+					e.stopImmediatePropagation();
+					this.bindListenedKey(e.key);
+				}
+			},
+			true,
+		);
+
+		this.setupGamepadSettings();
+	}
+
+	showSettingsScreen() {
+		this.hideMenuScreen();
+		this.renderBindings();
+		this.quizModeInput.checked = Boolean(this.game && this.game.quizMode);
+		this.settingsScreen.style.display = "flex";
+	}
+
+	hideSettingsScreen() {
+		this.listeningFor = null;
+		this.settingsScreen.style.display = "none";
+		this.updateControlsInfo();
+		this.showMenuScreen();
+	}
+
+	async showKnowledgeScreen() {
+		this.hideMenuScreen();
+		this.knowledgeScreen.style.display = "flex";
+
+		const loaded = await skillCatalog.ready.catch(() => false);
+		this.renderKnowledgeLog();
+		if (!loaded) {
+			this.showSkillCatalogError(this.knowledgeList);
+		}
+	}
+
+	// Opened from disk the catalog can't be loaded, say so instead of
+	// leaving the panel empty
+	showSkillCatalogError(list) {
+		const hint = document.createElement("div");
+		hint.className = "panel-hint";
+		hint.textContent = skillCatalog.describeError({ type: "not-loaded" });
+		list.prepend(hint);
+	}
+
+	hideKnowledgeScreen() {
+		this.knowledgeScreen.style.display = "none";
+		this.showMenuScreen();
+	}
+
+	// Facts seen and quiz results per skill for the active profile
+	renderKnowledgeLog() {
+		this.knowledgeList.innerHTML = "";
+		this.knowledgeProfile.textContent = i18n.t("knowledge.profile", {
+			name: profileManager.getActive().name,
+		});
+
+		const log = knowledgeTracker.getLog(Object.keys(skillCatalog.skills));
+		for (const entry of log) {
+			const skill = skillCatalog.get(entry.skill);
+
+			const section = document.createElement("div");
+			section.className = "panel-section knowledge-skill";
+			section.style.borderLeftColor = skill.color;
+
+			const heading = document.createElement("div");
+			heading.className = "panel-heading";
+			heading.textContent = i18n.t("knowledge.facts", {
+				skill: skillCatalog.getShortName(entry.skill),
+				seen: entry.facts.length,
+				total: entry.totalFacts,
+			});
+			if (entry.quiz.asked > 0) {
+				heading.textContent += i18n.t("knowledge.quiz", entry.quiz);
+			}
+			section.appendChild(heading);
+
+			if (entry.facts.length === 0 && entry.quiz.asked === 0) {
+				const hint = document.createElement("div");
+				hint.className = "panel-hint";
+				hint.textContent = i18n.t("knowledge.undiscovered");
+				section.appendChild(hint);
+			}
+
+			const list = document.createElement("ul");
+			for (const fact of entry.facts) {
+				const item = document.createElement("li");
+				item.textContent = fact;
+				list.appendChild(item);
+			}
+			// Questions answered wrong last time, to review before the next run
+			for (const question of entry.quiz.missed) {
+				const item = document.createElement("li");
+				item.className = "knowledge-missed";
+				item.textContent = i18n.t("knowledge.review", { question });
+				list.appendChild(item);
+			}
+			if (list.children.length > 0) {
+				section.appendChild(list);
+			}
+
+			this.knowledgeList.appendChild(section);
+		}
+	}
+
+	async showStatsScreen() {
+		this.hideMenuScreen();
+		this.statsScreen.style.display = "flex";
+
+		const loaded = await skillCatalog.ready.catch(() => false);
+		this.renderStats();
+		if (!loaded) {
+			this.showSkillCatalogError(this.statsList);
+		}
+	}
+
+	hideStatsScreen() {
+		this.statsScreen.style.display = "none";
+		this.showMenuScreen();
+	}
+
+	// Profile picker and the active profile's totals
+	renderStats() {
+		this.profileSelect.innerHTML = "";
+		for (const profile of profileManager.list()) {
+			const option = document.createElement("option");
+			option.value = profile.id;
+			option.textContent = profile.name;
+			this.profileSelect.appendChild(option);
+		}
+		this.profileSelect.value = profileManager.getActiveId();
+
+		const stats = statsTracker.getData();
+		this.statsList.innerHTML = "";
+
+		this.addStatsSection(i18n.t("stats.games"), [
+			[i18n.t("stats.gamesPlayed"), stats.gamesPlayed],
+			[i18n.t("stats.gamesWon"), stats.gamesWon],
+			[i18n.t("stats.stagesCleared"), stats.stagesCleared],
+			[i18n.t("stats.timeOuts"), stats.timeOuts],
+			[i18n.t("stats.playTime"), formatDuration(stats.playTime / 1000)],
+		]);
+
+		const difficulties = Object.keys(stats.bestTimes);
+		if (difficulties.length === 0) {
+			this.addStatsSection(
+				i18n.t("stats.bestTimes"),
+				[],
+				"stats.noBestTimes",
+			);
+		}
+		for (const difficulty of difficulties) {
+			const times = stats.bestTimes[difficulty];
+			this.addStatsSection(
+				i18n.t("stats.bestTimesFor", {
+					difficulty: i18n.t(`difficulty.${difficulty}`),
+				}),
+				Object.keys(times)
+					.sort((a, b) => a - b)
+					.map((stage) => [
+						i18n.t("stats.stage", { stage }),
+						formatDuration(times[stage] / 1000),
+					]),
+			);
+		}
+
+		this.addStatsSection(
+			i18n.t("stats.deaths"),
+			Object.entries(stats.deaths)
+				.sort((a, b) => b[1] - a[1])
+				.map(([type, count]) => [i18n.t(`obstacle.${type}`), count]),
+			"stats.noDeaths",
+		);
+
+		this.addStatsSection(
+			i18n.t("stats.artifacts"),
+			Object.entries(stats.artifacts)
+				.sort((a, b) => b[1] - a[1])
+				.map(([skill, count]) => [
+					skillCatalog.has(skill) ? skillCatalog.getShortName(skill) : skill,
+					count,
+				]),
+			"stats.noArtifacts",
+		);
+	}
+
+	/**
+	 * @param {Array} rows - [label, value] pairs
+	 * @param {string} emptyKey - Text shown when there are no rows
+	 */
+	addStatsSection(title, rows, emptyKey) {
+		const section = document.createElement("div");
+		section.className = "panel-section stats-section";
+
+		const heading = document.createElement("div");
+		heading.className = "panel-heading";
+		heading.textContent = title;
+		section.appendChild(heading);
+
+		if (rows.length === 0 && emptyKey) {
+			const hint = document.createElement("div");
+			hint.className = "panel-hint";
+			hint.textContent = i18n.t(emptyKey);
+			section.appendChild(hint);
+		}
+
+		for (const [label, value] of rows) {
+			const row = document.createElement("div");
+			row.className = "stats-row";
+			const name = document.createElement("span");
+			name.textContent = label;
+			const amount = document.createElement("span");
+			amount.textContent = value;
+			row.append(name, amount);
+			section.appendChild(row);
+		}
+
+		this.statsList.appendChild(section);
+	}
+
+	// Opens on the difficulty last played
+	showLeaderboardScreen() {
+		this.hideMenuScreen();
+		this.leaderboardDifficulty.value = "";
+		this.leaderboardTable.value = "";
+		this.leaderboardScreen.style.display = "flex";
+		this.renderLeaderboard();
+	}
+
+	hideLeaderboardScreen() {
+		this.leaderboardScreen.style.display = "none";
+		this.showMenuScreen();
+	}
+
+	// Difficulty and table pickers, and the chosen table
+	renderLeaderboard() {
+		const difficulty =
+			this.leaderboardDifficulty.value || difficultySettings.name;
+		const table = this.leaderboardTable.value || "run";
+
+		const addOption = (parent, value, text) => {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			parent.appendChild(option);
+		};
+
+		this.leaderboardDifficulty.innerHTML = "";
+		for (const name of difficultySettings.getNames()) {
+			addOption(this.leaderboardDifficulty, name, i18n.t(`difficulty.${name}`));
+		}
+		this.leaderboardDifficulty.value = difficulty;
+
+		this.leaderboardTable.innerHTML = "";
+		addOption(this.leaderboardTable, "run", i18n.t("leaderboard.runs"));
+		const maxStage = this.game ? this.game.maxStage : 3;
+		for (let stage = 1; stage <= maxStage; stage++) {
+			addOption(
+				this.leaderboardTable,
+				`stage:${stage}`,
+				i18n.t("leaderboard.stage", { stage }),
+			);
+		}
+		const seeds = leaderboard.getSeeds(difficulty);
+		if (seeds.length > 0) {
+			const group = document.createElement("optgroup");
+			group.label = i18n.t("leaderboard.seeds");
+			for (const seed of seeds) {
+				addOption(group, `seed:${seed}`, seed);
+			}
+			this.leaderboardTable.appendChild(group);
+		}
+		// Falls back to the best runs if that seed is gone
+		this.leaderboardTable.value = table;
+		if (this.leaderboardTable.value !== table) {
+			this.leaderboardTable.value = "run";
+		}
+
+		const [kind, ...value] = this.leaderboardTable.value.split(":");
+		const entries = leaderboard.getTable(
+			leaderboard.getTableKey(
+				kind,
+				difficulty,
+				// Seeds may contain ":" themselves
+				value.length > 0 ? value.join(":") : undefined,
+			),
+		);
+
+		this.leaderboardList.innerHTML = "";
+		if (entries.length === 0) {
+			const hint = document.createElement("div");
+			hint.className = "panel-hint";
+			hint.textContent = i18n.t("leaderboard.empty");
+			this.leaderboardList.appendChild(hint);
+			return;
+		}
+
+		const element = document.createElement("table");
+		element.className = "leaderboard-table";
+		const addRow = (cells, tag, className) => {
+			const row = document.createElement("tr");
+			if (className) {
+				row.className = className;
+			}
+			for (const text of cells) {
+				const cell = document.createElement(tag);
+				cell.textContent = text;
+				row.appendChild(cell);
+			}
+			element.appendChild(row);
+		};
+
+		addRow(
+			["#", "player", "score", "time", "date"].map((column) =>
+				column === "#" ? column : i18n.t(`leaderboard.${column}`),
+			),
+			"th",
+		);
+		entries.forEach((entry, index) => {
+			addRow(
+				[
+					index + 1,
+					entry.initials || "---",
+					i18n.formatNumber(entry.score),
+					typeof entry.time === "number"
+						? formatDuration(Math.round(entry.time / 1000))
+						: "-",
+					i18n.formatDate(new Date(entry.date)),
+				],
+				"td",
+				entry.id === leaderboard.lastRunId ? "leaderboard-latest" : "",
+			);
+		});
+		this.leaderboardList.appendChild(element);
+	}
+
+	showTimeTrialScreen() {
+		this.hideMenuScreen();
+		// The seed raced last, to try again, or a new one
+		const [latest] = timeTrialRecords.list(this.getTimeTrialDifficulty());
+		this.timeTrialSeedInput.value = latest ? latest.seed : generateSeed();
+		this.timeTrialScreen.style.display = "flex";
+		this.renderTimeTrials();
+	}
+
+	hideTimeTrialScreen() {
+		this.timeTrialScreen.style.display = "none";
+		this.showMenuScreen();
+	}
+
+	// Best run on each seed raced at the picked difficulty
+	renderTimeTrials() {
+		const difficulty = difficultySettings.name;
+		this.timeTrialBestHeading.textContent = i18n.t("timeTrial.best", {
+			difficulty: i18n.t(`difficulty.${difficulty}`),
+		});
+		this.timeTrialList.innerHTML = "";
+
+		const records = timeTrialRecords.list(this.getTimeTrialDifficulty());
+		if (records.length === 0) {
+			const empty = document.createElement("div");
+			empty.className = "panel-hint";
+			empty.textContent = i18n.t("timeTrial.empty");
+			this.timeTrialList.appendChild(empty);
+		}
+
+		for (const record of records) {
+			const row = document.createElement("div");
+			row.className = "save-slot";
+
+			const details = document.createElement("div");
+			details.className = "panel-hint";
+			details.textContent = i18n.t("timeTrial.details", {
+				seed: record.seed,
+				time: formatSplitTime(record.time),
+				player: record.player || "?",
+				date: this.formatSaveDate(record.recordedAt),
+			});
+			row.appendChild(details);
+
+			const button = document.createElement("button");
+			button.className = "menu-button slot-button";
+			button.textContent = i18n.t("timeTrial.race");
+			button.addEventListener("click", () => {
+				this.startTimeTrial(record.seed);
+			});
+			row.appendChild(button);
+
+			this.timeTrialList.appendChild(row);
+		}
+	}
+
+	// The picked difficulty, as time trial records are kept under it
+	getTimeTrialDifficulty() {
+		return timeTrialRecords.getDifficultyKey(
+			difficultySettings.name,
+			difficultySettings.get(),
+		);
+	}
+
+	startTimeTrial(seed) {
+		this.timeTrialScreen.style.display = "none";
+		this.startGame({ timeTrial: true, seed: seed.trim() || generateSeed() });
+	}
+
+	showSavesScreen() {
+		this.hideMenuScreen();
+		this.renderSaveSlots();
+		this.renderReplays();
+		this.showImportChoice(null);
+		this.savesScreen.style.display = "flex";
+	}
+
+	hideSavesScreen() {
+		this.savesScreen.style.display = "none";
+		this.checkForSavedGame();
+		this.showMenuScreen();
+	}
+
+	// The unfinished game "Continue" would resume, which can go in a slot
+	getCurrentGame() {
+		const savedState = this.game ? this.game.loadGameState() : null;
+		return savedState && !savedState.completed ? savedState : null;
 	}
 
-	startGame() {
+	// "Stage 2/3 - Artifacts 1/3 - 95s left"
+	describeSave(snapshot) {
+		return i18n.t("saves.details", {
+			stage: snapshot.stage,
+			maxStage: this.game ? this.game.maxStage : 3,
+			collected: snapshot.artifactsCollected,
+			total: snapshot.totalArtifacts,
+			time: Math.ceil(snapshot.timer || 0),
+		});
+	}
+
+	formatSaveDate(timestamp) {
+		const date = new Date(timestamp);
+		const time = [date.getHours(), date.getMinutes()]
+			.map((part) => String(part).padStart(2, "0"))
+			.join(":");
+		return `${i18n.formatDate(date)} ${time}`;
+	}
+
+	// Current game (to save) and one row per slot with load/overwrite/delete
+	renderSaveSlots() {
+		const current = this.getCurrentGame();
+		this.saveCurrentSection.style.display = current ? "block" : "none";
+		if (current) {
+			this.saveCurrentInfo.textContent = this.describeSave(current);
+			this.saveNameInput.value = i18n.t("saves.defaultName", {
+				stage: current.stage,
+				date: this.formatSaveDate(Date.now()),
+			});
+			this.saveNewButton.style.display = saveManager.isFull()
+				? "none"
+				: "inline-block";
+		}
+
+		this.saveSlotList.innerHTML = "";
+		const slots = saveManager.list();
+		if (slots.length === 0) {
+			const empty = document.createElement("div");
+			empty.className = "panel-hint";
+			empty.textContent = i18n.t(current ? "saves.empty" : "saves.noGame");
+			this.saveSlotList.appendChild(empty);
+		} else if (current && saveManager.isFull()) {
+			const full = document.createElement("div");
+			full.className = "panel-hint";
+			full.textContent = i18n.t("saves.full", { max: saveManager.maxSlots });
+			this.saveSlotList.appendChild(full);
+		}
+
+		for (const slot of slots) {
+			const row = document.createElement("div");
+			row.className = "panel-section save-slot";
+
+			const name = document.createElement("div");
+			name.className = "panel-heading";
+			name.textContent = slot.name;
+			row.appendChild(name);
+
+			const details = document.createElement("div");
+			details.className = "panel-hint";
+			const savedAt = this.formatSaveDate(slot.savedAt);
+			details.textContent = `${this.describeSave(slot.snapshot)} - ${savedAt}`;
+			row.appendChild(details);
+
+			const buttons = [
+				["saves.load", () => this.loadSlot(slot)],
+				current ? ["saves.overwrite", () => this.saveToSlot(slot)] : null,
+				["saves.delete", () => this.deleteSlot(slot)],
+			];
+			for (const entry of buttons.filter(Boolean)) {
+				const [label, onClick] = entry;
+				const button = document.createElement("button");
+				button.className = "menu-button slot-button";
+				button.textContent = i18n.t(label);
+				button.addEventListener("click", onClick);
+				row.appendChild(button);
+			}
+
+			this.saveSlotList.appendChild(row);
+		}
+	}
+
+	// Into a new slot (slot null) or over an existing one
+	saveToSlot(slot) {
+		const current = this.getCurrentGame();
+		if (!current) {
+			return;
+		}
+		if (slot && !confirm(i18n.t("saves.confirmOverwrite", { name: slot.name }))) {
+			return;
+		}
+
+		const name =
+			this.saveNameInput.value.trim() ||
+			i18n.t("saves.defaultName", {
+				stage: current.stage,
+				date: this.formatSaveDate(Date.now()),
+			});
+		const saved = saveManager.write(
+			slot ? slot.id : null,
+			slot ? slot.name : name,
+			current,
+		);
+		if (!saved) {
+			alert(i18n.t("saves.failed"));
+		}
+		this.renderSaveSlots();
+	}
+
+	loadSlot(slot) {
+		const problems = saveManager.check(
+			slot.snapshot,
+			this.game ? this.game.maxStage : 3,
+		);
+		if (problems.length > 0) {
+			console.warn(`Save slot "${slot.name}" can't be loaded:`, problems);
+			alert(i18n.t("saves.loadError", { name: slot.name }));
+			return;
+		}
+
+		this.savesScreen.style.display = "none";
+		this.continueGame(slot.snapshot);
+	}
+
+	deleteSlot(slot) {
+		if (confirm(i18n.t("saves.confirmDelete", { name: slot.name }))) {
+			saveManager.remove(slot.id);
+			this.renderSaveSlots();
+		}
+	}
+
+	// Check an exported file, then ask whether to merge it or overwrite
+	readImportFile(file) {
+		const reader = new FileReader();
+		reader.onload = () => {
+			let result;
+			try {
+				result = saveTransfer.validate(
+					JSON.parse(reader.result),
+					this.game ? this.game.maxStage : 3,
+				);
+			} catch (e) {
+				result = { valid: false, errors: [e.message] };
+			}
+
+			if (!result.valid) {
+				console.warn(`Can't import ${file.name}:`, result.errors);
+				alert(i18n.t("transfer.invalid", { file: file.name }));
+				return;
+			}
+			this.showImportChoice({
+				fileName: file.name,
+				skipped: result.skipped,
+				data: result.data,
+			});
+		};
+		reader.onerror = () => {
+			console.error(`Failed to read ${file.name}:`, reader.error);
+			alert(i18n.t("transfer.invalid", { file: file.name }));
+		};
+		reader.readAsText(file);
+	}
+
+	showImportChoice(pending) {
+		this.pendingImport = pending;
+		this.importChoice.style.display = pending ? "block" : "none";
+		// Hidden buttons must also be skipped by gamepad navigation
+		for (const button of this.importChoiceButtons) {
+			button.style.display = pending ? "" : "none";
+		}
+		if (!pending) {
+			return;
+		}
+
+		const { fileName, skipped, data } = pending;
+		const exportedAt = data.exportedAt
+			? this.formatSaveDate(data.exportedAt)
+			: "?";
+		const lines = [
+			i18n.t("transfer.summary", {
+				file: fileName,
+				date: exportedAt,
+				slots: data.slots.length,
+				profiles: Object.keys(data.profiles.profiles).length,
+			}),
+		];
+		if (skipped > 0) {
+			lines.push(i18n.t("transfer.damaged", { count: skipped }));
+		}
+		this.importSummary.textContent = lines.join(" ");
+	}
+
+	applyImport(overwrite) {
+		const pending = this.pendingImport;
+		if (!pending) {
+			return;
+		}
+		if (overwrite && !confirm(i18n.t("transfer.confirmOverwrite"))) {
+			return;
+		}
+
+		const result = saveTransfer.apply(this.game, pending.data, overwrite);
+		this.showImportChoice(null);
+		this.renderSaveSlots();
+
+		const lines = [
+			i18n.t("transfer.done", {
+				slots: result.slots,
+				profiles: result.profiles,
+			}),
+		];
+		if (result.skipped > 0) {
+			lines.push(
+				i18n.t("transfer.noRoom", {
+					count: result.skipped,
+					max: saveManager.maxSlots,
+				}),
+			);
+		}
+		alert(lines.join("\n"));
+	}
+
+	// "19/10/2026 14:05 - Ada - Normal - seed ABC123 - Time's up (2:00)"
+	describeReplay(recording) {
+		const result = recording.result || {};
+		const frameRate = recording.frameRate || 60;
+		return i18n.t("replay.details", {
+			date: this.formatSaveDate(recording.recordedAt),
+			player: recording.player || "?",
+			difficulty: i18n.t(`difficulty.${recording.difficultyName}`),
+			seed: recording.seed,
+			outcome: i18n.t(`replay.outcome.${result.outcome || "quit"}`),
+			time: formatDuration(recording.frames / frameRate),
+		});
+	}
+
+	// Recent runs, each to watch or download
+	renderReplays() {
+		this.replayHint.textContent = i18n.t("replay.hint", {
+			max: replayConfig.maxSaved,
+		});
+		this.replayList.innerHTML = "";
+		const recordings = replayRecorder.list();
+		if (recordings.length === 0) {
+			const empty = document.createElement("div");
+			empty.className = "panel-hint";
+			empty.textContent = i18n.t("replay.empty");
+			this.replayList.appendChild(empty);
+		}
+
+		for (const recording of recordings) {
+			const row = document.createElement("div");
+			row.className = "save-slot";
+
+			const details = document.createElement("div");
+			details.className = "panel-hint";
+			details.textContent = this.describeReplay(recording);
+			row.appendChild(details);
+
+			const buttons = [
+				["replay.watch", () => this.watchReplay(recording)],
+				["replay.download", () => replayRecorder.download(recording)],
+			];
+			for (const [label, onClick] of buttons) {
+				const button = document.createElement("button");
+				button.className = "menu-button slot-button";
+				button.textContent = i18n.t(label);
+				button.addEventListener("click", onClick);
+				row.appendChild(button);
+			}
+
+			this.replayList.appendChild(row);
+		}
+	}
+
+	async watchReplay(recording) {
+		this.savesScreen.style.display = "none";
+		// Stages are built with the skill catalog's artifacts
+		await skillCatalog.ready;
+		if (!this.game || !this.game.startReplay(recording)) {
+			console.warn("Replay can't be played:", recording);
+			alert(i18n.t("replay.failed"));
+			this.savesScreen.style.display = "flex";
+		}
+	}
+
+	// Check a downloaded replay (e.g. from a bug report), then watch it
+	readReplayFile(file) {
+		const reader = new FileReader();
+		reader.onload = () => {
+			let result;
+			try {
+				result = replayRecorder.validate(
+					JSON.parse(reader.result),
+					this.game ? this.game.maxStage : 3,
+				);
+			} catch (e) {
+				result = { valid: false, errors: [e.message] };
+			}
+
+			if (!result.valid) {
+				console.warn(`Can't open ${file.name}:`, result.errors);
+				alert(i18n.t("replay.invalid", { file: file.name }));
+				return;
+			}
+			this.watchReplay(result.recording);
+		};
+		reader.onerror = () => {
+			console.error(`Failed to read ${file.name}:`, reader.error);
+			alert(i18n.t("replay.invalid", { file: file.name }));
+		};
+		reader.readAsText(file);
+	}
+
+	// One row per action with a button per binding slot
+	renderBindings() {
+		this.bindingList.innerHTML = "";
+
+		const conflicts = inputMap.findConflicts();
+		const conflictKeys = new Set(conflicts.map((conflict) => conflict.key));
+
+		for (const action of Object.keys(defaultKeyBindings)) {
+			const row = document.createElement("div");
+			row.className = "keybinding-row";
+
+			const name = document.createElement("span");
+			name.className = "keybinding-label";
+			name.textContent = inputMap.getActionLabel(action);
+			row.appendChild(name);
+
+			const keys = inputMap.bindings[action] || [];
+			for (let slot = 0; slot < inputMap.slotsPerAction; slot++) {
+				const key = keys[slot];
+				const button = document.createElement("button");
+				button.className = "keybinding-key";
+
+				const listening =
+					this.listeningFor &&
+					this.listeningFor.action === action &&
+					this.listeningFor.slot === slot;
+
+				if (listening) {
+					button.textContent = i18n.t("settings.pressKey");
+					button.classList.add("listening");
+				} else if (key) {
+					button.textContent = inputMap.getKeyLabel(key);
+					if (conflictKeys.has(inputMap.normalizeKey(key))) {
+						button.classList.add("conflict");
+					}
+				} else {
+					button.textContent = "-";
+					button.classList.add("empty");
+				}
+
+				button.addEventListener("click", () => {
+					// Clicking the waiting button again cancels
+					this.listeningFor = listening ? null : { action, slot };
+					this.renderBindings();
+				});
+				row.appendChild(button);
+			}
+
+			this.bindingList.appendChild(row);
+		}
+
+		this.showConflicts(conflicts);
+	}
+
+	bindListenedKey(key) {
+		const { action, slot } = this.listeningFor;
+		this.listeningFor = null;
+
+		// Backspace clears the slot instead of binding it
+		inputMap.setBinding(action, slot, key === "Backspace" ? null : key);
+		this.renderBindings();
+	}
+
+	showConflicts(conflicts) {
+		this.conflictsElement.innerHTML = "";
+
+		for (const conflict of conflicts) {
+			const actions = conflict.actions
+				.map((action) => inputMap.getActionLabel(action))
+				.join(", ");
+			const line = document.createElement("div");
+			line.textContent = i18n.t("settings.conflict", {
+				key: inputMap.getKeyLabel(conflict.key),
+				actions,
+			});
+			this.conflictsElement.appendChild(line);
+		}
+	}
+
+	// Keyboard help on the main menu, from the current bindings
+	updateControlsInfo() {
+		if (isTouchDevice()) {
+			return;
+		}
+
+		const controlsInfo = this.menuScreen.querySelector(".menu-controls-info");
+		if (!controlsInfo) {
+			return;
+		}
+
+		const moveKeys = ["moveUp", "moveLeft", "moveDown", "moveRight"]
+			.map((action) => inputMap.getLabel(action))
+			.join(" ");
+		controlsInfo.innerHTML = `
+			<div style="margin-bottom: 5px;">${i18n.t("controls.title")}</div>
+			<div>${i18n.t("controls.move", { keys: moveKeys })}</div>
+			<div>${i18n.t("controls.jump", { keys: inputMap.getLabel("jump") })}</div>
+			<div>${i18n.t("controls.pause", { keys: inputMap.getLabel("pause") })}</div>
+			<div>${i18n.t("controls.minimap", { keys: inputMap.getLabel("minimap") })}</div>
+			<div>${i18n.t("controls.gamepad")}</div>
+		`;
+		this.startButton.textContent = i18n.t("menu.start", {
+			key: inputMap.getLabel("confirm"),
+		});
+	}
+
+	showControlsInfo() {
+		if (isTouchDevice()) {
+			this.showTouchInstructions();
+		} else {
+			this.updateControlsInfo();
+		}
+	}
+
+	// One button per language, in its own name
+	setupLanguagePicker() {
+		if (!this.languagePicker) {
+			return;
+		}
+
+		for (const [locale, { name }] of Object.entries(i18n.locales)) {
+			const button = document.createElement("button");
+			button.className = "menu-button language-button";
+			button.dataset.locale = locale;
+			button.lang = locale;
+			button.textContent = name;
+			button.addEventListener("click", () => {
+				i18n.setLocale(locale);
+			});
+			this.languagePicker.appendChild(button);
+		}
+		this.showSelectedLanguage();
+
+		i18n.onChange(() => this.handleLanguageChange());
+	}
+
+	showSelectedLanguage() {
+		for (const button of this.languagePicker.querySelectorAll(
+			".language-button",
+		)) {
+			button.classList.toggle("selected", button.dataset.locale === i18n.locale);
+		}
+	}
+
+	// One button per difficulty; Custom also opens its settings
+	setupDifficultyPicker() {
+		for (const name of difficultySettings.getNames()) {
+			const button = document.createElement("button");
+			button.className = "menu-button difficulty-button";
+			button.dataset.difficulty = name;
+			button.addEventListener("click", () => {
+				difficultySettings.select(name);
+				this.showSelectedDifficulty();
+				if (name === "custom") {
+					this.showCustomDifficultyScreen();
+				}
+			});
+			this.difficultyPicker.appendChild(button);
+		}
+		this.showSelectedDifficulty();
+	}
+
+	showSelectedDifficulty() {
+		for (const button of this.difficultyPicker.querySelectorAll(
+			".difficulty-button",
+		)) {
+			const name = button.dataset.difficulty;
+			button.textContent = i18n.t(`difficulty.${name}`);
+			button.classList.toggle("selected", name === difficultySettings.name);
+		}
+	}
+
+	showCustomDifficultyScreen() {
+		this.hideMenuScreen();
+		this.renderCustomDifficulty();
+		this.customDifficultyScreen.style.display = "flex";
+	}
+
+	hideCustomDifficultyScreen() {
+		this.customDifficultyScreen.style.display = "none";
+		this.showMenuScreen();
+	}
+
+	// A slider per custom value, then one per obstacle type for the mix
+	renderCustomDifficulty() {
+		this.customDifficultyFields.innerHTML = "";
+		const custom = difficultySettings.custom;
+		const mix = custom.obstacleMix || this.getEvenMix();
+
+		const addSlider = (label, limits, value, format, onInput) => {
+			const row = document.createElement("label");
+			row.className = "custom-difficulty-row";
+
+			const name = document.createElement("span");
+			name.textContent = label;
+
+			const input = document.createElement("input");
+			input.type = "range";
+			input.min = limits.min;
+			input.max = limits.max;
+			input.step = limits.step;
+			input.value = value;
+
+			const shown = document.createElement("span");
+			shown.className = "custom-value";
+			shown.textContent = format(value);
+
+			input.addEventListener("input", () => {
+				shown.textContent = format(Number(input.value));
+				onInput(Number(input.value));
+			});
+			row.append(name, input, shown);
+			this.customDifficultyFields.appendChild(row);
+		};
+
+		const percent = (value) => `${Math.round(value * 100)}%`;
+		const formats = {
+			level: String,
+			stageHeal: String,
+			viewRadius: (value) => (value > 0 ? `+${value}` : String(value)),
+		};
+		for (const [key, limits] of Object.entries(customDifficultyLimits)) {
+			if (key === "mix") {
+				continue;
+			}
+			addSlider(
+				i18n.t(`custom.${key}`),
+				limits,
+				custom[key],
+				formats[key] || percent,
+				(value) => {
+					difficultySettings.setCustom({
+						...difficultySettings.custom,
+						[key]: value,
+					});
+				},
+			);
+		}
+
+		const heading = document.createElement("div");
+		heading.className = "panel-heading";
+		heading.textContent = i18n.t("custom.mix");
+		this.customDifficultyFields.appendChild(heading);
+
+		for (const type of Object.keys(obstacleTypeInfo)) {
+			addSlider(
+				i18n.t(`obstacle.${type}`),
+				customDifficultyLimits.mix,
+				mix[type],
+				String,
+				(value) => {
+					const current = difficultySettings.custom;
+					difficultySettings.setCustom({
+						...current,
+						obstacleMix: {
+							...(current.obstacleMix || mix),
+							[type]: value,
+						},
+					});
+				},
+			);
+		}
+	}
+
+	getEvenMix() {
+		return Object.fromEntries(
+			Object.keys(obstacleTypeInfo).map((type) => [type, 1]),
+		);
+	}
+
+	// Text built in code isn't covered by data-i18n, redo it
+	handleLanguageChange() {
+		this.showSelectedLanguage();
+		this.showSelectedDifficulty();
+		this.showControlsInfo();
+		this.showGamepadStatus();
+
+		if (this.settingsScreen.style.display !== "none") {
+			this.renderBindings();
+		}
+		if (this.knowledgeScreen.style.display !== "none") {
+			this.renderKnowledgeLog();
+		}
+		if (this.statsScreen.style.display !== "none") {
+			this.renderStats();
+		}
+		if (this.leaderboardScreen.style.display !== "none") {
+			this.renderLeaderboard();
+		}
+		if (this.timeTrialScreen.style.display !== "none") {
+			this.renderTimeTrials();
+		}
+		if (this.customDifficultyScreen.style.display !== "none") {
+			this.renderCustomDifficulty();
+		}
+		if (this.savesScreen.style.display !== "none") {
+			this.renderSaveSlots();
+			this.renderReplays();
+			this.showImportChoice(this.pendingImport);
+		}
+		if (this.autosavePrompt.style.display !== "none") {
+			this.checkForSavedGame();
+		}
+	}
+
+	getOpenPanel() {
+		return (
+			this.panelScreens.find((screen) => screen.style.display !== "none") ||
+			null
+		);
+	}
+
+	// The main menu or one of its panels is showing
+	isOpen() {
+		return this.menuScreen.style.display !== "none" || this.getOpenPanel() !== null;
+	}
+
+	// Controller status and stick deadzone, only shown with a pad plugged in
+	setupGamepadSettings() {
+		const gamepad = this.game ? this.game.gamepadControls : null;
+		if (!gamepad || !this.deadzoneInput) {
+			return;
+		}
+
+		const showDeadzone = () => {
+			const percent = Math.round(gamepad.deadzone * 100);
+			this.deadzoneInput.value = percent;
+			this.deadzoneValue.textContent = `${percent}%`;
+		};
+		showDeadzone();
+
+		this.deadzoneInput.addEventListener("input", () => {
+			gamepad.setDeadzone(Number(this.deadzoneInput.value) / 100);
+			showDeadzone();
+		});
+
+		gamepad.onConnectionChange = () => this.showGamepadStatus();
+		this.showGamepadStatus();
+	}
+
+	showGamepadStatus() {
+		const gamepad = this.game ? this.game.gamepadControls : null;
+		const pad = gamepad ? gamepad.getActiveGamepad() : null;
+		this.gamepadStatus.textContent = pad
+			? i18n.t("settings.controller", { id: pad.id })
+			: i18n.t("settings.noController");
+	}
+
+	// Visible menu buttons of the open screen, in order, for gamepad navigation
+	getNavigableButtons() {
+		const screen = this.getOpenPanel() || this.menuScreen;
+		return Array.from(screen.querySelectorAll(".menu-button")).filter(
+			(button) => button.style.display !== "none",
+		);
+	}
+
+	/**
+	 * @param {Object} options - Passed on to Game.startNewGame(), e.g. for a
+	 *   time trial
+	 */
+	async startGame(options = {}) {
 		if (typeof audioManager !== "undefined" && !audioManager.initialized) {
 			try {
 				audioManager.init();
@@ -44,8 +1408,11 @@ class MenuSystem {
 		try {
 			this.hideMenuScreen();
 
+			// Artifacts and popups need the skill catalog
+			await skillCatalog.ready;
+
 			if (this.game) {
-				this.game.startNewGame();
+				this.game.startNewGame(options);
 			} else {
 				console.error("Game instance not available");
 				this.handleLoadingError();
@@ -68,7 +1435,8 @@ class MenuSystem {
 		}
 	}
 
-	continueGame() {
+	// Resume the saved game, or the given snapshot (from a save slot)
+	async continueGame(savedState) {
 		if (typeof audioManager !== "undefined" && !audioManager.initialized) {
 			try {
 				audioManager.init();
@@ -80,9 +1448,11 @@ class MenuSystem {
 
 		try {
 			this.hideMenuScreen();
-			
+
+			await skillCatalog.ready;
+
 			if (this.game) {
-				this.game.loadSavedGame();
+				this.game.loadSavedGame(savedState);
 			} else {
 				console.error("Game instance not available");
 				this.handleLoadingError();
@@ -103,11 +1473,44 @@ class MenuSystem {
 		} else {
 			this.continueButton.style.display = "none";
 		}
+
+		// Left over from a game that was interrupted (tab closed, crash)
+		this.showAutosavePrompt(this.game ? this.game.loadAutosave() : null);
+	}
+
+	showAutosavePrompt(autosave) {
+		const display = autosave ? "" : "none";
+		this.autosavePrompt.style.display = autosave ? "flex" : "none";
+		// Hidden buttons must also be skipped by gamepad navigation
+		this.resumeAutosaveButton.style.display = display;
+		this.discardAutosaveButton.style.display = display;
+
+		if (autosave) {
+			this.autosaveInfo.textContent = i18n.t("menu.autosaveFound", {
+				details: this.describeSave(autosave),
+				date: this.formatSaveDate(autosave.savedAt),
+			});
+		}
+	}
+
+	// Phones and tablets have no Enter key or arrows
+	showTouchInstructions() {
+		this.startButton.textContent = i18n.t("menu.tapToStart");
+
+		const controlsInfo = this.menuScreen.querySelector(".menu-controls-info");
+		if (controlsInfo) {
+			controlsInfo.innerHTML = `
+				<div style="margin-bottom: 5px;">${i18n.t("controls.title")}</div>
+				<div>${i18n.t("controls.touchMove")}</div>
+				<div>${i18n.t("controls.touchJump")}</div>
+				<div>${i18n.t("controls.touchPause")}</div>
+			`;
+		}
 	}
 
 	handleLoadingError() {
 		this.showMenuScreen();
-		alert("There was an error loading the game. Please try again.");
+		alert(i18n.t("menu.loadError"));
 	}
 }
 
@@ -0,0 +1,204 @@
+/**
+ * Minimap overlay
+ * Draws a small map of the explored maze in the corner of the screen with
+ * the player, discovered artifacts and (once unlocked) the exit
+ */
+class Minimap {
+	constructor() {
+		this.visible = true;
+
+		// Width of the minimap in pixels for each size step
+		this.sizes = [120, 180, 260];
+		this.sizeIndex = 1;
+
+		this.margin = 10;
+
+		// The explored maze only changes when visibility does, so it is
+		// drawn once into its own canvas and reused between frames
+		this.layer = document.createElement("canvas");
+		this.layerCtx = this.layer.getContext("2d");
+		this.layerMaze = null;
+		this.layerVersion = -1;
+		this.layerWidth = 0;
+	}
+
+	toggle() {
+		this.visible = !this.visible;
+	}
+
+	cycleSize(step = 1) {
+		const count = this.sizes.length;
+		this.sizeIndex = (this.sizeIndex + step + count) % count;
+	}
+
+	getScale(maze) {
+		return this.sizes[this.sizeIndex] / (maze.cols * maze.cellSize);
+	}
+
+	updateLayer(maze, visibility) {
+		const targetWidth = this.sizes[this.sizeIndex];
+		const version = visibility ? visibility.version : 0;
+
+		if (
+			this.layerMaze === maze &&
+			this.layerVersion === version &&
+			this.layerWidth === targetWidth
+		) {
+			return;
+		}
+
+		this.layerMaze = maze;
+		this.layerVersion = version;
+		this.layerWidth = targetWidth;
+
+		const cell = targetWidth / maze.cols;
+		this.layer.width = Math.ceil(targetWidth);
+		this.layer.height = Math.ceil(cell * maze.rows);
+
+		const ctx = this.layerCtx;
+		ctx.clearRect(0, 0, this.layer.width, this.layer.height);
+
+		// Explored floor
+		ctx.fillStyle = "rgba(0, 160, 213, 0.35)";
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				if (!visibility || visibility.isExplored(x, y)) {
+					ctx.fillRect(x * cell, y * cell, cell, cell);
+				}
+			}
+		}
+
+		// Walls of explored cells (skipped when cells are too small to read)
+		if (cell >= 3) {
+			ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			for (let y = 0; y < maze.rows; y++) {
+				for (let x = 0; x < maze.cols; x++) {
+					if (visibility && !visibility.isExplored(x, y)) {
+						continue;
+					}
+					const walls = maze.grid[y][x].walls;
+					const left = x * cell;
+					const top = y * cell;
+					if (walls[0]) {
+						ctx.moveTo(left, top);
+						ctx.lineTo(left + cell, top);
+					}
+					if (walls[1]) {
+						ctx.moveTo(left + cell, top);
+						ctx.lineTo(left + cell, top + cell);
+					}
+					if (walls[2]) {
+						ctx.moveTo(left, top + cell);
+						ctx.lineTo(left + cell, top + cell);
+					}
+					if (walls[3]) {
+						ctx.moveTo(left, top);
+						ctx.lineTo(left, top + cell);
+					}
+				}
+			}
+			ctx.stroke();
+		}
+	}
+
+	/**
+	 * Render in screen space (after the camera transform is restored)
+	 * @param {Object} state - { maze, player, artifacts, visibility, exitUnlocked, viewport, screenWidth, screenHeight, offsetY }
+	 */
+	render(ctx, state) {
+		if (!this.visible || !state.maze || !state.player) {
+			return;
+		}
+
+		const { maze, player, artifacts, visibility, viewport } = state;
+
+		this.updateLayer(maze, visibility);
+
+		const scale = this.getScale(maze);
+		const mapWidth = this.layer.width;
+		const mapHeight = this.layer.height;
+		const mapX = state.screenWidth - mapWidth - this.margin;
+		// offsetY lifts the map clear of on-screen touch buttons
+		const mapY =
+			state.screenHeight - mapHeight - this.margin - (state.offsetY || 0);
+
+		ctx.save();
+
+		// Panel background
+		ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+		ctx.strokeStyle = "#00ffff";
+		ctx.lineWidth = 1;
+		drawRoundedRect(
+			ctx,
+			mapX - 4,
+			mapY - 4,
+			mapWidth + 8,
+			mapHeight + 8,
+			4,
+			true,
+			true,
+		);
+
+		ctx.drawImage(this.layer, mapX, mapY);
+
+		// Camera view rectangle
+		if (viewport) {
+			ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+			ctx.strokeRect(
+				mapX + Math.max(0, viewport.x) * scale,
+				mapY + Math.max(0, viewport.y) * scale,
+				Math.min(viewport.width * scale, mapWidth),
+				Math.min(viewport.height * scale, mapHeight),
+			);
+		}
+
+		const dotSize = Math.max(2, maze.cellSize * scale * 0.6);
+
+		// Artifacts, only once discovered
+		for (const artifact of artifacts) {
+			if (!artifact.discovered) {
+				continue;
+			}
+			const ax = mapX + artifact.x * scale;
+			const ay = mapY + artifact.y * scale;
+			ctx.beginPath();
+			ctx.arc(ax, ay, dotSize / 2, 0, Math.PI * 2);
+			if (artifact.collected) {
+				ctx.strokeStyle = "rgba(200, 200, 200, 0.6)";
+				ctx.stroke();
+			} else {
+				ctx.fillStyle = artifact.color;
+				ctx.fill();
+			}
+		}
+
+		// Exit, once all artifacts are collected
+		if (state.exitUnlocked) {
+			const blink = Math.floor(Date.now() / 400) % 2 === 0;
+			ctx.fillStyle = blink ? "#00FFAA" : "#007755";
+			const size = Math.max(dotSize, 4);
+			ctx.fillRect(
+				mapX + (maze.exit.x + 0.5) * maze.cellSize * scale - size / 2,
+				mapY + (maze.exit.y + 0.5) * maze.cellSize * scale - size / 2,
+				size,
+				size,
+			);
+		}
+
+		// Player
+		ctx.fillStyle = "#E5BE01";
+		ctx.beginPath();
+		ctx.arc(
+			mapX + player.x * scale,
+			mapY + player.y * scale,
+			Math.max(2.5, dotSize / 2),
+			0,
+			Math.PI * 2,
+		);
+		ctx.fill();
+
+		ctx.restore();
+	}
+}
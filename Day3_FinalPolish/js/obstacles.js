@@ -2,8 +2,19 @@
  * Obstacles system
  * Handles traps, hazards, and other obstacles in the maze
  */
+
+// Per-type height metadata. Clearable obstacles can't hit a player whose
+// jump height is at least the obstacle's height; the rest hit at any height.
+const obstacleTypeInfo = {
+	laser: { clearable: true, height: 8 }, // Low sweeping beam near the floor
+	tallLaser: { clearable: false, height: Infinity }, // Full-height beam
+	spike: { clearable: true, height: 10 },
+	slowField: { clearable: false, height: Infinity }, // Slows you in the air too
+};
+
 class Obstacle {
-	constructor(x, y, type, cellSize, difficulty = 1) {
+	constructor(x, y, type, cellSize, difficulty = 1, random = Math.random) {
+		this.random = random;
 		this.x = x;
 		this.y = y;
 		this.type = type;
@@ -15,6 +26,12 @@ class Obstacle {
 
 		this.frameCount = 0;
 		this.active = true;
+		this.discovered = false; // Hidden by fog of war until first seen
+
+		const info = obstacleTypeInfo[type] || { clearable: false, height: Infinity };
+		this.clearable = info.clearable;
+		this.obstacleHeight = info.height;
+
 		this.setupObstacleType();
 	}
 
@@ -24,16 +41,24 @@ class Obstacle {
 				this.color = "#ff0000";
 				this.damageAmount = 20;
 				this.pulseRate = 0.1;
-				this.laserAngle = Math.random() * Math.PI;
+				this.laserAngle = this.random() * Math.PI;
 				this.laserLength = this.cellSize * 2;
 				break;
 
+			case "tallLaser":
+				this.color = "#ff0066";
+				this.damageAmount = 25;
+				this.pulseRate = 0.06; // Slower than low lasers, so it can be outrun
+				this.laserAngle = this.random() * Math.PI;
+				this.laserLength = this.cellSize * 1.5;
+				break;
+
 			case "spike":
 				this.color = "#ff9900";
 				this.damageAmount = 15;
 				this.spikesOut = false;
 				this.cycleTime = 120; // Frames for one complete cycle
-				this.cyclePosition = Math.floor(Math.random() * this.cycleTime); // Random start position
+				this.cyclePosition = Math.floor(this.random() * this.cycleTime); // Random start position
 				break;
 
 			case "slowField":
@@ -54,6 +79,7 @@ class Obstacle {
 
 		switch (this.type) {
 			case "laser":
+			case "tallLaser":
 				// Rotate laser
 				this.laserAngle += this.pulseRate;
 				if (this.laserAngle > Math.PI * 2) {
@@ -79,12 +105,51 @@ class Obstacle {
 		}
 	}
 
-	checkCollision(playerBox) {
+	// Position, type and where it is in its animation cycle
+	getSnapshot() {
+		const snapshot = {
+			type: this.type,
+			x: this.x,
+			y: this.y,
+			discovered: this.discovered,
+			active: this.active,
+			frameCount: this.frameCount,
+		};
+		for (const key of Obstacle.animationState) {
+			if (this[key] !== undefined) {
+				snapshot[key] = this[key];
+			}
+		}
+		return snapshot;
+	}
+
+	restoreSnapshot(snapshot) {
+		this.discovered = Boolean(snapshot.discovered);
+		this.active = snapshot.active !== false;
+		this.frameCount = snapshot.frameCount || 0;
+		for (const key of Obstacle.animationState) {
+			if (snapshot[key] !== undefined) {
+				this[key] = snapshot[key];
+			}
+		}
+	}
+
+	// Whether a player at the given jump height passes over this obstacle
+	isClearedAt(jumpHeight) {
+		return this.clearable && jumpHeight >= this.obstacleHeight;
+	}
+
+	checkCollision(playerBox, jumpHeight = 0) {
 		let collides = false;
 
+		if (this.isClearedAt(jumpHeight)) {
+			return false;
+		}
+
 		try {
 			switch (this.type) {
-				case "laser": {
+				case "laser":
+				case "tallLaser": {
 					// Check if the laser line intersects with the player box
 					const laserEndX =
 						this.x + Math.cos(this.laserAngle) * this.laserLength;
@@ -222,6 +287,7 @@ class Obstacle {
 
 		switch (this.type) {
 			case "laser":
+			case "tallLaser":
 				this.renderLaser(ctx);
 				break;
 
@@ -256,6 +322,23 @@ class Obstacle {
 		ctx.setLineDash([5, 5]);
 		ctx.globalAlpha = 0.7 + Math.sin(this.frameCount * 0.2) * 0.3;
 
+		// Tall lasers are a solid curtain of light, extruded upward to show
+		// they can't be jumped; low lasers stay a dashed line on the floor
+		if (!this.clearable) {
+			const curtainHeight = this.cellSize * 0.5;
+			ctx.setLineDash([]);
+			ctx.fillStyle = this.color;
+			ctx.globalAlpha = 0.25;
+			ctx.beginPath();
+			ctx.moveTo(this.x, this.y);
+			ctx.lineTo(endX, endY);
+			ctx.lineTo(endX, endY - curtainHeight);
+			ctx.lineTo(this.x, this.y - curtainHeight);
+			ctx.closePath();
+			ctx.fill();
+			ctx.globalAlpha = 0.7 + Math.sin(this.frameCount * 0.2) * 0.3;
+		}
+
 		ctx.beginPath();
 		ctx.moveTo(this.x, this.y);
 		ctx.lineTo(endX, endY);
@@ -343,29 +426,87 @@ class Obstacle {
 	}
 }
 
+// Per-type fields that change as an obstacle animates
+Obstacle.animationState = [
+	"laserAngle",
+	"spikesOut",
+	"cyclePosition",
+	"fieldRadius",
+];
+
 class ObstacleManager {
 	constructor() {
 		this.obstacles = [];
 	}
 
-	generateObstacles(maze, cellSize, count, difficulty) {
+	/**
+	 * Place obstacles on random empty cells
+	 * @param {Object} mix - Relative chance per type, null for even odds
+	 */
+	generateObstacles(
+		maze,
+		cellSize,
+		count,
+		difficulty,
+		random = maze.random,
+		mix = null,
+	) {
 		this.obstacles = [];
-		const obstacleTypes = ["laser", "spike", "slowField"];
+		const obstacleTypes = Object.keys(obstacleTypeInfo);
 
 		for (let i = 0; i < count; i++) {
 			const cell = maze.getRandomEmptyCell();
-			const type =
-				obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+			const type = mix
+				? this.pickWeightedType(mix, random)
+				: obstacleTypes[Math.floor(random() * obstacleTypes.length)];
 
 			// Convert grid coordinates to pixel coordinates (center of the cell)
 			const x = (cell.x + 0.5) * cellSize;
 			const y = (cell.y + 0.5) * cellSize;
-			const obstacle = new Obstacle(x, y, type, cellSize, difficulty);
+			const obstacle = new Obstacle(
+				x,
+				y,
+				type,
+				cellSize,
+				difficulty,
+				random,
+			);
 
 			this.obstacles.push(obstacle);
 		}
 	}
 
+	pickWeightedType(mix, random) {
+		const types = Object.keys(obstacleTypeInfo).filter(
+			(type) => mix[type] > 0,
+		);
+		const total = types.reduce((sum, type) => sum + mix[type], 0);
+		let roll = random() * total;
+		for (const type of types) {
+			roll -= mix[type];
+			if (roll < 0) {
+				return type;
+			}
+		}
+		return types[types.length - 1];
+	}
+
+	// Recreate saved obstacles (see Obstacle.getSnapshot())
+	restoreObstacles(snapshots, cellSize, difficulty, random = Math.random) {
+		this.obstacles = snapshots.map((snapshot) => {
+			const obstacle = new Obstacle(
+				snapshot.x,
+				snapshot.y,
+				snapshot.type,
+				cellSize,
+				difficulty,
+				random,
+			);
+			obstacle.restoreSnapshot(snapshot);
+			return obstacle;
+		});
+	}
+
 	update() {
 		for (const obstacle of this.obstacles) {
 			obstacle.update();
@@ -374,16 +515,29 @@ class ObstacleManager {
 
 	checkCollisions(player) {
 		for (const obstacle of this.obstacles) {
-			if (obstacle.checkCollision(player.getCollisionBox())) {
+			if (
+				obstacle.checkCollision(player.getCollisionBox(), player.jumpHeight)
+			) {
 				return obstacle;
 			}
 		}
 		return null;
 	}
 
+	// Jump height needed to clear every clearable obstacle type
+	static getClearanceHeight() {
+		return Math.max(
+			...Object.values(obstacleTypeInfo)
+				.filter((info) => info.clearable)
+				.map((info) => info.height),
+		);
+	}
+
 	render(ctx) {
 		for (const obstacle of this.obstacles) {
-			obstacle.render(ctx);
+			if (obstacle.discovered) {
+				obstacle.render(ctx);
+			}
 		}
 	}
 }
@@ -3,10 +3,10 @@
  *  responsible for handling player movement and collision detection
  *  @param {Maze} maze - The maze object
  *  @param {number} cellSize - The size of the cells in the maze
+ *  @param {Object} startCell - Grid cell to spawn in, random (from the maze's seeded source) if omitted
  */
 class Player {
-	constructor(maze, cellSize) {
-		const startCell = maze.getRandomEmptyCell();
+	constructor(maze, cellSize, startCell = maze.getRandomEmptyCell()) {
 
 		// Convert grid coordinates to pixel coordinates (center of the cell)
 		this.x = (startCell.x + 0.5) * cellSize;
@@ -26,6 +26,8 @@ class Player {
 		this.maxJumpHeight = 20;
 		this.jumpSpeed = 2;
 		this.gravity = 0.5;
+		// Jump height that clears every clearable obstacle (set by the game)
+		this.clearanceHeight = this.maxJumpHeight;
 
 		this.maxHealth = 100;
 		this.health = this.maxHealth;
@@ -78,79 +80,134 @@ class Player {
 			space: false,
 		};
 
-		window.addEventListener("keydown", (e) => {
-			this.handleKeyDown(e);
-		});
+		// Movement from other devices (touch, gamepad), merged with the
+		// keyboard every frame. See setInput()
+		this.inputSources = {};
+		// A jump began since the last frame (recorded for replays)
+		this.jumpStarted = false;
+		// Set while a replay moves the player, live keys are ignored
+		this.inputLocked = false;
 
-		window.addEventListener("keyup", (e) => {
+		// Kept to remove them again, see destroy()
+		this.keyDownHandler = (e) => {
+			this.handleKeyDown(e);
+		};
+		this.keyUpHandler = (e) => {
 			this.handleKeyUp(e);
-		});
+		};
+		window.addEventListener("keydown", this.keyDownHandler);
+		window.addEventListener("keyup", this.keyUpHandler);
+	}
+
+	// Stop listening to the keyboard, once the game replaces this player
+	destroy() {
+		window.removeEventListener("keydown", this.keyDownHandler);
+		window.removeEventListener("keyup", this.keyUpHandler);
 	}
 
 	handleKeyDown(e) {
-		switch (e.key) {
-			case "ArrowUp":
-				this.keys.up = true;
-				e.preventDefault();
-				break;
-			case "ArrowDown":
-				this.keys.down = true;
-				e.preventDefault();
-				break;
-			case "ArrowLeft":
-				this.keys.left = true;
-				e.preventDefault();
-				break;
-			case "ArrowRight":
-				this.keys.right = true;
-				e.preventDefault();
-				break;
-			case " ": // Spacebar
-				this.keys.space = true;
-				if (!this.isJumping) {
-					this.isJumping = true;
-					// Play jump sound if audio manager is available
-					if (typeof audioManager !== "undefined") {
-						audioManager.playJumpSound();
-					}
-				}
-				e.preventDefault();
-				break;
+		if (isTextEntry(e.target) || this.inputLocked) {
+			return;
+		}
 
-			case "d":
-				this.debug.enabled = !this.debug.enabled;
-				console.log(
-					`Debug mode: ${this.debug.enabled ? "enabled" : "disabled"}`,
-				);
-				break;
+		const movement = this.getMovementKey(e.key);
+		if (movement) {
+			this.keys[movement] = true;
+			e.preventDefault();
+		}
+
+		if (inputMap.matches("jump", e.key)) {
+			this.keys.space = true;
+			this.startJump();
+			e.preventDefault();
 		}
 	}
 
 	handleKeyUp(e) {
-		switch (e.key) {
-			case "ArrowUp":
-			case "w":
-				this.keys.up = false;
-				break;
-			case "ArrowDown":
-			case "s":
-				this.keys.down = false;
-				break;
-			case "ArrowLeft":
-			case "a":
-				this.keys.left = false;
-				break;
-			case "ArrowRight":
-			case "d":
-				this.keys.right = false;
-				break;
-			case " ": // Spacebar
-				this.keys.space = false;
-				break;
+		const movement = this.getMovementKey(e.key);
+		if (movement) {
+			this.keys[movement] = false;
+		}
+
+		if (inputMap.matches("jump", e.key)) {
+			this.keys.space = false;
 		}
 	}
 
-	update() {
+	// Which entry of this.keys a keyboard key moves, per the input map
+	getMovementKey(key) {
+		const directions = {
+			moveUp: "up",
+			moveDown: "down",
+			moveLeft: "left",
+			moveRight: "right",
+		};
+		for (const [action, direction] of Object.entries(directions)) {
+			if (inputMap.matches(action, key)) {
+				return direction;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Feed movement from a non-keyboard input source
+	 * @param {string} source - Source name, e.g. "touch" or "gamepad"
+	 * @param {Object} state - { x, y } in -1..1 (analog values move slower) and jump
+	 */
+	setInput(source, state) {
+		const previous = this.inputSources[source];
+		if (state.jump && !(previous && previous.jump)) {
+			this.startJump();
+		}
+
+		this.inputSources[source] = {
+			x: Math.max(-1, Math.min(1, state.x || 0)),
+			y: Math.max(-1, Math.min(1, state.y || 0)),
+			jump: Boolean(state.jump),
+		};
+	}
+
+	clearInput(source) {
+		delete this.inputSources[source];
+	}
+
+	// Keyboard and every other input source combined into one axis pair
+	getInputState() {
+		let x = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
+		let y = (this.keys.down ? 1 : 0) - (this.keys.up ? 1 : 0);
+		let jump = this.keys.space;
+
+		for (const source of Object.values(this.inputSources)) {
+			x += source.x;
+			y += source.y;
+			jump = jump || source.jump;
+		}
+
+		return {
+			x: Math.max(-1, Math.min(1, x)),
+			y: Math.max(-1, Math.min(1, y)),
+			jump,
+		};
+	}
+
+	// Shared by every input source; holding jump makes it go higher
+	startJump(playSound = true) {
+		if (!this.isJumping) {
+			this.isJumping = true;
+			this.jumpStarted = true;
+			// Play jump sound if audio manager is available
+			if (playSound && typeof audioManager !== "undefined") {
+				audioManager.playJumpSound();
+			}
+		}
+	}
+
+	/**
+	 * @param {Object} input - { x, y, jump } to move with, by default the
+	 *   live input (see getInputState)
+	 */
+	update(input = this.getInputState()) {
 		// If player is dead, don't process movement or effects
 		if (this.isDead) {
 			// Just update particles for death animation
@@ -165,23 +222,9 @@ class Player {
 		this.pulseValue = Math.sin(this.frameCount * 0.1) * 0.2 + 0.8;
 		this.updateEffects();
 
-		// Reset velocity
-		this.vx = 0;
-		this.vy = 0;
-
-		// Apply movement based on key states
-		if (this.keys.up) {
-			this.vy = -this.speed;
-		}
-		if (this.keys.down) {
-			this.vy = this.speed;
-		}
-		if (this.keys.left) {
-			this.vx = -this.speed;
-		}
-		if (this.keys.right) {
-			this.vx = this.speed;
-		}
+		// Apply movement based on the combined input state
+		this.vx = input.x * this.speed;
+		this.vy = input.y * this.speed;
 
 		// Apply slow effect if active
 		if (this.effects.slowed.active) {
@@ -191,7 +234,7 @@ class Player {
 
 		// Handle jumping
 		if (this.isJumping) {
-			if (this.jumpHeight < this.maxJumpHeight && this.keys.space) {
+			if (this.jumpHeight < this.maxJumpHeight && input.jump) {
 				this.jumpHeight += this.jumpSpeed;
 			} else {
 				this.jumpHeight -= this.gravity;
@@ -210,8 +253,7 @@ class Player {
 			const hasMoved =
 				this.x !== this.debug.lastPosition.x ||
 				this.y !== this.debug.lastPosition.y;
-			const hasInput =
-				this.keys.up || this.keys.down || this.keys.left || this.keys.right;
+			const hasInput = input.x !== 0 || input.y !== 0;
 
 			if (!hasMoved && hasInput) {
 				this.debug.stuckFrames++;
@@ -521,6 +563,36 @@ class Player {
 		}
 	}
 
+	// Position, health, jump and effects; input and particles aren't kept
+	getSnapshot() {
+		return {
+			x: this.x,
+			y: this.y,
+			health: this.health,
+			isJumping: this.isJumping,
+			jumpHeight: this.jumpHeight,
+			invulnerable: this.invulnerable,
+			invulnerableTimer: this.invulnerableTimer,
+			effects: JSON.parse(JSON.stringify(this.effects)),
+		};
+	}
+
+	restoreSnapshot(snapshot) {
+		this.x = snapshot.x;
+		this.y = snapshot.y;
+		this.health = Math.max(0, Math.min(this.maxHealth, snapshot.health));
+		this.isJumping = Boolean(snapshot.isJumping);
+		this.jumpHeight = Math.max(0, snapshot.jumpHeight || 0);
+		this.invulnerable = Boolean(snapshot.invulnerable);
+		this.invulnerableTimer = snapshot.invulnerableTimer || 0;
+		for (const [name, effect] of Object.entries(snapshot.effects || {})) {
+			if (this.effects[name]) {
+				Object.assign(this.effects[name], effect);
+			}
+		}
+		this.debug.lastPosition = { x: this.x, y: this.y };
+	}
+
 	applySlowEffect(factor, duration) {
 		this.effects.slowed.active = true;
 		this.effects.slowed.factor = factor;
@@ -570,10 +642,11 @@ class Player {
 		}
 	}
 
+	// Ground footprint of the player; jump height is checked separately
 	getCollisionBox() {
 		return {
 			x: this.x - this.width / 2,
-			y: this.y - this.height / 2 + this.jumpHeight,
+			y: this.y - this.height / 2,
 			width: this.width,
 			height: this.height,
 		};
@@ -591,19 +664,7 @@ class Player {
 
 		// If player is dead, don't render the player sprite, just particles
 		if (!this.isDead) {
-			// Draw player shadow
-			ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
-			ctx.beginPath();
-			ctx.ellipse(
-				this.x,
-				this.y + this.height / 4,
-				this.width / 2,
-				this.height / 4,
-				0,
-				0,
-				Math.PI * 2,
-			);
-			ctx.fill();
+			this.renderShadow(ctx);
 
 			// Handle invulnerability flashing
 			if (this.invulnerable && Math.floor(this.frameCount / 4) % 2 === 0) {
@@ -707,6 +768,32 @@ class Player {
 		ctx.restore();
 	}
 
+	renderShadow(ctx) {
+		// Shadow shrinks and fades the higher the player jumps
+		const lift = this.jumpHeight / this.maxJumpHeight;
+		const scale = 1 - lift * 0.4;
+
+		ctx.fillStyle = `rgba(0, 0, 0, ${0.3 - lift * 0.15})`;
+		ctx.beginPath();
+		ctx.ellipse(
+			this.x,
+			this.y + this.height / 4,
+			(this.width / 2) * scale,
+			(this.height / 4) * scale,
+			0,
+			0,
+			Math.PI * 2,
+		);
+		ctx.fill();
+
+		// Green ring while high enough to pass over spikes and low lasers
+		if (this.isJumping && this.jumpHeight >= this.clearanceHeight) {
+			ctx.strokeStyle = "rgba(0, 255, 0, 0.7)";
+			ctx.lineWidth = 2;
+			ctx.stroke();
+		}
+	}
+
 	renderHealthBar(ctx) {
 		const barWidth = this.width * 1.2;
 		const barHeight = 4;
@@ -1,6 +1,7 @@
 /**
  * Popup system
- * Handles educational popups after collecting artifacts
+ * Handles educational popups after collecting artifacts, either a fact
+ * about the skill or (in quiz mode) a multiple-choice question
  */
 class PopupManager {
 	constructor() {
@@ -8,87 +9,47 @@ class PopupManager {
 		this.title = document.getElementById("popup-title");
 		this.content = document.getElementById("popup-content");
 		this.button = document.getElementById("popup-button");
+		this.choices = document.getElementById("popup-choices");
 
 		this.isVisible = false;
+		this.isHiding = false; // Fading out, isVisible is still true
 		this.callback = null;
+		// Set while a quiz question is waiting for an answer
+		this.pendingQuiz = null;
 
-		this.educationalContent = {
-			ai: {
-				title: "AI Artifact",
-				content: [
-					"Artificial Intelligence mimics human thinking by recognizing patterns in data. Just like how you learn to recognize faces, AI learns to identify patterns in images, text, or numbers.",
-					"Machine learning is AI's way of improving through practice. When you show an AI thousands of photos labeled 'cat' or 'dog', it learns the differences and can classify new photos correctly.",
-					"Neural networks are inspired by how brain cells connect. Multiple layers of artificial 'neurons' process information, with each layer learning increasingly complex features from simple to sophisticated.",
-					"AI algorithms make decisions by calculating probabilities. They evaluate multiple options and choose the one most likely to achieve the desired outcome based on their training data.",
-				],
-			},
-			cybersecurity: {
-				title: "Cybersecurity Artifact",
-				content: [
-					"Cybersecurity works like a castle's defense system with multiple protective layers. Firewalls act as walls, antivirus as guards, and encryption as secret codes that only authorized people can read.",
-					"Authentication verifies identity through something you know (password), something you have (phone), or something you are (fingerprint). Multi-factor authentication combines these for stronger security.",
-					"Encryption transforms readable information into scrambled code using mathematical algorithms. Only those with the correct 'key' can unscramble and read the original message.",
-					"Threat detection uses pattern recognition to identify suspicious behavior. Just like how you notice when someone acts unusually, security systems flag activities that don't match normal patterns.",
-				],
-			},
-			"machine-learning": {
-				title: "Machine Learning Artifact",
-				content: [
-					"Supervised learning teaches algorithms using labeled examples, like showing a child pictures of animals with their names. The algorithm learns to predict labels for new, unseen data.",
-					"Unsupervised learning finds hidden patterns in data without labels, similar to organizing a messy room by grouping similar items together without being told what categories to use.",
-					"Reinforcement learning trains algorithms through trial and error with rewards and penalties, like teaching someone to play chess by giving points for good moves and deducting for bad ones.",
-					"Feature engineering involves selecting and transforming the most important characteristics of data, like choosing which measurements of a plant (height, leaf color, stem thickness) best predict its species.",
-				],
-			},
-			"data-science": {
-				title: "Data Science Artifact",
-				content: [
-					"Data science follows a systematic process: collect data like ingredients, clean it like washing vegetables, analyze it like following a recipe, and present insights like serving a finished dish.",
-					"Statistical analysis reveals relationships and trends in data through mathematical techniques. Correlation shows if variables move together, while regression predicts one variable based on others.",
-					"Data visualization transforms numbers into visual stories using charts, graphs, and maps. Good visualizations make complex patterns immediately understandable, like turning a spreadsheet into a clear picture.",
-					"Hypothesis testing uses statistical methods to determine if observed patterns are real or just random chance, similar to conducting controlled experiments to prove or disprove theories.",
-				],
-			},
-			iot: {
-				title: "IoT Artifact",
-				content: [
-					"Internet of Things (IoT) connects everyday objects to the internet, giving them the ability to collect and share data. Think of it as adding a voice to previously silent objects.",
-					"Sensors are IoT's 'senses' that detect changes in the environment like temperature, motion, or light. They convert physical phenomena into digital data that computers can process and analyze.",
-					"IoT networks use various communication protocols like WiFi, Bluetooth, or cellular to transmit data. The choice depends on factors like distance, power consumption, and data volume requirements.",
-					"Edge computing processes IoT data locally on devices rather than sending everything to distant servers, reducing delays and improving response times for time-critical applications.",
-				],
-			},
-			blockchain: {
-				title: "Blockchain Artifact",
-				content: [
-					"Blockchain creates an unchangeable digital ledger by linking records together like chains. Each new 'block' contains a mathematical fingerprint of the previous block, making tampering detectable.",
-					"Decentralization distributes data across multiple computers instead of storing it in one central location. This removes single points of failure and reduces the risk of manipulation or censorship.",
-					"Consensus mechanisms ensure all participants agree on the blockchain's current state. Like a group vote, the majority opinion determines which version of the ledger is considered valid.",
-					"Smart contracts are self-executing agreements with terms written in code. They automatically enforce rules and execute transactions when predetermined conditions are met, eliminating intermediaries.",
-				],
-			},
-		};
+		// Titles and facts come from the skill catalog; entries added with
+		// addEducationalContent() take precedence
+		this.educationalContent = {};
 
 		this.init();
 	}
 
 	init() {
 		this.button.addEventListener("click", () => {
-			this.hide();
-
-			// Call the callback function if it exists
-			if (typeof this.callback === "function") {
-				this.callback();
-			}
+			this.dismiss();
 		});
 	}
 
+	// Close the popup and continue the game (button click or gamepad)
+	dismiss() {
+		if (!this.isVisible || this.isHiding || this.pendingQuiz) {
+			return;
+		}
+
+		this.hide();
+
+		// Call the callback function if it exists
+		if (typeof this.callback === "function") {
+			this.callback();
+		}
+	}
+
 	show(artifactType, callback = null) {
 		if (this.isVisible) {
 			return;
 		}
 		this.callback = callback;
-		const content = this.educationalContent[artifactType];
+		const content = this.getEducationalContent(artifactType);
 
 		if (!content) {
 			console.error(
@@ -99,10 +60,118 @@ class PopupManager {
 
 		this.title.textContent = content.title;
 
-		const randomFact =
-			content.content[Math.floor(Math.random() * content.content.length)];
-		this.content.textContent = randomFact;
+		// Unseen facts first, then the ones seen longest ago
+		const fact = knowledgeTracker.pickFact(artifactType, content.content);
+		this.content.textContent = fact;
+		knowledgeTracker.recordFactSeen(artifactType, fact);
 
+		this.clearChoices();
+		this.open();
+	}
+
+	/**
+	 * Ask a multiple-choice question about the skill instead of a fact
+	 * @param {string} artifactType - Skill id
+	 * @param {Function} onAnswer - Called with (correct, question), returns an
+	 *   optional reward message to show (e.g. "+20 health")
+	 * @param {Function} callback - Called when the popup is closed
+	 * @returns {boolean} false if the skill has no questions
+	 */
+	showQuiz(artifactType, onAnswer, callback = null) {
+		if (this.isVisible) {
+			return false;
+		}
+
+		const questions =
+			typeof skillCatalog !== "undefined"
+				? skillCatalog.getQuestions(artifactType)
+				: [];
+		if (questions.length === 0) {
+			console.error(
+				`No quiz questions found for artifact type: ${artifactType}`,
+			);
+			return false;
+		}
+
+		// Previously missed questions come back first
+		const question = knowledgeTracker.pickQuestion(artifactType, questions);
+		this.callback = callback;
+
+		this.title.textContent = i18n.t("quiz.title", {
+			skill: skillCatalog.getShortName(artifactType),
+		});
+		this.content.textContent = question.question;
+
+		this.clearChoices();
+		this.pendingQuiz = { artifactType, question, onAnswer };
+		question.choices.forEach((choice, index) => {
+			const button = document.createElement("button");
+			button.className = "popup-choice";
+			button.textContent = `${String.fromCharCode(65 + index)}. ${choice}`;
+			button.addEventListener("click", () => this.answerQuiz(index));
+			this.choices.appendChild(button);
+		});
+		this.choices.style.display = "flex";
+		this.button.style.display = "none";
+
+		this.open();
+		this.getChoiceButtons()[0].focus();
+		return true;
+	}
+
+	answerQuiz(choiceIndex) {
+		if (!this.pendingQuiz) {
+			return;
+		}
+
+		const { artifactType, question, onAnswer } = this.pendingQuiz;
+		this.pendingQuiz = null;
+
+		const correct = choiceIndex === question.answer;
+		knowledgeTracker.recordAnswer(artifactType, question, correct);
+		const buttons = this.getChoiceButtons();
+		buttons.forEach((button, index) => {
+			button.disabled = true;
+			button.classList.remove("gamepad-focus");
+			if (index === question.answer) {
+				button.classList.add("correct");
+			} else if (index === choiceIndex) {
+				button.classList.add("wrong");
+			}
+		});
+
+		const reward =
+			typeof onAnswer === "function" ? onAnswer(correct, question) : null;
+
+		if (correct) {
+			this.content.textContent = reward
+				? i18n.t("quiz.correctReward", { reward })
+				: i18n.t("quiz.correct");
+		} else {
+			this.content.textContent = i18n.t("quiz.wrong", {
+				explanation: question.explanation,
+			});
+		}
+
+		this.button.style.display = "inline-block";
+		this.button.focus();
+	}
+
+	isQuizPending() {
+		return this.pendingQuiz !== null;
+	}
+
+	getChoiceButtons() {
+		return Array.from(this.choices.querySelectorAll(".popup-choice"));
+	}
+
+	clearChoices() {
+		this.choices.innerHTML = "";
+		this.choices.style.display = "none";
+		this.button.style.display = "inline-block";
+	}
+
+	open() {
 		this.container.style.display = "block";
 		this.isVisible = true;
 
@@ -121,17 +190,36 @@ class PopupManager {
 			return;
 		}
 
+		this.isHiding = true;
 		this.container.style.opacity = "0";
 		this.container.style.transform = "translate(-50%, -40%)";
 
 		setTimeout(() => {
 			this.container.style.display = "none";
 			this.isVisible = false;
+			this.isHiding = false;
 
 			this.container.style.transform = "translate(-50%, -60%)";
 		}, 300);
 	}
 
+	// { title, content } for a skill, or null if there are no facts for it
+	getEducationalContent(artifactType) {
+		if (this.educationalContent[artifactType]) {
+			return this.educationalContent[artifactType];
+		}
+
+		if (typeof skillCatalog === "undefined" || !skillCatalog.has(artifactType)) {
+			return null;
+		}
+
+		const skill = skillCatalog.get(artifactType);
+		if (!Array.isArray(skill.facts) || skill.facts.length === 0) {
+			return null;
+		}
+		return { title: skill.name, content: skill.facts };
+	}
+
 	isPopupVisible() {
 		return this.isVisible;
 	}
@@ -0,0 +1,130 @@
+/**
+ * Player profiles
+ * Keeps the list of local player profiles and which one is active, so
+ * per-player data (knowledge log, ...) is stored under the active profile
+ */
+class ProfileManager {
+	constructor() {
+		this.storageKey = "futureskillsProfiles";
+		this.defaultProfileId = "default";
+		this.data = this.load();
+	}
+
+	load() {
+		const data = {
+			activeId: this.defaultProfileId,
+			profiles: {
+				[this.defaultProfileId]: {
+					id: this.defaultProfileId,
+					name: "Player",
+					createdAt: Date.now(),
+				},
+			},
+		};
+
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && saved.profiles && typeof saved.profiles === "object") {
+				Object.assign(data.profiles, saved.profiles);
+				if (data.profiles[saved.activeId]) {
+					data.activeId = saved.activeId;
+				}
+			}
+		} catch (e) {
+			console.error("Failed to load profiles:", e);
+		}
+
+		return data;
+	}
+
+	save() {
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+		} catch (e) {
+			console.error("Failed to save profiles:", e);
+		}
+	}
+
+	getActiveId() {
+		return this.data.activeId;
+	}
+
+	getActive() {
+		return this.data.profiles[this.data.activeId];
+	}
+
+	// Oldest first
+	list() {
+		return Object.values(this.data.profiles).sort(
+			(a, b) => a.createdAt - b.createdAt,
+		);
+	}
+
+	/**
+	 * Add a profile and make it the active one
+	 * @returns {Object|null} The profile, null if the name is empty
+	 */
+	create(name) {
+		const cleanName = String(name).trim().slice(0, 40);
+		if (!cleanName) {
+			return null;
+		}
+
+		const id = `profile-${Date.now().toString(36)}`;
+		this.data.profiles[id] = { id, name: cleanName, createdAt: Date.now() };
+		this.data.activeId = id;
+		this.save();
+		return this.data.profiles[id];
+	}
+
+	setActive(id) {
+		if (this.data.profiles[id] && this.data.activeId !== id) {
+			this.data.activeId = id;
+			this.save();
+		}
+	}
+
+	setName(name) {
+		const profile = this.getActive();
+		if (name && profile.name !== name) {
+			profile.name = name;
+			this.save();
+		}
+	}
+
+	/**
+	 * Bring in profiles from an exported file. When merging, profiles that
+	 * already exist here are kept as they are.
+	 * @returns {number} How many profiles were added or replaced
+	 */
+	importProfiles(data, overwrite) {
+		const profiles = overwrite ? {} : { ...this.data.profiles };
+		let imported = 0;
+		for (const [id, profile] of Object.entries(data.profiles)) {
+			if (overwrite || !profiles[id]) {
+				profiles[id] = { ...profile };
+				imported++;
+			}
+		}
+		if (imported === 0) {
+			return 0;
+		}
+
+		let activeId = this.data.activeId;
+		if (overwrite || !profiles[activeId]) {
+			activeId = profiles[data.activeId]
+				? data.activeId
+				: Object.keys(profiles)[0];
+		}
+		this.data = { activeId, profiles };
+		this.save();
+		return imported;
+	}
+
+	// localStorage key for per-profile data, e.g. "futureskillsKnowledge:default"
+	getStorageKey(prefix, profileId = this.getActiveId()) {
+		return `${prefix}:${profileId}`;
+	}
+}
+
+const profileManager = new ProfileManager();
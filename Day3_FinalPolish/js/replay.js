@@ -0,0 +1,460 @@
+/**
+ * Replays
+ * Every run is recorded as the state it started from (a save snapshot, so
+ * runs resumed from a save can be replayed too), the input of each frame
+ * Game.update() ran, the frames on which the stage clock ticked and the
+ * next stage began, and the quiz rewards won (see Game.handleQuizAnswer).
+ * The rewards are [frame, "health" or "time"], given before that frame.
+ * Played back through Game.update(), the same input on the same stage
+ * gives the same run, so teachers can watch how a student solved a maze
+ * and a bug report can come with the exact run that hit the bug.
+ *
+ * Input is run-length encoded: [frames, x, y, flags] for each stretch of
+ * frames with the same input, x and y rounded to hundredths (the game plays
+ * with the rounded values too) and flags 1 = jump held, 2 = jump started.
+ */
+const replayConfig = {
+	format: "futureskills-replay",
+	version: 1,
+	// Recent runs kept on this computer
+	maxSaved: 5,
+	// Frames between the snapshots scrubbing back restarts from
+	keyframeInterval: 600,
+	// Seconds the arrow keys skip
+	skipSeconds: 5,
+	speeds: [0.25, 0.5, 1, 2, 4],
+};
+
+class ReplayRecorder {
+	constructor() {
+		this.storageKey = "futureskillsReplays";
+		// The run being recorded, null between runs
+		this.recording = null;
+		this.startPlayTime = 0;
+	}
+
+	/**
+	 * Start recording from the game's current state, after a new game or a
+	 * save has been set up
+	 */
+	start(game) {
+		this.recording = {
+			format: replayConfig.format,
+			version: replayConfig.version,
+			recordedAt: Date.now(),
+			player: profileManager.getActive().name,
+			seed: game.seed,
+			difficultyName: game.difficultyName,
+			// Frames played per second, so a replay runs at the speed it was
+			// played at (set by finish)
+			frameRate: 60,
+			start: JSON.parse(JSON.stringify(game.createSnapshot())),
+			frames: 0,
+			inputs: [],
+			ticks: [],
+			stages: [],
+			rewards: [],
+			result: null,
+		};
+		this.startPlayTime = game.playTime;
+	}
+
+	isRecording() {
+		return this.recording !== null;
+	}
+
+	/**
+	 * Record the player's input for the frame about to be played
+	 * @returns {Object} { x, y, jump } to play the frame with
+	 */
+	record(player) {
+		const state = player.getInputState();
+		const input = {
+			x: Math.round(state.x * 100) / 100,
+			y: Math.round(state.y * 100) / 100,
+			jump: Boolean(state.jump),
+			start: player.jumpStarted,
+		};
+		player.jumpStarted = false;
+
+		if (this.recording) {
+			const flags = (input.jump ? 1 : 0) | (input.start ? 2 : 0);
+			const inputs = this.recording.inputs;
+			const last = inputs[inputs.length - 1];
+			const same =
+				last && last[1] === input.x && last[2] === input.y && last[3] === flags;
+			if (same) {
+				last[0]++;
+			} else {
+				inputs.push([1, input.x, input.y, flags]);
+			}
+			this.recording.frames++;
+		}
+		return input;
+	}
+
+	// The stage clock ticks before the next frame
+	recordTick() {
+		if (this.recording) {
+			this.recording.ticks.push(this.recording.frames);
+		}
+	}
+
+	// The next stage begins before the next frame
+	recordStage() {
+		if (this.recording) {
+			this.recording.stages.push(this.recording.frames);
+		}
+	}
+
+	// A quiz was answered right, before the next frame
+	recordReward(kind) {
+		if (this.recording) {
+			this.recording.rewards.push([this.recording.frames, kind]);
+		}
+	}
+
+	/**
+	 * Stop recording and keep the run with the recent ones
+	 * @param {string} outcome - "won", "died", "timeOut" or "quit"
+	 */
+	finish(game, outcome) {
+		const recording = this.recording;
+		this.recording = null;
+		if (!recording || recording.frames === 0) {
+			return;
+		}
+
+		const duration = game.playTime - this.startPlayTime;
+		if (duration > 0) {
+			recording.frameRate =
+				Math.round((recording.frames * 1000 * 10) / duration) / 10;
+		}
+		recording.result = {
+			outcome,
+			stage: game.stage,
+			score: stageScorer.getTotal(game.stageScores),
+		};
+		this.save(recording);
+	}
+
+	// Recent recordings, newest first
+	list() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			return Array.isArray(saved) ? saved : [];
+		} catch (e) {
+			console.error("Failed to load replays:", e);
+			return [];
+		}
+	}
+
+	save(recording) {
+		let recordings = [recording, ...this.list()].slice(
+			0,
+			replayConfig.maxSaved,
+		);
+		// Replays are big, make room by dropping the oldest
+		while (recordings.length > 0) {
+			try {
+				localStorage.setItem(this.storageKey, JSON.stringify(recordings));
+				return;
+			} catch (e) {
+				if (recordings.length === 1) {
+					console.error("Failed to save replay:", e);
+					return;
+				}
+				recordings = recordings.slice(0, -1);
+			}
+		}
+	}
+
+	getFileName(recording) {
+		const date = new Date(recording.recordedAt);
+		const day = [
+			date.getFullYear(),
+			String(date.getMonth() + 1).padStart(2, "0"),
+			String(date.getDate()).padStart(2, "0"),
+		].join("-");
+		const seed = String(recording.seed).replace(/[^\w-]/g, "");
+		return `futureskills-replay-${seed}-${day}.json`;
+	}
+
+	// Download a recording as a .json file, e.g. to attach to a bug report
+	download(recording) {
+		const blob = new Blob([JSON.stringify(recording)], {
+			type: "application/json",
+		});
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement("a");
+		link.download = this.getFileName(recording);
+		link.href = url;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+
+	/**
+	 * Check a replay file
+	 * @param {*} data - Parsed JSON
+	 * @param {number} maxStage - Highest valid stage
+	 * @returns {Object} { valid, errors, recording }
+	 */
+	validate(data, maxStage) {
+		const errors = [];
+		const isFrameList = (list) =>
+			Array.isArray(list) &&
+			list.every((frame) => Number.isInteger(frame) && frame >= 0);
+
+		const isReplay =
+			Boolean(data) &&
+			typeof data === "object" &&
+			data.format === replayConfig.format;
+		if (!isReplay) {
+			errors.push("not a replay file");
+		} else if (!(data.version >= 1 && data.version <= replayConfig.version)) {
+			errors.push(`unsupported version ${data.version}`);
+		} else {
+			const start = saveManager.migrate(data.start);
+			if (!start || !start.world) {
+				errors.push("starting state missing");
+			} else {
+				errors.push(...saveManager.check(start, maxStage));
+			}
+
+			const inputsValid =
+				Array.isArray(data.inputs) &&
+				data.inputs.every(
+					(run) =>
+						Array.isArray(run) &&
+						run.length === 4 &&
+						Number.isInteger(run[0]) &&
+						run[0] > 0 &&
+						run.slice(1).every(Number.isFinite),
+				);
+			if (!inputsValid) {
+				errors.push("input is damaged");
+			} else if (
+				data.inputs.reduce((sum, run) => sum + run[0], 0) !== data.frames
+			) {
+				errors.push("input doesn't match the frame count");
+			}
+			if (!isFrameList(data.ticks) || !isFrameList(data.stages)) {
+				errors.push("clock or stage frames are damaged");
+			}
+			const rewardsValid =
+				Array.isArray(data.rewards) &&
+				data.rewards.every(
+					(reward) =>
+						Array.isArray(reward) &&
+						isFrameList([reward[0]]) &&
+						(reward[1] === "health" || reward[1] === "time"),
+				);
+			if (!rewardsValid) {
+				errors.push("quiz rewards are damaged");
+			}
+			if (!(data.frameRate > 0)) {
+				errors.push("frame rate missing");
+			}
+		}
+
+		if (errors.length > 0) {
+			return { valid: false, errors, recording: null };
+		}
+		return {
+			valid: true,
+			errors,
+			recording: { ...data, start: saveManager.migrate(data.start) },
+		};
+	}
+}
+
+/**
+ * Plays a recording back on a game (see Game.startReplay). Scrubbing back
+ * restores the nearest earlier snapshot and plays forward from there.
+ */
+class ReplayPlayer {
+	constructor(game, recording) {
+		this.game = game;
+		this.recording = recording;
+		this.ticks = new Set(recording.ticks);
+		this.stages = new Set(recording.stages);
+		// { frame: [kind] }, a quiz reward could be won twice between frames
+		this.rewards = new Map();
+		for (const [frame, kind] of recording.rewards) {
+			this.rewards.set(frame, [...(this.rewards.get(frame) || []), kind]);
+		}
+		// First frame of each input run, for looking up any frame's input
+		this.runStarts = [];
+		let frame = 0;
+		for (const run of recording.inputs) {
+			this.runStarts.push(frame);
+			frame += run[0];
+		}
+
+		// Frames played so far: the next frame to play
+		this.frame = 0;
+		this.paused = false;
+		this.speed = 1;
+		// Frames owed to the speed setting, played on the next animation frame
+		this.pendingFrames = 0;
+		// The recorded run has ended (the last frame, or time up, death...)
+		this.ended = false;
+		// { frame: snapshot }, see keyframeInterval
+		this.keyframes = new Map();
+		this.onChange = null;
+	}
+
+	getInput(frame) {
+		// Last run starting at or before the frame
+		let low = 0;
+		let high = this.runStarts.length - 1;
+		while (low < high) {
+			const middle = Math.ceil((low + high) / 2);
+			if (this.runStarts[middle] <= frame) {
+				low = middle;
+			} else {
+				high = middle - 1;
+			}
+		}
+		const [, x, y, flags] = this.recording.inputs[low];
+		return { x, y, jump: Boolean(flags & 1), start: Boolean(flags & 2) };
+	}
+
+	// Play one recorded frame, in the same order the game loop did
+	step() {
+		const game = this.game;
+		if (this.ended) {
+			return;
+		}
+
+		// Taken before the frame's stage change, quiz rewards and clock tick,
+		// so restoring it plays those again. Not between reaching the exit
+		// and the next stage, the snapshot doesn't know the stage is being
+		// left.
+		const isKeyframe = this.frame % replayConfig.keyframeInterval === 0;
+		if (isKeyframe && this.frame > 0 && !game.isExitingStage) {
+			this.keyframes.set(
+				this.frame,
+				JSON.parse(JSON.stringify(game.createSnapshot())),
+			);
+		}
+
+		if (this.stages.has(this.frame)) {
+			game.stage++;
+			game.initStage(false);
+		}
+		for (const kind of this.rewards.get(this.frame) || []) {
+			game.applyQuizReward(kind);
+		}
+		if (this.ticks.has(this.frame) && !game.tickTimer()) {
+			this.end();
+			return;
+		}
+		if (this.frame >= this.recording.frames) {
+			this.end();
+			return;
+		}
+
+		game.update(this.getInput(this.frame));
+		this.frame++;
+		if (game.gameOver) {
+			this.end();
+		}
+	}
+
+	end() {
+		this.ended = true;
+		this.paused = true;
+	}
+
+	// Called every animation frame; plays as many frames as the speed says
+	advance(deltaTime) {
+		if (this.paused || this.ended) {
+			this.pendingFrames = 0;
+			return;
+		}
+		// A long gap (tab in the background) shouldn't fast-forward
+		const elapsed = Math.min(deltaTime, 100);
+		this.pendingFrames +=
+			(elapsed / 1000) * this.recording.frameRate * this.speed;
+		while (this.pendingFrames >= 1 && !this.ended) {
+			this.step();
+			this.pendingFrames--;
+		}
+		if (this.ended) {
+			this.changed();
+		}
+	}
+
+	/**
+	 * Jump to a frame: forward by playing on, back by restoring the last
+	 * snapshot before it and playing on from there
+	 */
+	seek(frame) {
+		const target = Math.max(0, Math.min(this.recording.frames, frame));
+		if (target < this.frame || this.ended) {
+			let keyframe = 0;
+			for (const saved of this.keyframes.keys()) {
+				if (saved <= target && saved > keyframe) {
+					keyframe = saved;
+				}
+			}
+			this.restore(keyframe);
+		}
+
+		while (this.frame < target && !this.ended) {
+			this.step();
+		}
+		this.pendingFrames = 0;
+		this.changed();
+	}
+
+	// @returns {boolean} false if the snapshot can't be restored
+	restore(frame) {
+		const snapshot =
+			frame === 0 ? this.recording.start : this.keyframes.get(frame);
+		if (!this.game.restoreState(JSON.parse(JSON.stringify(snapshot)))) {
+			return false;
+		}
+		this.game.player.inputLocked = true;
+		this.frame = frame;
+		this.ended = false;
+		return true;
+	}
+
+	setPaused(paused) {
+		// Play again from the start once it has ended
+		if (!paused && this.ended) {
+			this.restore(0);
+		}
+		this.paused = paused;
+		this.changed();
+	}
+
+	setSpeed(speed) {
+		if (replayConfig.speeds.includes(speed)) {
+			this.speed = speed;
+			this.changed();
+		}
+	}
+
+	skip(seconds) {
+		this.seek(this.frame + Math.round(seconds * this.recording.frameRate));
+	}
+
+	// Seconds into the recording of a frame
+	getTime(frame = this.frame) {
+		return frame / this.recording.frameRate;
+	}
+
+	changed() {
+		if (this.onChange) {
+			this.onChange();
+		}
+	}
+}
+
+const replayRecorder = new ReplayRecorder();
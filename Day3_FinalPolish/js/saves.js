@@ -0,0 +1,246 @@
+/**
+ * Save slots
+ * A save is a snapshot of a game in progress (see Game.createSnapshot()):
+ * the whole stage (maze walls, exit, artifacts, obstacles, explored cells),
+ * the player with their effects and the run so far, so loading it resumes
+ * exactly where it was saved. Named slots live under one localStorage key;
+ * every snapshot carries a schema version and older ones are migrated
+ * when read, so saves survive updates of the game.
+ */
+const saveSchemaVersion = 2;
+
+// Upgrades a snapshot from the version it is keyed under to the next one
+const saveMigrations = {
+	// v1: the original single save (stage, artifact count, timer, health).
+	// It has no stage snapshot, the stage is rebuilt from its seed on load.
+	1: (save) => ({
+		version: 2,
+		completed: Boolean(save.completed),
+		savedAt: save.timestamp || Date.now(),
+		stage: save.stage || 1,
+		difficulty: save.difficulty || 1,
+		seed: save.seed || null,
+		timer: save.timeRemaining,
+		artifactsCollected: typeof save.artifacts === "number" ? save.artifacts : 0,
+		totalArtifacts: save.totalArtifacts || 3,
+		health: save.health,
+		quizResults: save.quizResults || {},
+		playTime: save.playTime || 0,
+		skillsLearned: save.skillsLearned || [],
+		world: null,
+	}),
+};
+
+class SaveManager {
+	constructor() {
+		this.storageKey = "futureskillsSaves";
+		this.maxSlots = 5;
+		this.slots = this.load();
+	}
+
+	/**
+	 * Bring a snapshot up to the current schema
+	 * @returns {Object|null} null if it isn't a save or is from a newer game
+	 */
+	migrate(snapshot) {
+		if (!snapshot || typeof snapshot !== "object") {
+			return null;
+		}
+
+		let save = snapshot;
+		// Saves from before versioning have no version field
+		let version = Number(save.version) || 1;
+		while (version < saveSchemaVersion) {
+			const migration = saveMigrations[version];
+			if (!migration) {
+				return null;
+			}
+			save = migration(save);
+			version = save.version;
+		}
+
+		if (version > saveSchemaVersion) {
+			console.warn(`Save from a newer version of the game (v${version})`);
+			return null;
+		}
+		return save;
+	}
+
+	/**
+	 * Problems that make a save unusable (empty if there are none), e.g. a
+	 * stage out of range or negative health. A damaged stage snapshot isn't
+	 * one of them: it is dropped and the stage is rebuilt from the seed.
+	 */
+	check(snapshot, maxStage) {
+		const problems = [];
+		const isNumber = (value) =>
+			typeof value === "number" && Number.isFinite(value);
+
+		if (
+			!Number.isInteger(snapshot.stage) ||
+			snapshot.stage < 1 ||
+			snapshot.stage > maxStage
+		) {
+			problems.push(`stage ${snapshot.stage} out of range`);
+		}
+		// Old saves may not have health or a timer, those are filled in on load
+		if (
+			snapshot.health !== undefined &&
+			!(isNumber(snapshot.health) && snapshot.health > 0)
+		) {
+			problems.push(`invalid health ${snapshot.health}`);
+		}
+		if (
+			snapshot.timer !== undefined &&
+			!(isNumber(snapshot.timer) && snapshot.timer > 0)
+		) {
+			problems.push(`invalid timer ${snapshot.timer}`);
+		}
+		if (
+			!isNumber(snapshot.artifactsCollected) ||
+			snapshot.artifactsCollected < 0
+		) {
+			problems.push(`invalid artifact count ${snapshot.artifactsCollected}`);
+		}
+
+		if (snapshot.world && !this.isWorldIntact(snapshot.world)) {
+			console.warn("Damaged stage snapshot, the stage will be rebuilt");
+			snapshot.world = null;
+		}
+		return problems;
+	}
+
+	isWorldIntact(world) {
+		const player = world.player;
+		return Boolean(
+			world.maze &&
+				typeof world.maze.walls === "string" &&
+				Array.isArray(world.artifacts) &&
+				world.artifacts.every(
+					(artifact) => artifact && typeof artifact.type === "string",
+				) &&
+				Array.isArray(world.obstacles) &&
+				player &&
+				Number.isFinite(player.x) &&
+				Number.isFinite(player.y) &&
+				Number.isFinite(player.health) &&
+				player.health > 0,
+		);
+	}
+
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && Array.isArray(saved.slots)) {
+				return saved.slots
+					.map((slot) => ({ ...slot, snapshot: this.migrate(slot.snapshot) }))
+					.filter((slot) => slot.id && slot.snapshot);
+			}
+		} catch (e) {
+			console.error("Failed to load save slots:", e);
+		}
+		return [];
+	}
+
+	save() {
+		try {
+			localStorage.setItem(
+				this.storageKey,
+				JSON.stringify({ version: saveSchemaVersion, slots: this.slots }),
+			);
+			return true;
+		} catch (e) {
+			// Large mazes can hit the storage quota
+			console.error("Failed to save slots:", e);
+			return false;
+		}
+	}
+
+	// Most recently saved first
+	list() {
+		return [...this.slots].sort((a, b) => b.savedAt - a.savedAt);
+	}
+
+	get(id) {
+		return this.slots.find((slot) => slot.id === id) || null;
+	}
+
+	isFull() {
+		return this.slots.length >= this.maxSlots;
+	}
+
+	/**
+	 * Store a snapshot in a slot
+	 * @param {string|null} id - Slot to overwrite, or null for a new one
+	 * @returns {Object|null} The slot, null if there is no room or it failed
+	 */
+	write(id, name, snapshot) {
+		let slot = id ? this.get(id) : null;
+		if (!slot) {
+			if (this.isFull()) {
+				return null;
+			}
+			slot = { id: `slot-${Date.now().toString(36)}-${this.slots.length}` };
+			this.slots.push(slot);
+		}
+
+		const previous = { ...slot };
+		Object.assign(slot, {
+			name: String(name).trim().slice(0, 40),
+			savedAt: Date.now(),
+			snapshot,
+		});
+
+		if (!this.save()) {
+			// Put the slot back the way it was
+			if (previous.snapshot) {
+				Object.assign(slot, previous);
+			} else {
+				this.slots.splice(this.slots.indexOf(slot), 1);
+			}
+			return null;
+		}
+		return slot;
+	}
+
+	/**
+	 * Bring in slots from an exported file. When merging, a slot that is
+	 * here too keeps whichever copy was saved last; slots that don't fit
+	 * are left out, oldest first.
+	 * @returns {{ imported: number, skipped: number }}
+	 */
+	importSlots(slots, overwrite) {
+		const previous = this.slots;
+		this.slots = overwrite ? [] : [...previous];
+
+		let imported = 0;
+		let skipped = 0;
+		for (const slot of [...slots].sort((a, b) => b.savedAt - a.savedAt)) {
+			const existing = this.get(slot.id);
+			if (existing) {
+				if (slot.savedAt > existing.savedAt) {
+					this.slots[this.slots.indexOf(existing)] = { ...slot };
+					imported++;
+				}
+			} else if (this.isFull()) {
+				skipped++;
+			} else {
+				this.slots.push({ ...slot });
+				imported++;
+			}
+		}
+
+		if (!this.save()) {
+			this.slots = previous;
+			return { imported: 0, skipped: slots.length };
+		}
+		return { imported, skipped };
+	}
+
+	remove(id) {
+		this.slots = this.slots.filter((slot) => slot.id !== id);
+		this.save();
+	}
+}
+
+const saveManager = new SaveManager();
@@ -0,0 +1,168 @@
+/**
+ * Scoring
+ * Each cleared stage scores points for the time and health left, the
+ * artifacts collected, the obstacles the player got close to without
+ * touching, and how direct their route was compared with the shortest one
+ * (spawn, every artifact, exit). The sum is multiplied by the difficulty's
+ * multiplier; a run's score is the total of its stages.
+ */
+const scoringConfig = {
+	perSecondLeft: 10,
+	perHealth: 5,
+	perArtifact: 250,
+	perObstacleAvoided: 50,
+	// Points for a perfect route, less in proportion to the detour
+	efficiency: 1000,
+	// Obstacles count as passed within this many cells of the player
+	avoidRadius: 1.5,
+	difficultyMultipliers: {
+		easy: 0.5,
+		normal: 1,
+		hard: 1.5,
+		expert: 2,
+		// Anything goes in custom, so it scores like normal
+		custom: 1,
+	},
+};
+
+class StageScorer {
+	/**
+	 * What the score needs to know about the stage as it is played
+	 * @param {number|null} optimalPath - Cells on the shortest route, null
+	 *   if unknown (stage resumed from an old save), then efficiency is skipped
+	 */
+	createRecord(optimalPath) {
+		return {
+			optimalPath,
+			cellsMoved: 0,
+			cell: null,
+			// Indices in ObstacleManager.obstacles
+			passed: [],
+			hit: [],
+		};
+	}
+
+	/**
+	 * Length in cells of the shortest route from the spawn through every
+	 * artifact (in the best order) to the exit
+	 * @param {Array} cells - Artifact cells
+	 * @returns {number|null} null if part of the route is unreachable
+	 */
+	getOptimalPathLength(maze, spawnCell, cells) {
+		const points = [spawnCell, ...cells, maze.exit];
+		const distance = (from, to) =>
+			maze.findShortestPath(
+				(from.x + 0.5) * maze.cellSize,
+				(from.y + 0.5) * maze.cellSize,
+				(to.x + 0.5) * maze.cellSize,
+				(to.y + 0.5) * maze.cellSize,
+			).length - 1;
+
+		// Distances between every pair of points, computed once
+		const distances = points.map((from, i) =>
+			points.map((to, j) => (i < j ? distance(from, to) : 0)),
+		);
+		const between = (i, j) => (i < j ? distances[i][j] : distances[j][i]);
+
+		// findShortestPath keeps its result for the debug overlay, clear ours
+		maze.shortestPath = [];
+		maze.pathStart = null;
+		maze.pathEnd = null;
+
+		const exitIndex = points.length - 1;
+		let best = null;
+		const visit = (from, remaining, length) => {
+			if (remaining.length === 0) {
+				const last = between(from, exitIndex);
+				if (last >= 0 && (best === null || length + last < best)) {
+					best = length + last;
+				}
+				return;
+			}
+			for (const next of remaining) {
+				const step = between(from, next);
+				if (step >= 0) {
+					visit(
+						next,
+						remaining.filter((index) => index !== next),
+						length + step,
+					);
+				}
+			}
+		};
+		visit(0, cells.map((_, index) => index + 1), 0);
+		return best;
+	}
+
+	/**
+	 * Points for a cleared stage
+	 * @param {Object} stage - { stage, time (ms spent, null if unknown),
+	 *   timeLeft, health, artifacts, difficultyName, record }
+	 * @returns {Object} { stage, time, items: [{ key, count, points }],
+	 *   multiplier, total }, items are the lines of the stage summary
+	 */
+	scoreStage({
+		stage,
+		time = null,
+		timeLeft,
+		health,
+		artifacts,
+		difficultyName,
+		record,
+	}) {
+		const avoided = record
+			? record.passed.filter((index) => !record.hit.includes(index)).length
+			: 0;
+		const seconds = Math.max(0, Math.ceil(timeLeft));
+		const healthLeft = Math.round(health);
+		const items = [
+			{
+				key: "time",
+				count: seconds,
+				points: seconds * scoringConfig.perSecondLeft,
+			},
+			{
+				key: "health",
+				count: healthLeft,
+				points: healthLeft * scoringConfig.perHealth,
+			},
+			{
+				key: "artifacts",
+				count: artifacts,
+				points: artifacts * scoringConfig.perArtifact,
+			},
+			{
+				key: "avoided",
+				count: avoided,
+				points: avoided * scoringConfig.perObstacleAvoided,
+			},
+		];
+
+		if (record && record.optimalPath && record.cellsMoved > 0) {
+			const ratio = record.optimalPath / record.cellsMoved;
+			const efficiency = Math.min(1, ratio);
+			items.push({
+				key: "efficiency",
+				count: Math.round(efficiency * 100),
+				points: Math.round(efficiency * scoringConfig.efficiency),
+			});
+		}
+
+		const multiplier =
+			scoringConfig.difficultyMultipliers[difficultyName] || 1;
+		const subtotal = items.reduce((sum, item) => sum + item.points, 0);
+		return {
+			stage,
+			time,
+			items,
+			multiplier,
+			total: Math.round(subtotal * multiplier),
+		};
+	}
+
+	getTotal(stageScores) {
+		return stageScores.reduce((sum, score) => sum + score.total, 0);
+	}
+}
+
+const stageScorer = new StageScorer();
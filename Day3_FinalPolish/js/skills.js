@@ -0,0 +1,203 @@
+/**
+ * Skill catalog
+ * Loads data/skills.json, which defines every skill an artifact can
+ * represent: its name, color, shape, description, the facts shown in the
+ * educational popup and the quiz questions asked in quiz mode.
+ * Entries may carry "translations": { fr: {...}, rw: {...} } overriding any
+ * of those texts for a language; get() returns the current language's.
+ * Used by Artifact, PopupManager and Game.
+ */
+class SkillCatalog {
+	constructor(url = "data/skills.json") {
+		this.url = url;
+		this.skills = {};
+		this.fallback = {
+			name: "Future Skills Artifact",
+			color: "#00ffff",
+			shape: "gem",
+			description:
+				"This artifact represents an essential future technology skill.",
+		};
+		this.loaded = false;
+		this.loadError = null;
+
+		// Shapes Artifact knows how to draw
+		this.shapes = ["cube", "shield", "sphere", "gem"];
+
+		// Resolves to true once loaded, false if loading failed (never rejects)
+		this.ready = this.load();
+	}
+
+	async load() {
+		try {
+			const response = await fetch(this.url);
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}`);
+			}
+			this.setData(await response.json());
+			return true;
+		} catch (error) {
+			this.loadError = error;
+			console.error(`Failed to load skill catalog from ${this.url}:`, error);
+			return false;
+		}
+	}
+
+	setData(data) {
+		if (!data || typeof data.skills !== "object") {
+			throw new Error("Skill catalog has no skills");
+		}
+
+		this.skills = data.skills;
+		if (data.fallback) {
+			this.fallback = { ...this.fallback, ...data.fallback };
+		}
+		this.loaded = true;
+
+		// Report broken entries up front, not only when their stage starts
+		const { errors } = this.validateSkills(Object.keys(this.skills), {
+			requireQuiz: true,
+		});
+		for (const error of errors) {
+			console.warn("Skill catalog:", this.describeError(error));
+		}
+	}
+
+	has(skillId) {
+		return Object.prototype.hasOwnProperty.call(this.skills, skillId);
+	}
+
+	// Skill definition in the current language, or the generic fallback for
+	// unknown skills
+	get(skillId) {
+		return this.localize(
+			this.has(skillId) ? this.skills[skillId] : this.fallback,
+		);
+	}
+
+	// Untranslated texts stay in English
+	localize(entry) {
+		const translation =
+			entry.translations && typeof i18n !== "undefined"
+				? entry.translations[i18n.locale]
+				: null;
+		return translation ? { ...entry, ...translation } : entry;
+	}
+
+	// Short label for summaries, e.g. "AI" instead of "AI Artifact"
+	getShortName(skillId) {
+		const skill = this.get(skillId);
+		return skill.shortName || skill.name;
+	}
+
+	// Well-formed quiz questions for a skill (malformed ones are skipped)
+	getQuestions(skillId) {
+		const quiz = this.has(skillId) ? this.get(skillId).quiz : null;
+		if (!Array.isArray(quiz)) {
+			return [];
+		}
+		return quiz.filter((question) => this.isValidQuestion(question));
+	}
+
+	isValidQuestion(question) {
+		return Boolean(
+			question &&
+				typeof question.question === "string" &&
+				Array.isArray(question.choices) &&
+				question.choices.length >= 2 &&
+				question.choices.every((choice) => typeof choice === "string") &&
+				Number.isInteger(question.answer) &&
+				question.answer >= 0 &&
+				question.answer < question.choices.length &&
+				typeof question.explanation === "string",
+		);
+	}
+
+	/**
+	 * Check that every skill has everything an artifact and its popup need
+	 * @param {string[]} skillIds - Skills a stage is about to spawn
+	 * @param {Object} options - { requireQuiz } also demands quiz questions
+	 * @returns {{valid: boolean, errors: Object[]}} errors are { type, skill, field }
+	 */
+	validateSkills(skillIds, options = {}) {
+		const errors = [];
+
+		if (!this.loaded) {
+			errors.push({ type: "not-loaded" });
+			return { valid: false, errors };
+		}
+
+		for (const skill of skillIds) {
+			if (!this.has(skill)) {
+				errors.push({ type: "missing-skill", skill });
+				continue;
+			}
+
+			const entry = this.skills[skill];
+			for (const field of ["name", "color", "description"]) {
+				if (typeof entry[field] !== "string" || entry[field].trim() === "") {
+					errors.push({ type: "missing-field", skill, field });
+				}
+			}
+
+			if (!this.shapes.includes(entry.shape)) {
+				errors.push({ type: "invalid-shape", skill, field: "shape" });
+			}
+
+			const facts = Array.isArray(entry.facts)
+				? entry.facts.filter(
+						(fact) => typeof fact === "string" && fact.trim() !== "",
+					)
+				: [];
+			if (facts.length === 0) {
+				errors.push({ type: "missing-facts", skill, field: "facts" });
+			}
+
+			if (options.requireQuiz) {
+				errors.push(...this.validateQuiz(skill));
+			}
+		}
+
+		return { valid: errors.length === 0, errors };
+	}
+
+	validateQuiz(skill) {
+		const errors = [];
+		const quiz = this.skills[skill].quiz;
+
+		if (Array.isArray(quiz)) {
+			quiz.forEach((question, index) => {
+				if (!this.isValidQuestion(question)) {
+					errors.push({ type: "invalid-question", skill, index });
+				}
+			});
+		}
+		if (this.getQuestions(skill).length === 0) {
+			errors.push({ type: "missing-quiz", skill, field: "quiz" });
+		}
+
+		return errors;
+	}
+
+	describeError(error) {
+		switch (error.type) {
+			case "not-loaded":
+				// Usually the page was opened from file://, where fetch() is blocked
+				return `the skill catalog (${this.url}) could not be loaded, serve the game from a web server`;
+			case "missing-skill":
+				return `no entry for skill "${error.skill}"`;
+			case "invalid-shape":
+				return `skill "${error.skill}" has an unknown shape`;
+			case "missing-facts":
+				return `skill "${error.skill}" has no popup facts`;
+			case "missing-quiz":
+				return `skill "${error.skill}" has no quiz questions`;
+			case "invalid-question":
+				return `quiz question ${error.index + 1} of skill "${error.skill}" is malformed`;
+			default:
+				return `skill "${error.skill}" is missing its ${error.field}`;
+		}
+	}
+}
+
+const skillCatalog = new SkillCatalog();
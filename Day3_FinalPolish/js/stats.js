@@ -0,0 +1,156 @@
+/**
+ * Player statistics
+ * Totals kept per profile across games: games played and won, stages
+ * cleared, best time per stage and difficulty, deaths by obstacle type,
+ * artifacts collected per skill and time played. Shown on the Statistics
+ * screen of the menu.
+ */
+class StatsTracker {
+	constructor() {
+		this.storagePrefix = "futureskillsStats";
+		this.profileId = null;
+		this.data = null;
+	}
+
+	// Switches automatically when the active profile changes
+	getData() {
+		const profileId = profileManager.getActiveId();
+		if (this.profileId !== profileId || !this.data) {
+			this.profileId = profileId;
+			this.data = this.load(profileId);
+		}
+		return this.data;
+	}
+
+	load(profileId) {
+		const data = {
+			gamesPlayed: 0,
+			gamesWon: 0,
+			stagesCleared: 0,
+			timeOuts: 0,
+			playTime: 0, // ms
+			// { difficulty: { stage: ms } }
+			bestTimes: {},
+			// { obstacleType: count }
+			deaths: {},
+			// { skill: count }
+			artifacts: {},
+		};
+
+		try {
+			const saved = JSON.parse(
+				localStorage.getItem(
+					profileManager.getStorageKey(this.storagePrefix, profileId),
+				),
+			);
+			if (saved && typeof saved === "object") {
+				for (const [key, value] of Object.entries(data)) {
+					if (typeof value === "number") {
+						data[key] = Number(saved[key]) || 0;
+					} else if (saved[key] && typeof saved[key] === "object") {
+						data[key] = saved[key];
+					}
+				}
+			}
+		} catch (e) {
+			console.error("Failed to load statistics:", e);
+		}
+
+		return data;
+	}
+
+	save() {
+		this.write(this.profileId, this.data);
+	}
+
+	write(profileId, data) {
+		try {
+			localStorage.setItem(
+				profileManager.getStorageKey(this.storagePrefix, profileId),
+				JSON.stringify(data),
+			);
+		} catch (e) {
+			console.error("Failed to save statistics:", e);
+		}
+	}
+
+	recordGameStarted() {
+		this.getData().gamesPlayed++;
+		this.save();
+	}
+
+	recordGameWon() {
+		this.getData().gamesWon++;
+		this.save();
+	}
+
+	/**
+	 * @param {number} time - ms spent on the stage, null if unknown (a game
+	 *   saved before stage times were kept), then only the count goes up
+	 * @returns {boolean} true if it is a new best time
+	 */
+	recordStageCleared(stage, difficulty, time) {
+		const data = this.getData();
+		data.stagesCleared++;
+
+		let isBest = false;
+		if (typeof time === "number" && time > 0) {
+			const bestTimes = data.bestTimes[difficulty] || {};
+			isBest = !(bestTimes[stage] <= time);
+			if (isBest) {
+				bestTimes[stage] = Math.round(time);
+				data.bestTimes[difficulty] = bestTimes;
+			}
+		}
+		this.save();
+		return isBest;
+	}
+
+	getBestTime(stage, difficulty) {
+		const bestTimes = this.getData().bestTimes[difficulty];
+		return bestTimes && bestTimes[stage] ? bestTimes[stage] : null;
+	}
+
+	// cause: the obstacle type that dealt the final blow
+	recordDeath(cause) {
+		const deaths = this.getData().deaths;
+		deaths[cause] = (deaths[cause] || 0) + 1;
+		this.save();
+	}
+
+	recordTimeOut() {
+		this.getData().timeOuts++;
+		this.save();
+	}
+
+	recordArtifact(skill) {
+		const artifacts = this.getData().artifacts;
+		artifacts[skill] = (artifacts[skill] || 0) + 1;
+		this.save();
+	}
+
+	addPlayTime(ms) {
+		if (ms > 0) {
+			this.getData().playTime += ms;
+			this.save();
+		}
+	}
+
+	/**
+	 * Bring in a profile's statistics from an exported file. Totals can't
+	 * be merged without counting the same games twice, so when merging
+	 * the statistics with the most time played are kept.
+	 */
+	importStats(profileId, stats, overwrite) {
+		const local = this.load(profileId);
+		if (overwrite || !(local.playTime >= (Number(stats.playTime) || 0))) {
+			this.write(profileId, stats);
+			// Reloaded the next time it is used
+			if (profileId === this.profileId) {
+				this.data = null;
+			}
+		}
+	}
+}
+
+const statsTracker = new StatsTracker();
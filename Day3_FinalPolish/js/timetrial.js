@@ -0,0 +1,259 @@
+/**
+ * Time trials
+ * A speedrun on one seed: obstacles still hit, but their damage is capped
+ * so they can't end the run, and artifacts don't stop it with a popup. The
+ * run is timed with split times at every artifact and at the end of every
+ * stage, compared with the best finished run on the same seed and
+ * difficulty. That best run comes back as a translucent ghost to race.
+ *
+ * The ghost is the best run's position every few frames, [x, y, x, y...],
+ * with the sample each stage began at. It plays back frame by frame, like
+ * the game itself, so it keeps pace with the player. Saves only keep the
+ * timing of a run, so a resumed run races the ghost but leaves none.
+ */
+const timeTrialConfig = {
+	// Frames between ghost positions (it moves smoothly in between)
+	sampleInterval: 2,
+	// Obstacles never take health below this
+	minHealth: 1,
+	// Best runs are kept for the most recently raced seeds
+	maxSeeds: 20,
+	ghostAlpha: 0.35,
+};
+
+// "1:02.5" from milliseconds
+const formatSplitTime = (ms) => {
+	const tenths = Math.round(Math.max(0, ms) / 100);
+	return `${formatDuration(Math.floor(tenths / 10))}.${tenths % 10}`;
+};
+
+// "-1.2" ahead of the best run (or level with it), "+0.8" behind it
+const formatSplitDelta = (ms) => {
+	const sign = ms <= 0 ? "-" : "+";
+	return `${sign}${(Math.abs(ms) / 1000).toFixed(1)}`;
+};
+
+class TimeTrialRecords {
+	constructor() {
+		this.storageKey = "futureskillsTimeTrials";
+		// { "<difficulty>:<seed>": best run (see TimeTrialRun.finish) }
+		this.records = {};
+		this.load();
+	}
+
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(this.storageKey));
+			if (saved && typeof saved === "object") {
+				this.records = saved;
+			}
+		} catch (e) {
+			console.error("Failed to load time trials:", e);
+		}
+	}
+
+	save() {
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+		} catch (e) {
+			console.error("Failed to save time trials:", e);
+		}
+	}
+
+	getKey(difficulty, seed) {
+		return `${difficulty}:${seed}`;
+	}
+
+	/**
+	 * The difficulty records are kept under: its name, and for custom ones
+	 * their values too, so different custom setups don't share a best run
+	 */
+	getDifficultyKey(name, preset) {
+		if (name !== "custom") {
+			return name;
+		}
+		const values = JSON.stringify(difficultySettings.sanitize(preset));
+		return `custom-${hashSeed(values).toString(36)}`;
+	}
+
+	getBest(difficulty, seed) {
+		return this.records[this.getKey(difficulty, seed)] || null;
+	}
+
+	// Best runs of a difficulty (key) with their seed, most recent first
+	list(difficulty) {
+		const prefix = this.getKey(difficulty, "");
+		return Object.entries(this.records)
+			.filter(([key]) => key.startsWith(prefix))
+			.map(([key, record]) => ({
+				...record,
+				seed: key.slice(prefix.length),
+			}))
+			.sort((a, b) => b.recordedAt - a.recordedAt);
+	}
+
+	/**
+	 * Keep a finished run if it is the fastest on its seed
+	 * @returns {boolean} true if it is the new best run
+	 */
+	submit(difficulty, seed, record) {
+		const best = this.getBest(difficulty, seed);
+		if (best && best.time <= record.time) {
+			return false;
+		}
+
+		this.records[this.getKey(difficulty, seed)] = record;
+		const keys = Object.keys(this.records).sort(
+			(a, b) => this.records[b].recordedAt - this.records[a].recordedAt,
+		);
+		for (const key of keys.slice(timeTrialConfig.maxSeeds)) {
+			delete this.records[key];
+		}
+		this.save();
+		return true;
+	}
+}
+
+/**
+ * The time trial being played: its splits, its ghost track, and the best
+ * run it races against (null on a seed without one)
+ */
+class TimeTrialRun {
+	constructor(best) {
+		this.best = best;
+		// Frames played, the ghost is shown where the best run was after as
+		// many frames
+		this.frames = 0;
+		// { kind: "artifact" or "stage", stage, number, time (ms) }
+		this.splits = [];
+		// The latest split with its delta (ms, null without a best run)
+		this.lastSplit = null;
+		this.stageArtifacts = 0;
+		this.ghost = {
+			interval: timeTrialConfig.sampleInterval,
+			points: [],
+			stageStarts: [0],
+		};
+		// Set once the run is kept as the new best one (Game.finishTimeTrial)
+		this.newBest = false;
+	}
+
+	// After the player has moved for the frame
+	recordFrame(player) {
+		if (this.ghost && this.frames % this.ghost.interval === 0) {
+			this.ghost.points.push(Math.round(player.x), Math.round(player.y));
+		}
+		this.frames++;
+	}
+
+	// The next stage begins on the next frame
+	startStage() {
+		if (this.ghost) {
+			this.ghost.stageStarts.push(this.ghost.points.length / 2);
+		}
+		this.stageArtifacts = 0;
+	}
+
+	/**
+	 * Time a split and compare it with the same split of the best run
+	 * @param {string} kind - "artifact" (the stage's first, second...) or
+	 *   "stage" (cleared)
+	 * @returns {Object} lastSplit
+	 */
+	split(kind, stage, time) {
+		const split = { kind, stage, number: 0, time: Math.round(time) };
+		if (kind === "artifact") {
+			this.stageArtifacts++;
+			split.number = this.stageArtifacts;
+		}
+
+		const previous = this.best ? this.best.splits[this.splits.length] : null;
+		const comparable =
+			previous &&
+			previous.kind === kind &&
+			previous.stage === stage &&
+			previous.number === split.number;
+		this.splits.push(split);
+		this.lastSplit = {
+			...split,
+			delta: comparable ? split.time - previous.time : null,
+		};
+		return this.lastSplit;
+	}
+
+	/**
+	 * Where the best run was after as many frames as this one has played
+	 * @returns {Object|null} { x, y }, null without a best run, or if it was
+	 *   on another stage or had already finished by then
+	 */
+	getGhostPosition(stage) {
+		if (!this.best || !this.best.ghost || this.frames === 0) {
+			return null;
+		}
+		const { interval, points, stageStarts } = this.best.ghost;
+		const stageOf = (sample) =>
+			stageStarts.filter((start) => start <= sample).length;
+
+		const position = (this.frames - 1) / interval;
+		const sample = Math.floor(position);
+		if (sample * 2 + 1 >= points.length || stageOf(sample) !== stage) {
+			return null;
+		}
+
+		let x = points[sample * 2];
+		let y = points[sample * 2 + 1];
+		const next = sample + 1;
+		if (next * 2 + 1 < points.length && stageOf(next) === stage) {
+			const t = position - sample;
+			x += (points[next * 2] - x) * t;
+			y += (points[next * 2 + 1] - y) * t;
+		}
+		return { x, y };
+	}
+
+	// Splits so far, saved with the game (see Game.createSnapshot). The ghost
+	// track is left out, it would fill every save.
+	getSnapshot() {
+		return {
+			frames: this.frames,
+			splits: this.splits,
+			lastSplit: this.lastSplit,
+			stageArtifacts: this.stageArtifacts,
+		};
+	}
+
+	/**
+	 * Carry on timing a saved run, without a ghost track of its own
+	 * @returns {boolean} false if the snapshot is missing or damaged
+	 */
+	restoreSnapshot(snapshot) {
+		const intact =
+			snapshot &&
+			Number.isInteger(snapshot.frames) &&
+			Array.isArray(snapshot.splits);
+		if (!intact) {
+			console.warn("Time trial can't be timed any further:", snapshot);
+			return false;
+		}
+
+		this.frames = snapshot.frames;
+		this.splits = snapshot.splits;
+		this.lastSplit = snapshot.lastSplit || null;
+		this.stageArtifacts = snapshot.stageArtifacts || 0;
+		this.ghost = null;
+		return true;
+	}
+
+	// The finished run, as TimeTrialRecords keeps it (ghost null if resumed)
+	finish(player, time) {
+		return {
+			player,
+			recordedAt: Date.now(),
+			time: Math.round(time),
+			splits: this.splits,
+			ghost: this.ghost,
+		};
+	}
+}
+
+const timeTrialRecords = new TimeTrialRecords();
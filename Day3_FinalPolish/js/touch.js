@@ -0,0 +1,424 @@
+/**
+ * Touch controls
+ * On-screen joystick, jump and pause buttons drawn over the canvas, with
+ * swipe-to-move as an alternative. Touch state is handed to the player as
+ * its own input source, so the player doesn't care where input came from.
+ * @param {Game} game - The game instance
+ */
+class TouchControls {
+	constructor(game) {
+		this.game = game;
+		this.canvas = game.canvas;
+
+		// Only shown on touch devices (or once the first touch happens)
+		this.enabled = isTouchDevice();
+
+		this.mode = this.loadMode(); // "joystick" or "swipe"
+
+		this.joystick = {
+			touchId: null,
+			baseX: 100,
+			baseY: game.height - 100,
+			knobX: 100,
+			knobY: game.height - 100,
+			radius: 55,
+		};
+
+		this.jumpButton = {
+			x: game.width - 80,
+			y: game.height - 80,
+			radius: 45,
+			touchId: null,
+		};
+
+		this.pauseButton = { x: 10, y: 14, width: 44, height: 36 };
+		this.modeButton = { x: 62, y: 14, width: 90, height: 36 };
+
+		this.swipe = null;
+		this.swipeThreshold = 30;
+
+		this.direction = { up: false, down: false, left: false, right: false };
+		this.jumpHeld = false;
+		// Set when touch state changed and must be copied to the player
+		this.dirty = false;
+
+		this.setupEventListeners();
+	}
+
+	setupEventListeners() {
+		const options = { passive: false };
+		this.canvas.addEventListener(
+			"touchstart",
+			(e) => this.handleTouchStart(e),
+			options,
+		);
+		this.canvas.addEventListener(
+			"touchmove",
+			(e) => this.handleTouchMove(e),
+			options,
+		);
+		this.canvas.addEventListener(
+			"touchend",
+			(e) => this.handleTouchEnd(e),
+			options,
+		);
+		this.canvas.addEventListener(
+			"touchcancel",
+			(e) => this.handleTouchEnd(e),
+			options,
+		);
+	}
+
+	loadMode() {
+		try {
+			return localStorage.getItem("futureskillsTouchMode") === "swipe"
+				? "swipe"
+				: "joystick";
+		} catch (e) {
+			return "joystick";
+		}
+	}
+
+	toggleMode() {
+		this.mode = this.mode === "joystick" ? "swipe" : "joystick";
+		this.clearDirection();
+		try {
+			localStorage.setItem("futureskillsTouchMode", this.mode);
+		} catch (e) {
+			console.error("Failed to save touch mode:", e);
+		}
+	}
+
+	// Touches only drive the game while it is being played; on the game over
+	// screen we let the browser turn them into clicks for its button
+	isPlaying() {
+		return this.game.running && !this.game.gameOver;
+	}
+
+	handleTouchStart(e) {
+		this.enabled = true;
+
+		if (this.game.paused) {
+			e.preventDefault();
+			const touch = e.changedTouches[0];
+			this.handlePauseMenuTap(
+				getCanvasPoint(this.canvas, touch.clientX, touch.clientY),
+			);
+			return;
+		}
+
+		if (!this.isPlaying()) {
+			return;
+		}
+		e.preventDefault();
+
+		for (const touch of e.changedTouches) {
+			const point = getCanvasPoint(this.canvas, touch.clientX, touch.clientY);
+
+			if (this.isInRect(point, this.pauseButton)) {
+				this.game.togglePause();
+				return;
+			}
+
+			if (this.isInRect(point, this.modeButton)) {
+				this.toggleMode();
+				continue;
+			}
+
+			if (this.isInCircle(point, this.jumpButton)) {
+				this.jumpButton.touchId = touch.identifier;
+				this.jumpHeld = true;
+				this.dirty = true;
+				continue;
+			}
+
+			if (this.mode === "joystick") {
+				// Floating joystick: starts wherever the left thumb lands
+				if (point.x < this.game.width / 2 && this.joystick.touchId === null) {
+					this.joystick.touchId = touch.identifier;
+					this.joystick.baseX = point.x;
+					this.joystick.baseY = point.y;
+					this.joystick.knobX = point.x;
+					this.joystick.knobY = point.y;
+				}
+			} else if (!this.swipe) {
+				this.swipe = {
+					touchId: touch.identifier,
+					startX: point.x,
+					startY: point.y,
+				};
+			}
+		}
+	}
+
+	handleTouchMove(e) {
+		if (!this.isPlaying()) {
+			return;
+		}
+		e.preventDefault();
+
+		for (const touch of e.changedTouches) {
+			if (touch.identifier !== this.joystick.touchId) {
+				continue;
+			}
+
+			const point = getCanvasPoint(this.canvas, touch.clientX, touch.clientY);
+			let dx = point.x - this.joystick.baseX;
+			let dy = point.y - this.joystick.baseY;
+			const distance = Math.sqrt(dx * dx + dy * dy);
+
+			// Keep the knob inside the base
+			if (distance > this.joystick.radius) {
+				dx = (dx / distance) * this.joystick.radius;
+				dy = (dy / distance) * this.joystick.radius;
+			}
+			this.joystick.knobX = this.joystick.baseX + dx;
+			this.joystick.knobY = this.joystick.baseY + dy;
+
+			this.setDirection(this.getStickDirection(dx, dy));
+		}
+	}
+
+	handleTouchEnd(e) {
+		for (const touch of e.changedTouches) {
+			if (touch.identifier === this.joystick.touchId) {
+				this.joystick.touchId = null;
+				this.joystick.knobX = this.joystick.baseX;
+				this.joystick.knobY = this.joystick.baseY;
+				this.clearDirection();
+			}
+
+			if (touch.identifier === this.jumpButton.touchId) {
+				this.jumpButton.touchId = null;
+				this.jumpHeld = false;
+				this.dirty = true;
+			}
+
+			if (this.swipe && touch.identifier === this.swipe.touchId) {
+				const point = getCanvasPoint(this.canvas, touch.clientX, touch.clientY);
+				this.handleSwipe(
+					point.x - this.swipe.startX,
+					point.y - this.swipe.startY,
+				);
+				this.swipe = null;
+			}
+		}
+
+		if (this.isPlaying()) {
+			e.preventDefault();
+		}
+	}
+
+	// A swipe keeps moving in its direction until the next swipe; a tap stops
+	handleSwipe(dx, dy) {
+		const direction = { up: false, down: false, left: false, right: false };
+
+		if (Math.max(Math.abs(dx), Math.abs(dy)) >= this.swipeThreshold) {
+			if (Math.abs(dx) > Math.abs(dy)) {
+				direction[dx > 0 ? "right" : "left"] = true;
+			} else {
+				direction[dy > 0 ? "down" : "up"] = true;
+			}
+		}
+
+		this.setDirection(direction);
+	}
+
+	// 8-way direction from the knob offset, ignoring small movements
+	getStickDirection(dx, dy) {
+		const deadzone = this.joystick.radius * 0.3;
+		const distance = Math.sqrt(dx * dx + dy * dy);
+
+		if (distance < deadzone) {
+			return { up: false, down: false, left: false, right: false };
+		}
+
+		// Only count an axis when it is a meaningful part of the push,
+		// so "mostly right" doesn't drift into a diagonal
+		const nx = dx / distance;
+		const ny = dy / distance;
+		return {
+			up: ny < -0.38,
+			down: ny > 0.38,
+			left: nx < -0.38,
+			right: nx > 0.38,
+		};
+	}
+
+	setDirection(direction) {
+		this.direction = direction;
+		this.dirty = true;
+	}
+
+	clearDirection() {
+		this.setDirection({ up: false, down: false, left: false, right: false });
+	}
+
+	handlePauseMenuTap(point) {
+		const buttons = this.getPauseMenuButtons();
+		if (this.isInRect(point, buttons.resume)) {
+			this.game.togglePause();
+		} else if (this.isInRect(point, buttons.menu)) {
+			this.game.returnToMenu();
+		}
+	}
+
+	getPauseMenuButtons() {
+		const width = 200;
+		const height = 40;
+		const y = this.game.height / 2 + 195;
+		return {
+			resume: { x: this.game.width / 2 - width - 10, y, width, height },
+			menu: { x: this.game.width / 2 + 10, y, width, height },
+		};
+	}
+
+	// Hand touch state to the player as its own input source (only when it
+	// changed), so the keyboard keeps working on devices that have both
+	applyTo(player) {
+		if (!this.dirty || !player) {
+			return;
+		}
+
+		player.setInput("touch", {
+			x: (this.direction.right ? 1 : 0) - (this.direction.left ? 1 : 0),
+			y: (this.direction.down ? 1 : 0) - (this.direction.up ? 1 : 0),
+			jump: this.jumpHeld,
+		});
+
+		this.dirty = false;
+	}
+
+	isInRect(point, rect) {
+		return (
+			point.x >= rect.x &&
+			point.x <= rect.x + rect.width &&
+			point.y >= rect.y &&
+			point.y <= rect.y + rect.height
+		);
+	}
+
+	isInCircle(point, circle) {
+		return (
+			calculateDistance(point.x, point.y, circle.x, circle.y) <= circle.radius
+		);
+	}
+
+	render(ctx) {
+		if (!this.enabled || !this.isPlaying()) {
+			return;
+		}
+
+		ctx.save();
+		ctx.font = 'bold 14px "Courier New", monospace';
+		ctx.textAlign = "center";
+		ctx.textBaseline = "middle";
+
+		// Joystick (only in joystick mode)
+		if (this.mode === "joystick") {
+			ctx.globalAlpha = this.joystick.touchId !== null ? 0.6 : 0.3;
+			ctx.fillStyle = "#00A0D5";
+			ctx.beginPath();
+			ctx.arc(
+				this.joystick.baseX,
+				this.joystick.baseY,
+				this.joystick.radius,
+				0,
+				Math.PI * 2,
+			);
+			ctx.fill();
+
+			ctx.globalAlpha = 0.8;
+			ctx.fillStyle = "#E5BE01";
+			ctx.beginPath();
+			ctx.arc(
+				this.joystick.knobX,
+				this.joystick.knobY,
+				this.joystick.radius * 0.45,
+				0,
+				Math.PI * 2,
+			);
+			ctx.fill();
+		}
+
+		// Jump button
+		ctx.globalAlpha = this.jumpHeld ? 0.8 : 0.45;
+		ctx.fillStyle = "#20603D";
+		ctx.beginPath();
+		ctx.arc(
+			this.jumpButton.x,
+			this.jumpButton.y,
+			this.jumpButton.radius,
+			0,
+			Math.PI * 2,
+		);
+		ctx.fill();
+		ctx.globalAlpha = 1;
+		ctx.fillStyle = "#ffffff";
+		ctx.fillText(i18n.t("touch.jump"), this.jumpButton.x, this.jumpButton.y);
+
+		// Pause and mode buttons
+		ctx.globalAlpha = 0.6;
+		ctx.fillStyle = "#000000";
+		drawRoundedRect(
+			ctx,
+			this.pauseButton.x,
+			this.pauseButton.y,
+			this.pauseButton.width,
+			this.pauseButton.height,
+			6,
+		);
+		drawRoundedRect(
+			ctx,
+			this.modeButton.x,
+			this.modeButton.y,
+			this.modeButton.width,
+			this.modeButton.height,
+			6,
+		);
+		ctx.globalAlpha = 1;
+		ctx.fillStyle = "#ffffff";
+		ctx.fillText(
+			"II",
+			this.pauseButton.x + this.pauseButton.width / 2,
+			this.pauseButton.y + this.pauseButton.height / 2,
+		);
+		ctx.fillText(
+			i18n.t(this.mode === "joystick" ? "touch.joystick" : "touch.swipe"),
+			this.modeButton.x + this.modeButton.width / 2,
+			this.modeButton.y + this.modeButton.height / 2,
+		);
+
+		ctx.restore();
+	}
+
+	renderPauseMenuButtons(ctx) {
+		if (!this.enabled) {
+			return;
+		}
+
+		const buttons = this.getPauseMenuButtons();
+		const labels = {
+			resume: i18n.t("touch.resume"),
+			menu: i18n.t("touch.mainMenu"),
+		};
+
+		ctx.save();
+		ctx.font = '16px "Courier New", monospace';
+		ctx.textAlign = "center";
+		ctx.textBaseline = "middle";
+
+		for (const [name, rect] of Object.entries(buttons)) {
+			ctx.fillStyle = "#005f8f";
+			ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+			ctx.fillStyle = "#ffffff";
+			ctx.fillText(
+				labels[name],
+				rect.x + rect.width / 2,
+				rect.y + rect.height / 2,
+			);
+		}
+
+		ctx.restore();
+	}
+}
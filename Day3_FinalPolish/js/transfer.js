@@ -0,0 +1,214 @@
+/**
+ * Save data transfer
+ * Exports the current game, save slots, profiles and each profile's
+ * Knowledge Log and statistics to one JSON file, and imports such a file on
+ * another computer: merged with what is already there, or replacing it.
+ */
+class SaveTransfer {
+	constructor() {
+		this.format = "futureskills-save-data";
+		this.version = 1;
+	}
+
+	/**
+	 * Everything worth moving to another computer
+	 * @param {Game} game - For the game "Continue" resumes
+	 */
+	createExport(game) {
+		const profileIds = Object.keys(profileManager.data.profiles);
+		return {
+			format: this.format,
+			version: this.version,
+			exportedAt: Date.now(),
+			currentGame: game ? game.loadGameState() : null,
+			slots: saveManager.slots,
+			profiles: profileManager.data,
+			knowledge: Object.fromEntries(
+				profileIds.map((id) => [id, knowledgeTracker.load(id)]),
+			),
+			stats: Object.fromEntries(
+				profileIds.map((id) => [id, statsTracker.load(id)]),
+			),
+		};
+	}
+
+	getFileName(timestamp = Date.now()) {
+		const date = new Date(timestamp);
+		const day = [
+			date.getFullYear(),
+			String(date.getMonth() + 1).padStart(2, "0"),
+			String(date.getDate()).padStart(2, "0"),
+		].join("-");
+		return `futureskills-saves-${day}.json`;
+	}
+
+	// Download the export as a .json file
+	download(game) {
+		const data = this.createExport(game);
+		const blob = new Blob([JSON.stringify(data, null, 2)], {
+			type: "application/json",
+		});
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement("a");
+		link.download = this.getFileName(data.exportedAt);
+		link.href = url;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+
+	/**
+	 * Check an imported file. Damaged saves inside an otherwise good file
+	 * are dropped rather than failing the whole import.
+	 * @param {*} data - Parsed JSON
+	 * @param {number} maxStage - Highest valid stage
+	 * @returns {Object} { valid, errors, skipped, data }: the file's contents
+	 *   with only the usable saves, and how many were dropped
+	 */
+	validate(data, maxStage) {
+		const errors = [];
+		const isObject = (value) =>
+			Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+		if (!isObject(data) || data.format !== this.format) {
+			errors.push("not a save data file");
+		} else if (!(data.version >= 1 && data.version <= this.version)) {
+			errors.push(`unsupported version ${data.version}`);
+		} else {
+			if (!Array.isArray(data.slots)) {
+				errors.push("slots must be a list");
+			}
+			if (!isObject(data.profiles) || !isObject(data.profiles.profiles)) {
+				errors.push("profiles missing");
+			}
+			for (const key of ["knowledge", "stats"]) {
+				if (data[key] !== undefined && !isObject(data[key])) {
+					errors.push(`${key} must be an object`);
+				}
+			}
+		}
+		if (errors.length > 0) {
+			return { valid: false, errors, skipped: 0, data: null };
+		}
+
+		// Same checks as loading a save from this computer
+		const usable = (snapshot) => {
+			const migrated = saveManager.migrate(snapshot);
+			return migrated && saveManager.check(migrated, maxStage).length === 0
+				? migrated
+				: null;
+		};
+
+		let skipped = 0;
+		const slots = [];
+		for (const slot of data.slots) {
+			const snapshot = isObject(slot) ? usable(slot.snapshot) : null;
+			if (snapshot && typeof slot.id === "string" && slot.name) {
+				slots.push({
+					id: slot.id,
+					name: String(slot.name).slice(0, 40),
+					savedAt: Number(slot.savedAt) || Date.now(),
+					snapshot,
+				});
+			} else {
+				skipped++;
+			}
+		}
+
+		let currentGame = null;
+		if (data.currentGame) {
+			currentGame = usable(data.currentGame);
+			if (!currentGame) {
+				skipped++;
+			}
+		}
+
+		const profiles = {};
+		for (const [id, profile] of Object.entries(data.profiles.profiles)) {
+			if (isObject(profile) && typeof profile.name === "string") {
+				profiles[id] = {
+					id,
+					name: profile.name.slice(0, 40),
+					createdAt: Number(profile.createdAt) || Date.now(),
+				};
+			}
+		}
+
+		const knowledge = {};
+		for (const [id, log] of Object.entries(data.knowledge || {})) {
+			if (profiles[id] && isObject(log)) {
+				knowledge[id] = {
+					tick: Number(log.tick) || 0,
+					facts: isObject(log.facts) ? log.facts : {},
+					quiz: isObject(log.quiz) ? log.quiz : {},
+				};
+			}
+		}
+
+		const stats = {};
+		for (const [id, profileStats] of Object.entries(data.stats || {})) {
+			if (profiles[id] && isObject(profileStats)) {
+				stats[id] = profileStats;
+			}
+		}
+
+		return {
+			valid: true,
+			errors,
+			skipped,
+			data: {
+				exportedAt: Number(data.exportedAt) || null,
+				currentGame,
+				slots,
+				profiles: {
+					activeId: profiles[data.profiles.activeId]
+						? data.profiles.activeId
+						: null,
+					profiles,
+				},
+				knowledge,
+				stats,
+			},
+		};
+	}
+
+	/**
+	 * Apply a validated import
+	 * @param {Object} data - validate(...).data
+	 * @param {boolean} overwrite - Replace everything here instead of merging
+	 * @returns {Object} { slots, profiles, skipped }: how many were taken in,
+	 *   and slots left out for lack of room
+	 */
+	apply(game, data, overwrite) {
+		if (game) {
+			const current = game.loadGameState();
+			const imported = data.currentGame;
+			const isNewer =
+				!current || (imported && imported.savedAt > current.savedAt);
+			if (imported && (overwrite || isNewer)) {
+				game.writeSave(game.saveKey, imported);
+			} else if (!imported && overwrite) {
+				game.removeSave(game.saveKey);
+			}
+		}
+
+		const slots = saveManager.importSlots(data.slots, overwrite);
+		const profiles = profileManager.importProfiles(data.profiles, overwrite);
+		for (const [id, log] of Object.entries(data.knowledge)) {
+			knowledgeTracker.importLog(id, log, overwrite);
+		}
+		for (const [id, stats] of Object.entries(data.stats)) {
+			statsTracker.importStats(id, stats, overwrite);
+		}
+
+		return {
+			slots: slots.imported,
+			profiles,
+			skipped: slots.skipped,
+		};
+	}
+}
+
+const saveTransfer = new SaveTransfer();
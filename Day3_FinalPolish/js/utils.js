@@ -1,8 +1,49 @@
 // Random number generator between min and max (inclusive)
-const getRandomInt = (min, max) => {
+// Pass a seeded random function to make the result reproducible
+const getRandomInt = (min, max, random = Math.random) => {
 	const lmin = Math.ceil(min);
 	const lmax = Math.floor(max);
-	return Math.floor(Math.random() * (lmax - lmin + 1)) + lmin;
+	return Math.floor(random() * (lmax - lmin + 1)) + lmin;
+};
+
+// Hash any seed string into a 32-bit unsigned integer (xmur3)
+const hashSeed = (seed) => {
+	const str = String(seed);
+	let h = 1779033703 ^ str.length;
+	for (let i = 0; i < str.length; i++) {
+		h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+		h = (h << 13) | (h >>> 19);
+	}
+	h = Math.imul(h ^ (h >>> 16), 2246822507);
+	h = Math.imul(h ^ (h >>> 13), 3266489909);
+	return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Seedable PRNG (mulberry32), returns a drop-in replacement for Math.random
+const createSeededRandom = (seed) => {
+	let state = hashSeed(seed);
+	return () => {
+		state = (state + 0x6d2b79f5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+// Short, URL-friendly seed string for sharing mazes
+const generateSeed = () => Math.random().toString(36).slice(2, 10);
+
+// Fisher-Yates shuffle using the given random source
+const shuffleInPlace = (items, random = Math.random) => {
+	for (let i = items.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[items[i], items[j]] = [items[j], items[i]];
+	}
+	return items;
+};
+
+const pickRandom = (items, random = Math.random) => {
+	return items[Math.floor(random() * items.length)];
 };
 
 const drawRoundedRect = (
@@ -80,3 +121,36 @@ const isValidCollisionBox = (box) => {
 		box.height > 0
 	);
 };
+
+// True while the user is typing into a form field, so game keys stay out
+const isTextEntry = (target) => {
+	return Boolean(
+		target &&
+			(target.tagName === "INPUT" ||
+				target.tagName === "TEXTAREA" ||
+				target.isContentEditable),
+	);
+};
+
+// "12:05" or "1:02:05"
+const formatDuration = (totalSeconds) => {
+	const seconds = Math.max(0, Math.round(totalSeconds));
+	const h = Math.floor(seconds / 3600);
+	const m = Math.floor((seconds % 3600) / 60);
+	const s = String(seconds % 60).padStart(2, "0");
+	return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+const isTouchDevice = () => {
+	return "ontouchstart" in window || navigator.maxTouchPoints > 0;
+};
+
+// Convert a client (page) position to canvas coordinates, accounting for
+// the canvas being scaled with CSS on small screens
+const getCanvasPoint = (canvas, clientX, clientY) => {
+	const rect = canvas.getBoundingClientRect();
+	return {
+		x: ((clientX - rect.left) * canvas.width) / rect.width,
+		y: ((clientY - rect.top) * canvas.height) / rect.height,
+	};
+};
@@ -0,0 +1,241 @@
+/**
+ * Stage validator
+ * Checks that a generated stage is consistent and solvable:
+ * symmetric walls, a closed outer boundary, every artifact and the exit
+ * reachable from the spawn, and minimum path distances between them
+ */
+class StageValidator {
+	constructor(options = {}) {
+		// Minimum path length (in cells) from spawn to each artifact
+		this.minArtifactDistance = options.minArtifactDistance ?? 3;
+		// Minimum path length from spawn to exit, as a fraction of cols + rows
+		this.minExitDistanceRatio = options.minExitDistanceRatio ?? 0.25;
+	}
+
+	validate(maze, spawn, artifacts) {
+		const errors = [];
+
+		errors.push(...this.checkWalls(maze));
+
+		const spawnCell = { x: spawn.x, y: spawn.y };
+		const minExitDistance = Math.floor(
+			(maze.cols + maze.rows) * this.minExitDistanceRatio,
+		);
+
+		// Exit must be reachable and far enough from the spawn
+		const exitDistance = this.getPathDistance(maze, spawnCell, maze.exit);
+		if (exitDistance < 0) {
+			errors.push({ type: "unreachable", target: "exit" });
+		} else if (exitDistance < minExitDistance) {
+			errors.push({
+				type: "too-close",
+				target: "exit",
+				distance: exitDistance,
+				minimum: minExitDistance,
+			});
+		}
+
+		const usedCells = new Set([`${spawnCell.x},${spawnCell.y}`]);
+
+		artifacts.forEach((artifact, index) => {
+			const cell = {
+				x: Math.floor(artifact.x / maze.cellSize),
+				y: Math.floor(artifact.y / maze.cellSize),
+			};
+			const key = `${cell.x},${cell.y}`;
+
+			if (cell.x === maze.exit.x && cell.y === maze.exit.y) {
+				errors.push({ type: "on-exit", target: "artifact", index });
+			}
+			if (usedCells.has(key)) {
+				errors.push({ type: "overlap", target: "artifact", index });
+			}
+			usedCells.add(key);
+
+			const distance = this.getPathDistance(maze, spawnCell, cell);
+			if (distance < 0) {
+				errors.push({ type: "unreachable", target: "artifact", index });
+			} else if (distance < this.minArtifactDistance) {
+				errors.push({
+					type: "too-close",
+					target: "artifact",
+					index,
+					distance,
+					minimum: this.minArtifactDistance,
+				});
+			}
+		});
+
+		// findShortestPath stores its result for the debug overlay, don't leak ours
+		maze.shortestPath = [];
+		maze.pathStart = null;
+		maze.pathEnd = null;
+
+		return { valid: errors.length === 0, errors };
+	}
+
+	checkWalls(maze) {
+		const errors = [];
+
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				const walls = maze.grid[y][x].walls;
+
+				// Right and bottom neighbours must agree on the shared wall
+				if (x < maze.cols - 1 && walls[1] !== maze.grid[y][x + 1].walls[3]) {
+					errors.push({ type: "asymmetric-wall", x, y, direction: 1 });
+				}
+				if (y < maze.rows - 1 && walls[2] !== maze.grid[y + 1][x].walls[0]) {
+					errors.push({ type: "asymmetric-wall", x, y, direction: 2 });
+				}
+
+				// The outer edge of the maze must stay closed
+				if (
+					(y === 0 && !walls[0]) ||
+					(x === maze.cols - 1 && !walls[1]) ||
+					(y === maze.rows - 1 && !walls[2]) ||
+					(x === 0 && !walls[3])
+				) {
+					errors.push({ type: "open-boundary", x, y });
+				}
+			}
+		}
+
+		return errors;
+	}
+
+	// Path length in cells between two grid cells, or -1 if unreachable
+	getPathDistance(maze, from, to) {
+		const path = maze.findShortestPath(
+			(from.x + 0.5) * maze.cellSize,
+			(from.y + 0.5) * maze.cellSize,
+			(to.x + 0.5) * maze.cellSize,
+			(to.y + 0.5) * maze.cellSize,
+		);
+		return path.length - 1;
+	}
+
+	/**
+	 * Fix wall problems in place: asymmetric walls are opened on both sides,
+	 * the boundary is closed again and any region cut off from the spawn is
+	 * joined back in. Distance problems can't be repaired, only regenerated.
+	 * @returns {boolean} true if the maze was changed
+	 */
+	repair(maze, spawn) {
+		let changed = false;
+
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				const walls = maze.grid[y][x].walls;
+
+				if (x < maze.cols - 1 && walls[1] !== maze.grid[y][x + 1].walls[3]) {
+					maze.removeWall({ x, y }, { x: x + 1, y });
+					changed = true;
+				}
+				if (y < maze.rows - 1 && walls[2] !== maze.grid[y + 1][x].walls[0]) {
+					maze.removeWall({ x, y }, { x, y: y + 1 });
+					changed = true;
+				}
+
+				const boundary = [
+					y === 0,
+					x === maze.cols - 1,
+					y === maze.rows - 1,
+					x === 0,
+				];
+				boundary.forEach((isEdge, direction) => {
+					if (isEdge && !walls[direction]) {
+						walls[direction] = true;
+						changed = true;
+					}
+				});
+			}
+		}
+
+		if (this.connectRegions(maze, spawn)) {
+			changed = true;
+		}
+
+		return changed;
+	}
+
+	// Open walls until every cell is reachable from the spawn
+	connectRegions(maze, spawn) {
+		const reached = this.floodFill(maze, spawn, new Set());
+		const total = maze.cols * maze.rows;
+		let changed = false;
+
+		while (reached.size < total) {
+			const bridge = this.findBridge(maze, reached);
+			if (!bridge) {
+				break;
+			}
+
+			maze.removeWall(bridge.from, bridge.to);
+			this.floodFill(maze, bridge.to, reached);
+			changed = true;
+		}
+
+		return changed;
+	}
+
+	// First unreached cell next to a reached one
+	findBridge(maze, reached) {
+		const directions = [
+			{ dx: 0, dy: -1 },
+			{ dx: 1, dy: 0 },
+			{ dx: 0, dy: 1 },
+			{ dx: -1, dy: 0 },
+		];
+
+		for (let y = 0; y < maze.rows; y++) {
+			for (let x = 0; x < maze.cols; x++) {
+				if (reached.has(`${x},${y}`)) {
+					continue;
+				}
+				for (const dir of directions) {
+					const nx = x + dir.dx;
+					const ny = y + dir.dy;
+					if (reached.has(`${nx},${ny}`)) {
+						return { from: { x: nx, y: ny }, to: { x, y } };
+					}
+				}
+			}
+		}
+
+		return null;
+	}
+
+	floodFill(maze, start, reached) {
+		const directions = [
+			{ dx: 0, dy: -1, wall: 0 },
+			{ dx: 1, dy: 0, wall: 1 },
+			{ dx: 0, dy: 1, wall: 2 },
+			{ dx: -1, dy: 0, wall: 3 },
+		];
+		const stack = [{ x: start.x, y: start.y }];
+		reached.add(`${start.x},${start.y}`);
+
+		while (stack.length > 0) {
+			const current = stack.pop();
+			for (const dir of directions) {
+				const nx = current.x + dir.dx;
+				const ny = current.y + dir.dy;
+				const key = `${nx},${ny}`;
+				if (
+					nx >= 0 &&
+					nx < maze.cols &&
+					ny >= 0 &&
+					ny < maze.rows &&
+					!reached.has(key) &&
+					!maze.grid[current.y][current.x].walls[dir.wall]
+				) {
+					reached.add(key);
+					stack.push({ x: nx, y: ny });
+				}
+			}
+		}
+
+		return reached;
+	}
+}
@@ -0,0 +1,203 @@
+/**
+ * Certificate verification
+ * Signs the details printed on a certificate (name, date, difficulty, time,
+ * health, quiz score, number of skills, seed) with HMAC-SHA256 and checks
+ * them again on verify.html, with no server: the page recomputes the code
+ * from the details the teacher types in and compares it with the printed one.
+ *
+ * Anyone who has the key can make valid codes, so schools that hand out
+ * certificates should change verificationConfig.key in their copy (both the
+ * game and verify.html read it from here).
+ */
+const verificationConfig = {
+	key: "futureskills-rtb-certificate-2025",
+	// Hex digits of the HMAC printed on the certificate, in groups of 4
+	codeLength: 16,
+	// Bumped when the signed fields change, old codes then no longer verify
+	version: 1,
+	// Names of difficultySettings.getNames() (difficulty.js), listed here so
+	// verify.html doesn't need the game's scripts
+	difficulties: ["easy", "normal", "hard", "expert", "custom"],
+};
+
+class CertificateSigner {
+	constructor(key) {
+		this.key = this.encode(key);
+	}
+
+	encode(text) {
+		return new TextEncoder().encode(String(text));
+	}
+
+	// SHA-256 of a byte array (FIPS 180-4), returns 32 bytes
+	sha256(bytes) {
+		const k = CertificateSigner.roundConstants;
+		const h = [
+			0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+			0x1f83d9ab, 0x5be0cd19,
+		];
+
+		// Pad to a multiple of 64 bytes: 0x80, zeros, then the length in bits
+		const length = Math.ceil((bytes.length + 9) / 64) * 64;
+		const data = new Uint8Array(length);
+		data.set(bytes);
+		data[bytes.length] = 0x80;
+		const view = new DataView(data.buffer);
+		view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+		view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+		const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+		const w = new Array(64);
+		for (let offset = 0; offset < length; offset += 64) {
+			for (let i = 0; i < 16; i++) {
+				w[i] = view.getUint32(offset + i * 4);
+			}
+			for (let i = 16; i < 64; i++) {
+				const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+				const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+				w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+			}
+
+			let [a, b, c, d, e, f, g, hh] = h;
+			for (let i = 0; i < 64; i++) {
+				const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+				const ch = (e & f) ^ (~e & g);
+				const t1 = (hh + s1 + ch + k[i] + w[i]) | 0;
+				const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+				const maj = (a & b) ^ (a & c) ^ (b & c);
+				const t2 = (s0 + maj) | 0;
+				hh = g;
+				g = f;
+				f = e;
+				e = (d + t1) | 0;
+				d = c;
+				c = b;
+				b = a;
+				a = (t1 + t2) | 0;
+			}
+			[a, b, c, d, e, f, g, hh].forEach((value, i) => {
+				h[i] = (h[i] + value) | 0;
+			});
+		}
+
+		const digest = new Uint8Array(32);
+		const digestView = new DataView(digest.buffer);
+		h.forEach((value, i) => digestView.setUint32(i * 4, value >>> 0));
+		return digest;
+	}
+
+	// HMAC-SHA256 (RFC 2104) of a message with the configured key, as hex
+	hmac(message) {
+		const blockSize = 64;
+		let key = this.key;
+		if (key.length > blockSize) {
+			key = this.sha256(key);
+		}
+
+		const inner = new Uint8Array(blockSize);
+		const outer = new Uint8Array(blockSize);
+		for (let i = 0; i < blockSize; i++) {
+			inner[i] = (key[i] || 0) ^ 0x36;
+			outer[i] = (key[i] || 0) ^ 0x5c;
+		}
+
+		const messageBytes = this.encode(message);
+		const innerData = new Uint8Array(blockSize + messageBytes.length);
+		innerData.set(inner);
+		innerData.set(messageBytes, blockSize);
+		const innerHash = this.sha256(innerData);
+
+		const outerData = new Uint8Array(blockSize + innerHash.length);
+		outerData.set(outer);
+		outerData.set(innerHash, blockSize);
+
+		return Array.from(this.sha256(outerData), (byte) =>
+			byte.toString(16).padStart(2, "0"),
+		).join("");
+	}
+
+	// Names are compared the way a teacher would read them off the page
+	normalizeName(name) {
+		return String(name || "")
+			.normalize("NFC")
+			.trim()
+			.replace(/\s+/g, " ")
+			.toLowerCase();
+	}
+
+	// Local calendar day of a timestamp, "2025-06-14"
+	formatDay(timestamp) {
+		const date = new Date(timestamp);
+		return [
+			date.getFullYear(),
+			String(date.getMonth() + 1).padStart(2, "0"),
+			String(date.getDate()).padStart(2, "0"),
+		].join("-");
+	}
+
+	/**
+	 * The signed text, only from details that can be read on the certificate
+	 * @param {Object} details - { name, day ("YYYY-MM-DD"), difficulty,
+	 *   totalTime (s), health, quiz: { correct, asked }, skillCount, seed }
+	 */
+	getPayload(details) {
+		return [
+			`v${verificationConfig.version}`,
+			this.normalizeName(details.name),
+			details.day,
+			details.difficulty,
+			Math.round(details.totalTime),
+			Math.round(details.health),
+			`${details.quiz.correct}/${details.quiz.asked}`,
+			details.skillCount,
+			details.seed,
+		].join("|");
+	}
+
+	// Verification code for the details, e.g. "3F9A-02C1-7D4E-B8A0"
+	sign(details) {
+		return this.hmac(this.getPayload(details))
+			.slice(0, verificationConfig.codeLength)
+			.toUpperCase()
+			.match(/.{1,4}/g)
+			.join("-");
+	}
+
+	// Ignores case, spaces and dashes in the typed code
+	normalizeCode(code) {
+		return String(code || "")
+			.toUpperCase()
+			.replace(/[^0-9A-F]/g, "");
+	}
+
+	verify(details, code) {
+		const expected = this.normalizeCode(this.sign(details));
+		const actual = this.normalizeCode(code);
+		if (actual.length !== expected.length) {
+			return false;
+		}
+
+		// Compare every digit so the check takes the same time either way
+		let difference = 0;
+		for (let i = 0; i < expected.length; i++) {
+			difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+		}
+		return difference === 0;
+	}
+}
+
+CertificateSigner.roundConstants = [
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+	0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+	0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+	0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+	0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+	0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const certificateSigner = new CertificateSigner(verificationConfig.key);
@@ -0,0 +1,137 @@
+/**
+ * Certificate verification page (verify.html)
+ * Recomputes the verification code from the details typed in and compares it
+ * with the one printed on the certificate. Works offline, straight from disk.
+ */
+class VerifyPage {
+	constructor() {
+		this.form = document.getElementById("verify-form");
+		this.result = document.getElementById("verify-result");
+		this.difficultySelect = document.getElementById("verify-difficulty");
+		this.languagePicker = document.getElementById("language-picker");
+		// Key of the last message shown, so it can be re-translated
+		this.resultKey = null;
+
+		this.setupLanguagePicker();
+		this.renderDifficulties();
+		i18n.applyToDocument();
+
+		this.form.addEventListener("submit", (e) => {
+			e.preventDefault();
+			this.check();
+		});
+		this.form.addEventListener("input", () => this.showResult(null));
+
+		i18n.onChange(() => {
+			this.renderDifficulties();
+			this.showSelectedLanguage();
+			this.showResult(this.resultKey);
+		});
+	}
+
+	setupLanguagePicker() {
+		for (const [locale, { name }] of Object.entries(i18n.locales)) {
+			const button = document.createElement("button");
+			button.className = "menu-button language-button";
+			button.dataset.locale = locale;
+			button.lang = locale;
+			button.textContent = name;
+			button.addEventListener("click", () => {
+				i18n.setLocale(locale);
+			});
+			this.languagePicker.appendChild(button);
+		}
+		this.showSelectedLanguage();
+	}
+
+	showSelectedLanguage() {
+		this.languagePicker.querySelectorAll("button").forEach((button) => {
+			button.classList.toggle("selected", button.dataset.locale === i18n.locale);
+		});
+	}
+
+	renderDifficulties() {
+		const selected = this.difficultySelect.value;
+		this.difficultySelect.innerHTML = "";
+		for (const difficulty of verificationConfig.difficulties) {
+			const option = document.createElement("option");
+			option.value = difficulty;
+			option.textContent = i18n.t(`difficulty.${difficulty}`);
+			this.difficultySelect.appendChild(option);
+		}
+		if (selected) {
+			this.difficultySelect.value = selected;
+		}
+	}
+
+	// "12:05" or "1:02:05" as printed on the certificate, in seconds
+	parseTime(text) {
+		const parts = String(text).trim().split(":");
+		const valid =
+			parts.length >= 2 &&
+			parts.length <= 3 &&
+			parts.every((part) => /^\d+$/.test(part));
+		if (!valid) {
+			return NaN;
+		}
+		return parts.reduce((total, part) => total * 60 + Number(part), 0);
+	}
+
+	readNumber(id) {
+		const value = document.getElementById(id).value;
+		return value === "" ? NaN : Number(value);
+	}
+
+	// Details in the form CertificateSigner.getPayload() expects, or null
+	readDetails() {
+		const details = {
+			name: document.getElementById("verify-name").value,
+			day: document.getElementById("verify-date").value,
+			difficulty: this.difficultySelect.value,
+			totalTime: this.parseTime(document.getElementById("verify-time").value),
+			health: this.readNumber("verify-health"),
+			quiz: {
+				correct: this.readNumber("verify-quiz-correct"),
+				asked: this.readNumber("verify-quiz-asked"),
+			},
+			skillCount: this.readNumber("verify-skill-count"),
+			seed: this.readNumber("verify-seed"),
+		};
+
+		const numbers = [
+			details.totalTime,
+			details.health,
+			details.quiz.correct,
+			details.quiz.asked,
+			details.skillCount,
+			details.seed,
+		];
+		if (!details.name.trim() || !details.day || numbers.some(Number.isNaN)) {
+			return null;
+		}
+		return details;
+	}
+
+	check() {
+		const details = this.readDetails();
+		const code = document.getElementById("verify-code").value;
+		if (!details || !certificateSigner.normalizeCode(code)) {
+			this.showResult("verify.incomplete");
+			return;
+		}
+
+		this.showResult(
+			certificateSigner.verify(details, code) ? "verify.valid" : "verify.invalid",
+		);
+	}
+
+	showResult(key) {
+		this.resultKey = key;
+		this.result.textContent = key ? i18n.t(key) : "";
+		this.result.className = key ? key.replace(".", "-") : "";
+	}
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+	window.verifyPage = new VerifyPage();
+});
@@ -0,0 +1,187 @@
+/**
+ * Fog of war
+ * Tracks which maze cells the player can currently see and which have
+ * been explored, and draws the darkness over everything else.
+ * Exploration is tracked even with the fog off (the minimap uses it).
+ * @param {Maze} maze - The maze object
+ * @param {Object} options - Visibility settings
+ * @param {string} options.mode - "off", "radius" or "lineOfSight"
+ * @param {number} options.radius - How far the player can see, in cells
+ */
+class VisibilityMap {
+	constructor(maze, options = {}) {
+		this.maze = maze;
+		this.mode = options.mode || "off";
+		this.radius = options.radius || 6;
+
+		this.enabled = this.mode !== "off";
+
+		// Flat per-cell flags, indexed y * cols + x
+		this.explored = new Uint8Array(maze.cols * maze.rows);
+		this.visible = new Uint8Array(maze.cols * maze.rows);
+		this.visibleCells = [];
+
+		this.lastCell = null;
+		// Bumped whenever visibility changes, so caches (minimap) know to redraw
+		this.version = 0;
+	}
+
+	update(playerX, playerY) {
+		const cellX = Math.floor(playerX / this.maze.cellSize);
+		const cellY = Math.floor(playerY / this.maze.cellSize);
+
+		// Visibility only changes when the player enters a new cell
+		if (
+			this.lastCell &&
+			this.lastCell.x === cellX &&
+			this.lastCell.y === cellY
+		) {
+			return;
+		}
+		this.lastCell = { x: cellX, y: cellY };
+		this.version++;
+
+		for (const index of this.visibleCells) {
+			this.visible[index] = 0;
+		}
+		this.visibleCells = [];
+
+		const radius = Math.ceil(this.radius);
+		for (let y = cellY - radius; y <= cellY + radius; y++) {
+			for (let x = cellX - radius; x <= cellX + radius; x++) {
+				if (x < 0 || x >= this.maze.cols || y < 0 || y >= this.maze.rows) {
+					continue;
+				}
+				if ((x - cellX) ** 2 + (y - cellY) ** 2 > this.radius ** 2) {
+					continue;
+				}
+				if (
+					this.mode === "lineOfSight" &&
+					!this.hasLineOfSight(cellX, cellY, x, y)
+				) {
+					continue;
+				}
+
+				const index = y * this.maze.cols + x;
+				this.visible[index] = 1;
+				this.explored[index] = 1;
+				this.visibleCells.push(index);
+			}
+		}
+	}
+
+	// Walk a ray between cell centres and stop at the first wall it crosses
+	hasLineOfSight(fromX, fromY, toX, toY) {
+		const steps = Math.max(Math.abs(toX - fromX), Math.abs(toY - fromY)) * 4;
+		let currentX = fromX;
+		let currentY = fromY;
+
+		for (let i = 1; i <= steps; i++) {
+			const t = i / steps;
+			const nextX = Math.floor(fromX + 0.5 + (toX - fromX) * t);
+			const nextY = Math.floor(fromY + 0.5 + (toY - fromY) * t);
+
+			if (nextX === currentX && nextY === currentY) {
+				continue;
+			}
+
+			const walls = this.maze.grid[currentY][currentX].walls;
+			const dx = nextX - currentX;
+			const dy = nextY - currentY;
+
+			if (dx !== 0 && dy !== 0) {
+				// Passing a corner: blocked unless one of the two L-shaped routes is open
+				const horizontalFirst =
+					!walls[dx > 0 ? 1 : 3] &&
+					!this.maze.grid[currentY][nextX].walls[dy > 0 ? 2 : 0];
+				const verticalFirst =
+					!walls[dy > 0 ? 2 : 0] &&
+					!this.maze.grid[nextY][currentX].walls[dx > 0 ? 1 : 3];
+				if (!horizontalFirst && !verticalFirst) {
+					return false;
+				}
+			} else if (dx !== 0 && walls[dx > 0 ? 1 : 3]) {
+				return false;
+			} else if (dy !== 0 && walls[dy > 0 ? 2 : 0]) {
+				return false;
+			}
+
+			currentX = nextX;
+			currentY = nextY;
+		}
+
+		return true;
+	}
+
+	// Explored cells as a string of 0s and 1s, for save games
+	getSnapshot() {
+		return this.explored.join("");
+	}
+
+	restoreSnapshot(explored) {
+		if (typeof explored !== "string" || explored.length !== this.explored.length) {
+			return;
+		}
+		for (let i = 0; i < explored.length; i++) {
+			this.explored[i] = explored[i] === "1" ? 1 : 0;
+		}
+		this.lastCell = null;
+		this.version++;
+	}
+
+	isVisible(cellX, cellY) {
+		if (!this.enabled) {
+			return true;
+		}
+		return this.visible[cellY * this.maze.cols + cellX] === 1;
+	}
+
+	isExplored(cellX, cellY) {
+		return this.explored[cellY * this.maze.cols + cellX] === 1;
+	}
+
+	// Whether a world-space point (artifact, obstacle) is currently in view
+	isPointVisible(x, y) {
+		return this.isVisible(
+			Math.floor(x / this.maze.cellSize),
+			Math.floor(y / this.maze.cellSize),
+		);
+	}
+
+	render(ctx, viewport) {
+		if (!this.enabled) {
+			return;
+		}
+
+		const cellSize = this.maze.cellSize;
+		const range = this.maze.getVisibleRange(viewport);
+		const center = this.lastCell;
+
+		ctx.save();
+
+		for (let y = range.startY; y <= range.endY; y++) {
+			for (let x = range.startX; x <= range.endX; x++) {
+				let alpha;
+				if (this.isVisible(x, y)) {
+					// Light falls off toward the edge of the view radius
+					const distance = center
+						? Math.sqrt((x - center.x) ** 2 + (y - center.y) ** 2)
+						: 0;
+					alpha = Math.min(0.35, (distance / this.radius) * 0.35);
+				} else if (this.isExplored(x, y)) {
+					alpha = 0.65; // Remembered, but dim
+				} else {
+					alpha = 1;
+				}
+
+				if (alpha > 0) {
+					ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+					// Overlap by a pixel to avoid seams between cells
+					ctx.fillRect(x * cellSize, y * cellSize, cellSize + 1, cellSize + 1);
+				}
+			}
+		}
+
+		ctx.restore();
+	}
+}